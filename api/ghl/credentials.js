@@ -0,0 +1,97 @@
+// File: /api/ghl/credentials.js
+// Per-location credential registry (see /lib/ghl/credentials.js).
+//
+// - GET    ?locationId=   -> which credential a location resolves to (no secrets returned)
+// - POST   { locationId, accessToken, refreshToken?, expiresIn?, userType? }
+//          -> store a private integration token (no refreshToken) or seed OAuth tokens
+// - DELETE ?locationId=   -> remove the stored record (falls back to agency / GHL_TOKEN)
+//
+// Requires caller credentials scoped to the locationId (see /lib/ghl/auth.js).
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import {
+  createTokenProvider,
+  credentialKey,
+  deleteCredential,
+  describeCredential,
+  readCredential,
+  saveCredential,
+} from "../../lib/ghl/credentials.js";
+import { getKV } from "../../lib/ghl/kv.js";
+import { applyCors, loadRawBody, parseJsonBody, sendError } from "../../lib/ghl/request.js";
+
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+  applyCors(req, res, "GET,POST,DELETE,OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  if (!["GET", "POST", "DELETE"].includes(req.method)) {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
+
+  const body = req.method === "POST" ? parseJsonBody(req) : {};
+  const locationId = String(body.locationId || req.query?.locationId || "").trim();
+  if (!locationId) return sendError(res, 400, "Missing locationId.");
+
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
+  }
+
+  if (req.method === "GET") {
+    const tokens = createTokenProvider(locationId);
+    let found = false;
+    try {
+      found = await tokens.init();
+    } catch {
+      found = false;
+    }
+    return res.status(200).json({
+      ok: true,
+      build: BUILD_MARKER,
+      locationId,
+      resolved: found ? tokens.source : null,
+      stored: describeCredential(await readCredential(locationId)),
+    });
+  }
+
+  if (!(await getKV())) {
+    return sendError(res, 500, "KV is not configured; credentials cannot be stored.");
+  }
+
+  if (req.method === "DELETE") {
+    const deleted = await deleteCredential(locationId);
+    return res.status(200).json({ ok: deleted, build: BUILD_MARKER, locationId, deleted });
+  }
+
+  const accessToken = String(body.accessToken || "").trim();
+  if (!accessToken) return sendError(res, 400, "Missing required field: accessToken");
+
+  const refreshToken = String(body.refreshToken || "").trim() || null;
+  const expiresIn = Number(body.expiresIn);
+  const record = {
+    accessToken,
+    refreshToken,
+    expiresAt: refreshToken && Number.isFinite(expiresIn) ? Date.now() + expiresIn * 1000 : null,
+    userType: String(body.userType || "Location"),
+    locationId,
+    source: refreshToken ? "oauth" : "private_integration",
+  };
+
+  const saved = await saveCredential(credentialKey(locationId), record);
+  return res.status(saved ? 200 : 500).json({
+    ok: saved,
+    build: BUILD_MARKER,
+    locationId,
+    credential: describeCredential(record),
+  });
+}
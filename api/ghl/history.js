@@ -0,0 +1,104 @@
+// File: /api/ghl/history.js
+// Sync history for one SKU: the audit events written by /api/ghl/sync-product(s).
+//
+// - GET ?locationId=&sku=A1 (or externalId=)&from=&to=&limit=
+//   from / to: ISO date or epoch ms (inclusive). limit: default 100, max 1000. Newest first.
+// GET without sku/externalId is the health check. Needs a queryable audit sink
+// (DBE_AUDIT_SINK=kv|file|memory, see /lib/ghl/audit.js); "stdout" only logs.
+//
+// Requires caller credentials scoped to the locationId (see /lib/ghl/auth.js).
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { dedupeKeyFor } from "../../lib/ghl/mapping.js";
+import { applyCors, loadRawBody, resolveAuditSink, resolveTenant, sendError } from "../../lib/ghl/request.js";
+
+export const config = { api: { bodyParser: false } };
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// "2024-05-01", "2024-05-01T10:00:00Z" or epoch ms -> ms; null when absent, NaN when invalid.
+function readTime(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  return /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+}
+
+export default async function handler(req, res) {
+  applyCors(req, res, "GET,OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  if (req.method !== "GET") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const q = req.query || {};
+  const sku = String(q.sku || "").trim();
+  const externalId = String(q.externalId || "").trim();
+
+  // Health check
+  if (!sku && !externalId) {
+    return res.status(200).json({
+      ok: true,
+      route: "/api/ghl/history",
+      build: BUILD_MARKER,
+      message: "Sync history. GET ?sku=...&from=...&to=...",
+      limits: { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT },
+    });
+  }
+
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
+
+  const from = readTime(q.from);
+  const to = readTime(q.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return sendError(res, 400, "from / to must be an ISO date or epoch milliseconds.");
+  }
+  if (from !== null && to !== null && from > to) return sendError(res, 400, "from must not be after to.");
+
+  const limit = Math.min(Math.max(Math.floor(Number(q.limit)) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const tenant = await resolveTenant(q);
+  if (tenant.error) return sendError(res, tenant.status, tenant.error);
+  const { locationId } = tenant;
+
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
+  }
+
+  const audit = await resolveAuditSink();
+  if (audit.error) return sendError(res, audit.status, audit.error);
+  const { sink } = audit;
+  if (!sink?.query) {
+    return sendError(res, 501, `Audit sink "${sink?.backend || "none"}" cannot be queried.`, {
+      hint: "Set DBE_AUDIT_SINK to kv, file or memory to keep a queryable history.",
+    });
+  }
+
+  const dedupeKey = dedupeKeyFor(sku || externalId);
+  try {
+    const events = await sink.query({ locationId, dedupeKey, from, to, limit });
+    return res.status(200).json({
+      ok: true,
+      build: BUILD_MARKER,
+      locationId,
+      dedupeKey,
+      sink: sink.backend,
+      range: {
+        from: from === null ? null : new Date(from).toISOString(),
+        to: to === null ? null : new Date(to).toISOString(),
+      },
+      count: events.length,
+      events,
+    });
+  } catch (err) {
+    return sendError(res, 500, `Audit query failed: ${err?.message || "unknown error"}`);
+  }
+}
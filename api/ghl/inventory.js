@@ -0,0 +1,113 @@
+// File: /api/ghl/inventory.js
+// Stock-only updates: POST { locationId?, items: [{ sku, qty }], lowStockThreshold?, concurrency? }
+// (or a bare [{ sku, qty }] array with ?locationId=).
+//
+// - qty: 12 sets the quantity; qty: "+5" / "-2" or adjust: -2 changes it relative to GHL's.
+// - Only availableQuantity / quantity change (no full product sync, no price writes); at or below
+//   lowStockThreshold (default 0, env DBE_LOW_STOCK_THRESHOLD) the product is taken off the store
+//   and re-listed once restocked. See /lib/ghl/inventory.js.
+// - Response: one { index, ok, status, from, to, availableInStore, error } entry per item, in
+//   input order. 200 when every item succeeded, 207 when some failed.
+//
+// POST requires caller credentials scoped to the locationId (see /lib/ghl/auth.js).
+// An Idempotency-Key header makes retries of relative adjustments safe (see
+// /lib/ghl/idempotency.js).
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { beginIdempotentRequest, sendIdempotentResponse } from "../../lib/ghl/idempotency.js";
+import { executeInventory, validateInventoryDefaults } from "../../lib/ghl/inventory.js";
+import {
+  applyCors,
+  loadRawBody,
+  readJsonBody,
+  resolveAuditSink,
+  resolveStore,
+  resolveTenant,
+  sendError,
+} from "../../lib/ghl/request.js";
+
+export const config = { api: { bodyParser: false } };
+
+const MAX_ITEMS = 2000;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+
+export default async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  // Health check
+  if (req.method === "GET") {
+    return res.status(200).json({
+      ok: true,
+      route: "/api/ghl/inventory",
+      build: BUILD_MARKER,
+      message: 'Stock updates. POST { items: [{ sku, qty: 12 | "+5" | "-2" }] }',
+      limits: { maxItems: MAX_ITEMS, defaultConcurrency: DEFAULT_CONCURRENCY, maxConcurrency: MAX_CONCURRENCY },
+    });
+  }
+
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
+
+  const parsed = readJsonBody(req);
+  if (parsed.error) return sendError(res, parsed.status, parsed.error);
+  const body = Array.isArray(parsed.body)
+    ? { locationId: req.query?.locationId, items: parsed.body }
+    : parsed.body || {};
+
+  const items = Array.isArray(body.items) ? body.items : null;
+  if (!items || !items.length) {
+    return sendError(res, 400, "Missing items. Provide a non-empty items array of { sku, qty }.");
+  }
+  if (items.length > MAX_ITEMS) {
+    return sendError(res, 400, `Too many items (${items.length}). Max per request: ${MAX_ITEMS}.`);
+  }
+  const invalid = validateInventoryDefaults(body);
+  if (invalid) return sendError(res, 400, invalid);
+
+  const tenant = await resolveTenant(body);
+  if (tenant.error) return sendError(res, tenant.status, tenant.error);
+  const { client, locationId } = tenant;
+
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
+  }
+
+  const concurrency = Math.min(
+    Math.max(Number(body.concurrency) || DEFAULT_CONCURRENCY, 1),
+    MAX_CONCURRENCY
+  );
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
+
+  const audit = await resolveAuditSink();
+  if (audit.error) return sendError(res, audit.status, audit.error);
+
+  const idem = await beginIdempotentRequest(req, {
+    store,
+    locationId,
+    principal: auth.principal,
+    route: "inventory",
+  });
+  if (idem.response) return sendIdempotentResponse(res, idem.response);
+
+  const meta = { principal: auth.principal, idempotencyKey: idem.key };
+  const defaults = { lowStockThreshold: body.lowStockThreshold };
+  const result = await executeInventory({ client, store, audit: audit.sink }, { items, defaults, concurrency }, meta);
+
+  await idem.complete(result.status, result.body, { wrote: client.httpStats.writes > 0 });
+  return res.status(result.status).json(result.body);
+}
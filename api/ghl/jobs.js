@@ -0,0 +1,58 @@
+// File: /api/ghl/jobs.js
+// Status of an async sync job (async: true on /api/ghl/sync-product and /api/ghl/sync-products).
+//
+// - GET ?id=job_...
+//   -> { job: { jobId, status, attempts, ..., result } } where result is the { status, body } the
+//      route would have answered inline (null until the first attempt finished).
+// GET without id is the health check. Jobs live in the state store (see /lib/ghl/jobs.js).
+//
+// Requires caller credentials scoped to the job's locationId (see /lib/ghl/auth.js).
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { describeJob, getJob } from "../../lib/ghl/jobs.js";
+import { applyCors, loadRawBody, resolveStore, sendError } from "../../lib/ghl/request.js";
+
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+  applyCors(req, res, "GET,OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  if (req.method !== "GET") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const id = String(req.query?.id || "").trim();
+
+  // Health check
+  if (!id) {
+    return res.status(200).json({
+      ok: true,
+      route: "/api/ghl/jobs",
+      build: BUILD_MARKER,
+      message: "Async job status. GET ?id=job_...",
+    });
+  }
+
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
+  if (!store) return sendError(res, 400, "Async jobs need a state store (DBE_MAPPING_STORE).");
+
+  const job = await getJob(store, id);
+  // Same answer for unknown jobs and jobs of other locations.
+  if (!job || !canAccessLocation(auth.principal, job.locationId)) {
+    return sendError(res, 404, `Job "${id}" not found.`);
+  }
+
+  return res.status(200).json({ ok: true, build: BUILD_MARKER, job: describeJob(job) });
+}
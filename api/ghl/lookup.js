@@ -0,0 +1,94 @@
+// File: /api/ghl/lookup.js
+// Read-back of synced products: what does GHL currently have for these SKUs?
+//
+// - GET  ?locationId=&sku=A1,B2&externalId=...
+// - POST { locationId?, skus: [...], externalIds: [...] }   (or sku/externalId)
+// GET without any key is the health check. No writes (see /lib/ghl/lookup.js).
+//
+// Requires caller credentials scoped to the locationId (see /lib/ghl/auth.js).
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { MAX_LOOKUP_KEYS, lookupProducts, readLookupKeys } from "../../lib/ghl/lookup.js";
+import {
+  applyCors,
+  loadRawBody,
+  parseJsonBody,
+  resolveStore,
+  resolveTenant,
+  sendError,
+} from "../../lib/ghl/request.js";
+import { syncErrorBody } from "../../lib/ghl/sync.js";
+
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const body = req.method === "GET" ? req.query || {} : parseJsonBody(req);
+  const keys = readLookupKeys(body);
+
+  // Health check
+  if (req.method === "GET" && !keys.length) {
+    return res.status(200).json({
+      ok: true,
+      route: "/api/ghl/lookup",
+      build: BUILD_MARKER,
+      message: "Product lookup. GET ?sku=... or POST { skus: [...] }.",
+      limits: { maxKeys: MAX_LOOKUP_KEYS },
+    });
+  }
+
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
+
+  if (!keys.length) return sendError(res, 400, "Provide at least one sku or externalId.");
+  if (keys.length > MAX_LOOKUP_KEYS) {
+    return sendError(res, 400, `Too many keys (${keys.length}). Max per lookup: ${MAX_LOOKUP_KEYS}.`);
+  }
+
+  const tenant = await resolveTenant(body);
+  if (tenant.error) return sendError(res, tenant.status, tenant.error);
+  const { client, locationId } = tenant;
+
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
+  }
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
+
+  try {
+    const results = await lookupProducts({ client, store }, keys);
+    return res.status(200).json({
+      ok: true,
+      build: BUILD_MARKER,
+      locationId,
+      mappingStore: store?.backend || null,
+      summary: {
+        total: results.length,
+        found: results.filter((r) => r.found).length,
+        missing: results.filter((r) => !r.found).length,
+      },
+      results,
+      debug: {
+        tokenPrefix: client.tokenPrefix,
+        http: client.httpStats,
+      },
+    });
+  } catch (err) {
+    const errBody = syncErrorBody(err, client);
+    return res.status(errBody.status).json(errBody);
+  }
+}
@@ -0,0 +1,94 @@
+// File: /api/ghl/migrate-tags.js
+// Tagged-name -> mapping store migration: POST { locationId?, stripTags?, dryRun?, overwrite? }
+//
+// Run once per location after configuring a mapping store (see /lib/ghl/migrate.js):
+// writes dbe:map:<loc>:<key> for every "[DBE:<key>] <name>" product, and with stripTags: true
+// removes the tag from the product names. dryRun: true reports without writing.
+//
+// Requires caller credentials scoped to the locationId (see /lib/ghl/auth.js).
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { migrateTaggedProducts } from "../../lib/ghl/migrate.js";
+import {
+  applyCors,
+  loadRawBody,
+  parseJsonBody,
+  resolveStore,
+  resolveTenant,
+  sendError,
+} from "../../lib/ghl/request.js";
+import { syncErrorBody } from "../../lib/ghl/sync.js";
+
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  // Health check
+  if (req.method === "GET") {
+    return res.status(200).json({
+      ok: true,
+      route: "/api/ghl/migrate-tags",
+      build: BUILD_MARKER,
+      message: "Tagged-name migration. POST { locationId, stripTags?, dryRun? } once a mapping store is configured.",
+    });
+  }
+
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
+
+  const body = parseJsonBody(req);
+
+  const tenant = await resolveTenant(body);
+  if (tenant.error) return sendError(res, tenant.status, tenant.error);
+  const { client, locationId } = tenant;
+
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
+  }
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
+  if (!store) {
+    return sendError(res, 400, "No mapping store configured (DBE_MAPPING_STORE); nothing to migrate into.");
+  }
+
+  try {
+    const report = await migrateTaggedProducts(
+      { client, store },
+      {
+        stripTags: body.stripTags === true,
+        dryRun: body.dryRun === true,
+        overwrite: body.overwrite === true,
+        concurrency: body.concurrency,
+      }
+    );
+    return res.status(200).json({
+      ok: true,
+      build: BUILD_MARKER,
+      locationId,
+      mappingStore: store.backend,
+      dryRun: body.dryRun === true,
+      ...report,
+      debug: {
+        tokenPrefix: client.tokenPrefix,
+        http: client.httpStats,
+      },
+    });
+  } catch (err) {
+    const errBody = syncErrorBody(err, client);
+    return res.status(errBody.status).json(errBody);
+  }
+}
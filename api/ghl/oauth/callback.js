@@ -0,0 +1,38 @@
+// File: /api/ghl/oauth/callback.js
+// GHL marketplace install redirect: GET ?code=<authorization code>
+// Exchanges the code for tokens and stores them in the credential registry
+// (Location installs -> dbe:cred:<locationId>, agency installs -> dbe:cred:company:<companyId>).
+
+import { BUILD_MARKER } from "../../../lib/ghl/config.js";
+import { describeCredential, exchangeAuthorizationCode } from "../../../lib/ghl/credentials.js";
+import { getKV } from "../../../lib/ghl/kv.js";
+import { sendError } from "../../../lib/ghl/request.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const code = String(req.query?.code || "").trim();
+  if (!code) return sendError(res, 400, "Missing code query param.");
+
+  if (!(await getKV())) {
+    return sendError(res, 500, "KV is not configured; OAuth credentials cannot be stored.");
+  }
+
+  try {
+    const record = await exchangeAuthorizationCode(code);
+    return res.status(200).json({
+      ok: true,
+      build: BUILD_MARKER,
+      locationId: record.locationId || null,
+      credential: describeCredential(record),
+    });
+  } catch (err) {
+    return sendError(res, err?.status || 500, err?.message || "OAuth exchange failed", {
+      details: err?.data || null,
+    });
+  }
+}
@@ -0,0 +1,90 @@
+// File: /api/ghl/reconcile.js
+// Mapping reconciliation: POST { locationId?, repair?, concurrency? }
+//
+// - Walks every dbe:map:<locationId>:* mapping and checks its product/prices still exist in GHL,
+//   finds "[DBE:<key>]" products without a mapping, orphans and SKU duplicates
+//   (see /lib/ghl/reconcile.js for the issue types).
+// - repair omitted/false -> report only. repair: true -> safe repairs. repair: [names] -> those.
+//
+// Requires caller credentials scoped to the locationId (see /lib/ghl/auth.js).
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { ALL_REPAIRS, SAFE_REPAIRS, reconcileLocation, validateRepairOption } from "../../lib/ghl/reconcile.js";
+import {
+  applyCors,
+  loadRawBody,
+  parseJsonBody,
+  resolveStore,
+  resolveTenant,
+  sendError,
+} from "../../lib/ghl/request.js";
+import { syncErrorBody } from "../../lib/ghl/sync.js";
+
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  // Health check
+  if (req.method === "GET") {
+    return res.status(200).json({
+      ok: true,
+      route: "/api/ghl/reconcile",
+      build: BUILD_MARKER,
+      message: "Mapping reconciliation. POST { locationId, repair? } to report (and repair) drift.",
+      repairs: { safe: SAFE_REPAIRS, all: ALL_REPAIRS },
+    });
+  }
+
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
+
+  const body = parseJsonBody(req);
+
+  const invalid = validateRepairOption(body.repair);
+  if (invalid) return sendError(res, 400, invalid);
+
+  const tenant = await resolveTenant(body);
+  if (tenant.error) return sendError(res, tenant.status, tenant.error);
+  const { client, locationId } = tenant;
+
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
+  }
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
+
+  try {
+    const report = await reconcileLocation(
+      { client, store },
+      { repair: body.repair, concurrency: body.concurrency }
+    );
+    return res.status(200).json({
+      ok: true,
+      build: BUILD_MARKER,
+      locationId,
+      mappingStore: store?.backend || null,
+      ...report,
+      debug: {
+        tokenPrefix: client.tokenPrefix,
+        http: client.httpStats,
+      },
+    });
+  } catch (err) {
+    const errBody = syncErrorBody(err, client);
+    return res.status(errBody.status).json(errBody);
+  }
+}
@@ -0,0 +1,59 @@
+// File: /api/ghl/schedules/worker.js
+// Sale window worker: syncs the sale price of every SKU whose window opened and the regular
+// price of every SKU whose window closed. See /lib/ghl/schedule.js and /lib/ghl/scheduler.js.
+//
+// - GET|POST ?limit=25
+// Vercel Cron runs it every 5 minutes (/vercel.json); a window opens / closes at most one
+// interval late. Vercel Cron sends Authorization: Bearer $CRON_SECRET.
+// Callers with credentials for every location ("*") may also trigger it by hand.
+
+import { authenticateRequest, isCronRequest } from "../../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../../lib/ghl/config.js";
+import { applyCors, loadRawBody, resolveStore, sendError } from "../../../lib/ghl/request.js";
+import { processDueSchedules } from "../../../lib/ghl/scheduler.js";
+
+export const config = { api: { bodyParser: false } };
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+// Leaves headroom under the default 60s function timeout.
+const BUDGET_MS = 45000;
+
+export default async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  if (!isCronRequest(req)) {
+    const raw = await loadRawBody(req);
+    if (raw.error) return sendError(res, raw.status, raw.error);
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) return sendError(res, auth.status, auth.error);
+    if (!auth.principal.locationIds?.includes("*")) {
+      return sendError(res, 403, "The schedule worker syncs products of every location; it needs \"*\" access.");
+    }
+  }
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
+  if (!store) {
+    return res.status(200).json({ ok: true, build: BUILD_MARKER, mappingStore: null, processed: [] });
+  }
+
+  const limit = Math.min(Math.max(Math.floor(Number(req.query?.limit)) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const processed = await processDueSchedules(store, { limit, budgetMs: BUDGET_MS });
+
+  return res.status(200).json({
+    ok: true,
+    build: BUILD_MARKER,
+    mappingStore: store.backend,
+    processed,
+  });
+}
@@ -1,44 +1,104 @@
 // File: /api/ghl/sync-product.js
 // DB ENGINE CANONICAL v10 + UPSERT + MULTI-IMAGE + COMPARE-AT + INVENTORY + SEO + PRICE DEDUPE
 //
-// Baseline preserved:
-// - If upsert !== true -> behaves like v10 (always creates new product, creates new price if provided)
-// - If upsert === true -> dedupe product by SKU/externalId and enforce single active price per SKU
+// Single-product sync. The sync itself lives in /lib/ghl/sync.js (see its header for the
+// upsert / mapping store / tenant variability rules); /api/ghl/sync-products runs the same
+// logic over an array of bodies.
 //
-// Optional KV mapping (recommended):
-// - If @vercel/kv is available + KV env configured, store mapping: dedupeKey -> { productId, priceId }
-// - If not, fallback to tagged product name strategy: "[DBE:<key>] <name>" so it can be found again.
+// Removal (see /lib/ghl/remove.js), by sku/externalId:
+// - DELETE ?sku=|externalId=&locationId=   (or the same fields as JSON) -> delete product + prices
+// - POST { action: "archive" | "delete", sku | externalId }             -> archive hides it instead
 //
-// Tenant variability:
-// - Price PUT may not be supported. In that case, we dedupe by deleting old price (if delete supported) then create.
-// - Inventory fields may not be supported; we attempt best-effort fields and ignore if rejected.
-// - SEO fields tenant-dependent; best-effort.
+// Bodies are checked against /lib/ghl/schema.js (400 lists every invalid / unknown field);
+// GET ?schema=1 serves the same schema as JSON Schema.
+//
+// GET ?locationId= reports the location's cached capability profile (see
+// /lib/ghl/capabilities.js); GET ?probe=1 (credentials required) probes the tenant now (syncs only
+// probe by themselves with DBE_CAPABILITY_PROBE=auto).
+//
+// POST/DELETE require caller credentials scoped to the target locationId (see /lib/ghl/auth.js).
+// An Idempotency-Key header makes retries safe (see /lib/ghl/idempotency.js).
+// Every sync / archive / delete is written to the audit log (see /lib/ghl/audit.js,
+// /api/ghl/history).
+// async: true answers 202 { jobId } and runs the same work as a job (see /lib/ghl/jobs.js);
+// GET /api/ghl/jobs?id= returns the { status, body } this route would have answered.
+// schedule: { startAt, endAt, price } sets a sale window, applied and reverted by
+// /api/ghl/schedules/worker (see /lib/ghl/schedule.js).
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { getCapabilityProfile, refreshCapabilityProfile } from "../../lib/ghl/capabilities.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { executeSync } from "../../lib/ghl/execute.js";
+import { beginIdempotentRequest, sendIdempotentResponse } from "../../lib/ghl/idempotency.js";
+import { enqueueJob, jobAcceptedBody, startJob } from "../../lib/ghl/jobs.js";
+import { validateCallbackUrl } from "../../lib/ghl/outbound.js";
+import {
+  applyCors,
+  loadRawBody,
+  readJsonBody,
+  resolveAuditSink,
+  resolveStore,
+  resolveTenant,
+  sendError,
+} from "../../lib/ghl/request.js";
+import { syncBodyJsonSchema, validateSyncBody } from "../../lib/ghl/schema.js";
+import { REMOVE_ACTIONS } from "../../lib/ghl/remove.js";
+import { readSyncInput, validateSyncInput } from "../../lib/ghl/sync.js";
+
+export const config = { api: { bodyParser: false } };
+
+// Cached profile of ?locationId (or GHL_LOCATION_ID) for the health check; never probes.
+async function cachedCapabilities(query) {
+  const locationId = String(query?.locationId || process.env.GHL_LOCATION_ID || "").trim();
+  if (!locationId) return null;
+  const stateStore = await resolveStore();
+  if (stateStore.error || !stateStore.store) {
+    return { locationId, profile: null, note: stateStore.error || "No state store: profiles are not kept." };
+  }
+  return { locationId, profile: await getCapabilityProfile(stateStore.store, locationId) };
+}
+
+async function probeTenant(req, res) {
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
 
-let kv = null;
-async function getKV() {
-  if (kv) return kv;
-  try {
-    const mod = await import("@vercel/kv");
-    kv = mod.kv;
-    return kv;
-  } catch {
-    return null;
+  const tenant = await resolveTenant(req.query);
+  if (tenant.error) return sendError(res, tenant.status, tenant.error);
+  const { client, locationId } = tenant;
+
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
   }
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+
+  const profile = await refreshCapabilityProfile({ client, store: stateStore.store });
+  if (!profile) return sendError(res, 409, "A capability probe for this location is already running.", { retryable: true });
+
+  return res.status(200).json({
+    ok: true,
+    build: BUILD_MARKER,
+    locationId,
+    cached: Boolean(stateStore.store && profile.complete),
+    capabilities: profile,
+  });
 }
 
 export default async function handler(req, res) {
-  // Basic CORS
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  applyCors(req, res, "GET,POST,DELETE,OPTIONS");
 
   if (req.method === "OPTIONS") return res.status(204).end();
 
-  const BUILD_MARKER =
-    "DB_ENGINE_API_BUILD_2026-01-20_CANONICAL_v10_QP_LOCATIONID__ALL_EXCEPT_EBAY_v1";
-
-  // Health check
+  // Health check (?schema=1 -> request JSON Schema, ?probe=1 -> fresh capability profile)
   if (req.method === "GET") {
+    if (req.query?.schema !== undefined) return res.status(200).json(syncBodyJsonSchema());
+    if (req.query?.probe !== undefined) return await probeTenant(req, res);
+
+    const capabilities = await cachedCapabilities(req.query);
+
     return res.status(200).json({
       ok: true,
       route: "/api/ghl/sync-product",
@@ -51,655 +111,107 @@ export default async function handler(req, res) {
         inventoryBestEffort: true,
         seoBestEffort: true,
         priceDedupe: true,
+        variants: true,
+        dryRun: true,
+        idempotencyKey: true,
+        archiveDelete: true,
+        multiCollections: true,
+        createMissingCollections: true,
+        strictSchema: true,
+        mediaPipeline: true,
+        auditLog: true,
+        asyncJobs: true,
+        capabilityProfile: true,
+        saleSchedules: true,
       },
+      capabilities,
+      schema: "/api/ghl/sync-product?schema=1",
     });
   }
 
-  if (req.method !== "POST") {
+  if (req.method !== "POST" && req.method !== "DELETE") {
     return res
       .status(405)
       .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
   }
 
-  // --- Safe body parsing ---
-  let body = {};
-  try {
-    body =
-      typeof req.body === "string" ? JSON.parse(req.body) : req.body || {};
-  } catch {
-    body = {};
-  }
+  const raw = await loadRawBody(req);
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
 
-  // --- ENV ---
-  const API_BASE = "https://services.leadconnectorhq.com";
-  const VERSION = "2021-07-28";
+  const parsed = readJsonBody(req);
+  if (parsed.error) return sendError(res, parsed.status, parsed.error);
+  const body =
+    req.method === "DELETE" && parsed.body && typeof parsed.body === "object" && !Array.isArray(parsed.body)
+      ? { ...(req.query || {}), ...parsed.body }
+      : parsed.body;
 
-  const token = process.env.GHL_TOKEN;
-  const envLocationId = process.env.GHL_LOCATION_ID;
-
-  const locationId = String(body.locationId || envLocationId || "").trim();
-
-  if (!token) {
-    return res
-      .status(500)
-      .json({ ok: false, build: BUILD_MARKER, error: "Missing env var: GHL_TOKEN" });
-  }
-  if (!locationId) {
-    return res.status(400).json({
-      ok: false,
-      build: BUILD_MARKER,
-      error:
-        "Missing locationId. Provide locationId in JSON body or set env var GHL_LOCATION_ID.",
+  const schemaCheck = validateSyncBody(body);
+  if (schemaCheck.errors.length) {
+    return sendError(res, 400, "Invalid request body", {
+      errors: schemaCheck.errors,
+      aliases: schemaCheck.aliases,
     });
   }
 
-  // Tenant requirement: altId + altType + locationId MUST be query params
-  const altType = "location";
-  const altId = locationId;
-
-  const tokenPrefix = String(token).slice(0, 12);
-
-  function withTenantParams(url) {
-    const u = new URL(url);
-    u.searchParams.set("altId", altId);
-    u.searchParams.set("altType", altType);
-    u.searchParams.set("locationId", locationId);
-    return u.toString();
-  }
-
-  async function ghlFetch(path, { method = "GET", json } = {}) {
-    const url = withTenantParams(`${API_BASE}${path}`);
-
-    const resp = await fetch(url, {
-      method,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Version: VERSION,
-        "Content-Type": "application/json",
-      },
-      body: json ? JSON.stringify(json) : undefined,
-    });
-
-    const text = await resp.text();
-    let data = null;
-    try {
-      data = text ? JSON.parse(text) : null;
-    } catch {
-      data = text || null;
-    }
-
-    if (!resp.ok) {
-      const err = new Error(`GHL ${resp.status}`);
-      err.status = resp.status;
-      err.data = data;
-      err.url = url;
-      throw err;
-    }
-
-    return data;
+  const action = req.method === "DELETE" ? (body.action === "archive" ? "archive" : "delete") : body.action || "sync";
+  if (action !== "sync" && !REMOVE_ACTIONS.includes(action)) {
+    return sendError(res, 400, `Unknown action "${action}". Use "sync" (default), ${REMOVE_ACTIONS.map((a) => `"${a}"`).join(", ")}.`);
   }
 
-  // ---------- Collections ----------
-  function normalizeCollectionId(c) {
-    return c?.id || c?._id || c?.collectionId || null;
-  }
+  const tenant = await resolveTenant(body);
+  if (tenant.error) return sendError(res, tenant.status, tenant.error);
+  const { client, locationId } = tenant;
 
-  async function fetchCollections() {
-    const data = await ghlFetch(`/products/collections`, { method: "GET" });
-    const arr =
-      data?.collections ||
-      data?.data ||
-      data?.items ||
-      (Array.isArray(data) ? data : []);
-    return Array.isArray(arr) ? arr : [];
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
   }
 
-  function findCollectionByName(collections, collectionName) {
-    const target = String(collectionName || "").trim().toLowerCase();
-    if (!target) return null;
+  const input = readSyncInput(body);
+  const invalid = action === "sync" ? validateSyncInput(input) : null;
+  if (invalid) return sendError(res, 400, invalid);
 
-    let hit =
-      collections.find(
-        (c) => String(c?.name || "").trim().toLowerCase() === target
-      ) || null;
-    if (!hit) {
-      hit =
-        collections.find((c) =>
-          String(c?.name || "").trim().toLowerCase().includes(target)
-        ) || null;
-    }
-    if (!hit) return null;
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
 
-    const id = normalizeCollectionId(hit);
-    return id ? { ...hit, __resolvedId: String(id) } : { ...hit, __resolvedId: null };
-  }
+  const audit = await resolveAuditSink();
+  if (audit.error) return sendError(res, audit.status, audit.error);
 
-  // ---------- Products ----------
-  async function createProduct(payload) {
-    return await ghlFetch(`/products/`, { method: "POST", json: payload });
+  if (body.async === true && !store) {
+    return sendError(res, 400, "async: true needs a state store (DBE_MAPPING_STORE) to keep the job.");
   }
-  async function putProduct(productId, payload) {
-    return await ghlFetch(`/products/${productId}`, { method: "PUT", json: payload });
+  if (body.callbackUrl !== undefined && body.callbackUrl !== null) {
+    const callbackError = body.async === true ? await validateCallbackUrl(body.callbackUrl) : "callbackUrl requires async: true.";
+    if (callbackError) return sendError(res, 400, callbackError);
   }
-  async function getProduct(productId) {
-    return await ghlFetch(`/products/${productId}`, { method: "GET" });
-  }
-
-  // ---------- Prices ----------
-  async function createPrice(productId, pricePayload) {
-    return await ghlFetch(`/products/${productId}/price`, {
-      method: "POST",
-      json: pricePayload,
-    });
-  }
-  async function putPrice(productId, priceId, payload) {
-    return await ghlFetch(`/products/${productId}/price/${priceId}`, {
-      method: "PUT",
-      json: payload,
-    });
-  }
-  async function listPrices(productId) {
-    return await ghlFetch(`/products/${productId}/price`, { method: "GET" });
-  }
-  async function deletePrice(productId, priceId) {
-    // Tenant-dependent. If unsupported, it will throw.
-    return await ghlFetch(`/products/${productId}/price/${priceId}`, {
-      method: "DELETE",
-    });
-  }
-
-  // ---------- Fallback product search (no KV) ----------
-  const TAG_PREFIX = "DBE";
-  async function listProductsByNameSearch(searchTerm) {
-    const u = new URL(`${API_BASE}/products/`);
-    u.searchParams.set("search", String(searchTerm || "").slice(0, 64));
-    const url = withTenantParams(u.toString());
-
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Version: VERSION,
-        "Content-Type": "application/json",
-      },
-    });
-
-    const text = await resp.text();
-    let data = null;
-    try {
-      data = text ? JSON.parse(text) : null;
-    } catch {
-      data = text || null;
-    }
 
-    if (!resp.ok) {
-      const err = new Error(`GHL ${resp.status}`);
-      err.status = resp.status;
-      err.data = data;
-      err.url = url;
-      throw err;
-    }
+  const idem = await beginIdempotentRequest(req, {
+    store,
+    locationId,
+    principal: auth.principal,
+    route: "sync-product",
+  });
+  if (idem.response) return sendIdempotentResponse(res, idem.response);
 
-    const arr =
-      data?.products || data?.data || data?.items || (Array.isArray(data) ? data : []);
-    return Array.isArray(arr) ? arr : [];
-  }
-  function normalizeProductId(p) {
-    return p?._id || p?.id || p?.productId || null;
-  }
-
-  // ---------- Inputs ----------
-  const rawName = String(body.name || "").trim();
-  const description = String(body.description || "").trim();
-  const collectionName = String(body.collectionName || body.collection || "").trim();
-
-  // media inputs
-  const image = String(body.image || body.imageUrl || "").trim();
-  const imagesArr = Array.isArray(body.images)
-    ? body.images.map((u) => String(u || "").trim()).filter(Boolean)
-    : [];
-  const providedMedias = Array.isArray(body.medias) ? body.medias : null;
-
-  const availableInStore = body.availableInStore === false ? false : true;
-  const productType = String(body.productType || "PHYSICAL").trim().toUpperCase();
-
-  // SEO best-effort
-  const seoTitle = String(body.seoTitle || "").trim();
-  const seoDescription = String(body.seoDescription || "").trim();
-  const seoSlug = String(body.seoSlug || body.slug || "").trim();
-
-  // Inventory best-effort
-  // (Different tenants use different fields; we try a safe set and ignore if rejected)
-  const trackInventory =
-    body.trackInventory === true || body.inventoryTracking === true;
-  const availableQty =
-    body.availableQty ?? body.qty ?? body.inventory ?? body.stock ?? null;
+  const meta = { route: "sync-product", principal: auth.principal, idempotencyKey: idem.key };
 
-  // Pricing
-  const priceObj =
-    body && typeof body.price === "object" && body.price !== null ? body.price : null;
-
-  const priceAmount =
-    priceObj?.amount ?? body.price ?? body.amount ?? null;
-  const compareAt =
-    priceObj?.compareAt ?? body.compareAt ?? body.compareAtPrice ?? null;
-  const currency = String(priceObj?.currency || body.currency || "USD").trim();
-  const priceType = String(priceObj?.type || body.priceType || "one_time").trim();
-
-  // Upsert controls
-  const upsert = body.upsert === true;
-  const sku = String(body.sku || priceObj?.sku || "").trim();
-  const externalId = String(body.externalId || body.upc || body.upsertKey || "").trim();
-
-  const dedupeKeyRaw = sku || externalId;
-  const dedupeKey = dedupeKeyRaw ? dedupeKeyRaw.toLowerCase() : "";
-
-  if (!rawName) {
-    return res.status(400).json({ ok: false, build: BUILD_MARKER, error: "Missing required field: name" });
-  }
-  if (!collectionName) {
-    return res.status(400).json({ ok: false, build: BUILD_MARKER, error: "Missing required field: collectionName" });
-  }
-  if (upsert && !dedupeKey) {
-    return res.status(400).json({
-      ok: false,
-      build: BUILD_MARKER,
-      error: "Upsert requested but no dedupe key provided. Include sku or externalId (or upc/upsertKey).",
+  if (body.async === true) {
+    const job = await enqueueJob(store, {
+      locationId,
+      request: { route: "sync-product", action, body },
+      callbackUrl: body.callbackUrl,
+      meta,
     });
+    const accepted = jobAcceptedBody(job);
+    await idem.complete(202, accepted);
+    await startJob(store, job.id);
+    return res.status(202).json(accepted);
   }
 
-  const taggedName = dedupeKey ? `[${TAG_PREFIX}:${dedupeKey}] ${rawName}` : rawName;
-
-  function buildMediasPayload() {
-    if (providedMedias && providedMedias.length) {
-      const cleaned = providedMedias
-        .map((m, idx) => {
-          const url = String(m?.url || "").trim();
-          if (!url) return null;
-          const isFeatured = m?.isFeatured === true || idx === 0;
-          return {
-            id: String(m?.id || crypto.randomUUID()),
-            title: String(m?.title || rawName).trim() || rawName,
-            url,
-            type: String(m?.type || "image").trim(),
-            isFeatured,
-          };
-        })
-        .filter(Boolean);
-      return cleaned.length ? cleaned : undefined;
-    }
-
-    if (imagesArr.length) {
-      return imagesArr.map((url, idx) => ({
-        id: crypto.randomUUID(),
-        title: rawName,
-        url,
-        type: "image",
-        isFeatured: idx === 0,
-      }));
-    }
-
-    if (image) {
-      return [
-        { id: crypto.randomUUID(), title: rawName, url: image, type: "image", isFeatured: true },
-      ];
-    }
-
-    return undefined;
-  }
-
-  // Helper: find existing price by SKU in returned list
-  function normalizePriceId(p) {
-    return p?._id || p?.id || p?.priceId || null;
-  }
-  function extractPricesArray(pricesResp) {
-    const arr =
-      pricesResp?.prices || pricesResp?.data || pricesResp?.items || (Array.isArray(pricesResp) ? pricesResp : []);
-    return Array.isArray(arr) ? arr : [];
-  }
-
-  try {
-    // 1) Resolve collection id
-    const collections = await fetchCollections();
-    const matched = findCollectionByName(collections, collectionName);
-
-    if (!matched?.__resolvedId) {
-      return res.status(404).json({
-        ok: false,
-        build: BUILD_MARKER,
-        error: `Collection not found (or missing id) for name: "${collectionName}"`,
-        debug: {
-          tokenPrefix,
-          locationId,
-          altType,
-          collectionsSeen: collections.slice(0, 25).map((c) => ({ name: c?.name, id: normalizeCollectionId(c) })),
-        },
-      });
-    }
-
-    const resolvedCollectionId = matched.__resolvedId;
-
-    // 2) Media + featured image
-    const mediasPayload = buildMediasPayload();
-    const featuredImageUrl =
-      mediasPayload?.find((m) => m?.isFeatured)?.url || image || imagesArr[0] || "";
-
-    // 3) Build product payload (FULL payload for PUT)
-    const baseProductPayload = {
-      name: rawName,
-      description: description || undefined,
-      locationId,
-      productType,
-      availableInStore,
-      collectionIds: [resolvedCollectionId],
-      image: featuredImageUrl || undefined,
-      medias: mediasPayload,
-    };
-
-    // SEO best-effort fields
-    if (seoTitle) baseProductPayload.seoTitle = seoTitle;
-    if (seoDescription) baseProductPayload.seoDescription = seoDescription;
-    if (seoSlug) baseProductPayload.seoSlug = seoSlug;
-
-    // Inventory best-effort fields on product (tenant dependent)
-    // We do NOT hard-fail if tenant rejects these; they simply won't apply.
-    if (trackInventory === true) baseProductPayload.trackInventory = true;
-    if (availableQty !== null && availableQty !== undefined && String(availableQty).trim() !== "") {
-      const q = Number(availableQty);
-      if (Number.isFinite(q) && q >= 0) {
-        baseProductPayload.availableQuantity = q;
-        baseProductPayload.quantity = q; // some tenants use "quantity"
-      }
-    }
-
-    // 4) UPSERT RESOLUTION
-    const kvClient = await getKV();
-    const kvKey = dedupeKey ? `dbe:map:${locationId}:${dedupeKey}` : null;
-
-    async function kvGetMap() {
-      if (!kvClient || !kvKey) return null;
-      try {
-        const val = await kvClient.get(kvKey);
-        if (val && typeof val === "object") return val;
-        return null;
-      } catch {
-        return null;
-      }
-    }
-    async function kvSetMap(obj) {
-      if (!kvClient || !kvKey) return false;
-      try {
-        await kvClient.set(kvKey, obj);
-        return true;
-      } catch {
-        return false;
-      }
-    }
-
-    let mode = "create";
-    let map = null;
-    let productId = null;
-    let existingPriceId = null;
-
-    if (upsert) {
-      map = await kvGetMap();
-      if (map?.productId) {
-        productId = String(map.productId);
-        existingPriceId = map?.priceId ? String(map.priceId) : null;
-        mode = "update";
-      } else if (!kvClient) {
-        // fallback search by tagged name
-        try {
-          const products = await listProductsByNameSearch(`[${TAG_PREFIX}:${dedupeKey}]`);
-          const hit =
-            products.find((p) => String(p?.name || "").includes(`[${TAG_PREFIX}:${dedupeKey}]`)) ||
-            products.find((p) => String(p?.name || "").trim() === taggedName) ||
-            null;
-
-          const pid = hit ? normalizeProductId(hit) : null;
-          if (pid) {
-            productId = String(pid);
-            mode = "update";
-          }
-        } catch {
-          // ignore
-        }
-      }
-    }
-
-    // 5) Create/Update product
-    let created = null;
-    let enforced = null;
-
-    if (mode === "update") {
-      const putPayload = !kvClient ? { ...baseProductPayload, name: taggedName } : baseProductPayload;
-      try {
-        enforced = await putProduct(String(productId), putPayload);
-      } catch (e) {
-        enforced = { __error: true, status: e?.status || 500, details: e?.data || null };
-      }
-    } else {
-      const createPayload =
-        upsert && !kvClient ? { ...baseProductPayload, name: taggedName } : baseProductPayload;
-
-      created = await createProduct(createPayload);
-
-      productId =
-        created?.product?._id ||
-        created?.product?.id ||
-        created?._id ||
-        created?.id;
-
-      if (!productId) {
-        return res.status(500).json({
-          ok: false,
-          build: BUILD_MARKER,
-          error: "Created product but could not find productId in response",
-          created,
-        });
-      }
-
-      // enforce with PUT (full payload)
-      try {
-        enforced = await putProduct(String(productId), createPayload);
-      } catch (e) {
-        enforced = { __error: true, status: e?.status || 500, details: e?.data || null };
-      }
-    }
-
-    // 6) Price logic + de-dupe
-    let priceResp = null;
-    let priceAction = "none";
-    let priceDedupe = { attempted: false, deleted: [], errors: [] };
+  const result = await executeSync({ client, store, audit: audit.sink }, { action, input }, meta);
 
-    const hasPrice =
-      priceAmount !== null && priceAmount !== undefined && String(priceAmount).trim() !== "";
-
-    if (hasPrice) {
-      const amountNum = Number(priceAmount);
-      if (!Number.isFinite(amountNum) || amountNum < 0) {
-        return res.status(400).json({ ok: false, build: BUILD_MARKER, error: "Invalid price. Provide a numeric price >= 0." });
-      }
-
-      const compareAtNum =
-        compareAt !== null && compareAt !== undefined && String(compareAt).trim() !== ""
-          ? Number(compareAt)
-          : null;
-
-      if (compareAtNum !== null && (!Number.isFinite(compareAtNum) || compareAtNum < 0)) {
-        return res.status(400).json({ ok: false, build: BUILD_MARKER, error: "Invalid compareAt price. Provide a numeric compareAt >= 0." });
-      }
-
-      const pricePayload = {
-        product: String(productId),
-        locationId,
-        name: `${rawName} - Price`,
-        type: priceType,
-        currency,
-        amount: amountNum,
-        description: description || undefined,
-      };
-      if (sku) pricePayload.sku = sku;
-      if (compareAtNum !== null) pricePayload.compareAt = compareAtNum;
-
-      if (upsert && sku) {
-        // Always enforce single active price per SKU in upsert mode
-        priceDedupe.attempted = true;
-
-        // List prices and delete duplicates (best-effort)
-        let existingPrices = [];
-        try {
-          const pricesResp = await listPrices(String(productId));
-          existingPrices = extractPricesArray(pricesResp);
-        } catch (e) {
-          priceDedupe.errors.push({
-            stage: "listPrices",
-            status: e?.status || 500,
-            details: e?.data || null,
-          });
-          existingPrices = [];
-        }
-
-        const skuLower = sku.toLowerCase();
-        const matches = existingPrices.filter(
-          (p) => String(p?.sku || "").trim().toLowerCase() === skuLower
-        );
-
-        // Delete every matching price (we will recreate the latest one).
-        // This avoids needing PUT support for price update on restrictive tenants.
-        for (const p of matches) {
-          const pid = normalizePriceId(p);
-          if (!pid) continue;
-          try {
-            await deletePrice(String(productId), String(pid));
-            priceDedupe.deleted.push(String(pid));
-          } catch (e) {
-            priceDedupe.errors.push({
-              stage: "deletePrice",
-              priceId: String(pid),
-              status: e?.status || 500,
-              details: e?.data || null,
-            });
-          }
-        }
-
-        // Create fresh price
-        priceAction = "dedupe_delete_then_create";
-        try {
-          priceResp = await createPrice(String(productId), pricePayload);
-        } catch (e) {
-          priceResp = { __error: true, status: e?.status || 500, details: e?.data || null };
-          priceAction = "failed";
-        }
-      } else if (mode === "update" && existingPriceId) {
-        // Try to update mapped priceId (if tenant supports PUT)
-        priceAction = "update";
-        try {
-          priceResp = await putPrice(String(productId), String(existingPriceId), pricePayload);
-        } catch (e) {
-          // Fallback create
-          try {
-            priceResp = await createPrice(String(productId), pricePayload);
-            priceAction = "create_fallback_after_failed_update";
-          } catch (e2) {
-            priceResp = { __error: true, status: e2?.status || 500, details: e2?.data || null };
-            priceAction = "failed";
-          }
-        }
-      } else {
-        // Baseline create
-        priceAction = "create";
-        try {
-          priceResp = await createPrice(String(productId), pricePayload);
-        } catch (e) {
-          priceResp = { __error: true, status: e?.status || 500, details: e?.data || null };
-          priceAction = "failed";
-        }
-      }
-    }
-
-    // 7) Persist mapping (KV) if upsert and key present
-    let mapping = null;
-    let mappingSaved = false;
-
-    if (upsert && dedupeKey) {
-      const priceId =
-        priceResp?.price?._id ||
-        priceResp?.price?.id ||
-        priceResp?._id ||
-        priceResp?.id ||
-        existingPriceId ||
-        null;
-
-      mapping = { productId: String(productId), priceId: priceId ? String(priceId) : null };
-
-      if (kvClient) {
-        mappingSaved = await kvSetMap(mapping);
-      }
-    }
-
-    // 8) Verify
-    const verified = await getProduct(String(productId));
-    const productObj = verified?.product || verified || null;
-
-    return res.status(mode === "update" ? 200 : 201).json({
-      ok: true,
-      build: BUILD_MARKER,
-      mode,
-      upsert: {
-        enabled: upsert,
-        dedupeKey: dedupeKey || null,
-        usedKV: Boolean(await getKV()),
-        mappingKey: kvKey || null,
-        mapping,
-        mappingSaved,
-        priceAction,
-      },
-      productId: String(productId),
-      collection: { name: matched?.name || collectionName, id: resolvedCollectionId },
-      store: {
-        availableInStoreRequested: availableInStore,
-        availableInStoreSeenOnGet: productObj?.availableInStore ?? null,
-      },
-      media: {
-        featured: featuredImageUrl || null,
-        count: Array.isArray(mediasPayload) ? mediasPayload.length : 0,
-      },
-      inventory: {
-        trackInventoryRequested: trackInventory === true,
-        qtyRequested: availableQty ?? null,
-      },
-      seo: {
-        seoTitleRequested: seoTitle || null,
-        seoDescriptionRequested: seoDescription || null,
-        seoSlugRequested: seoSlug || null,
-      },
-      priceDedupe,
-      price: priceResp,
-      verified: productObj,
-      debug: {
-        tokenPrefix,
-        locationId,
-        productType,
-        ghlUrlSample: withTenantParams(`${API_BASE}/products/${productId}`),
-      },
-    });
-  } catch (err) {
-    const status = err?.status || 500;
-    return res.status(status).json({
-      ok: false,
-      build: BUILD_MARKER,
-      error: err?.message || "Unknown error",
-      status,
-      details: err?.data || null,
-      debug: {
-        tokenPrefix,
-        locationId,
-        altType,
-        apiBase: API_BASE,
-        version: VERSION,
-        ghlUrl: err?.url || null,
-      },
-    });
-  }
+  await idem.complete(result.status, result.body, { wrote: client.httpStats.writes > 0 });
+  return res.status(result.status).json(result.body);
 }
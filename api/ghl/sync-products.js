@@ -0,0 +1,196 @@
+// File: /api/ghl/sync-products.js
+// Batch sync: POST { locationId?, items: [<sync-product body>, ...], concurrency? }
+//
+// - Every item is the same body /api/ghl/sync-product accepts (name, sku, price, upsert, ...).
+// - /products/collections is fetched once per batch into the per-location cache every item
+//   resolves from (see /lib/ghl/collections.js).
+// - Items run with bounded concurrency; one failed item never fails the batch.
+// - Response: one { index, ok, status, mode, productId, error } entry per item, in input order.
+//   200 when every item succeeded, 207 when some failed.
+//
+// CSV ingestion (see /lib/ghl/csv.js):
+// - JSON { csv: "<text>", csvFormat?: "generic"|"shopify", columnMap?, defaults?, parseOnly? }
+// - or a raw text/csv body with ?format=&collectionName=&upsert=&locationId=&parseOnly= in the query.
+// csvFormat is auto-detected from the header row when omitted. parseOnly returns the mapped
+// bodies without syncing anything.
+//
+// Every item is checked against /lib/ghl/schema.js; invalid items fail with their field errors.
+//
+// POST requires caller credentials scoped to the batch locationId (see /lib/ghl/auth.js).
+// An Idempotency-Key header replays the stored batch response (see /lib/ghl/idempotency.js).
+// Each item is written to the audit log like a single sync (see /lib/ghl/audit.js).
+// async: true (or ?async=true for raw CSV) answers 202 { jobId } and runs the batch as a job
+// (see /lib/ghl/jobs.js); callbackUrl is notified when it finishes.
+
+import { authenticateRequest, canAccessLocation } from "../../lib/ghl/auth.js";
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { beginIdempotentRequest, sendIdempotentResponse } from "../../lib/ghl/idempotency.js";
+import { csvToSyncBodies, looksLikeShopifyExport } from "../../lib/ghl/csv.js";
+import { executeBatch } from "../../lib/ghl/execute.js";
+import { enqueueJob, jobAcceptedBody, startJob } from "../../lib/ghl/jobs.js";
+import { validateCallbackUrl } from "../../lib/ghl/outbound.js";
+import {
+  applyCors,
+  isCsvRequest,
+  loadRawBody,
+  readJsonBody,
+  readTextBody,
+  resolveAuditSink,
+  resolveStore,
+  resolveTenant,
+  sendError,
+} from "../../lib/ghl/request.js";
+
+export const config = { api: { bodyParser: false } };
+
+const MAX_ITEMS = 2000;
+// Vercel's request body limit (4.5 MB); catalog uploads need more than the 1 MB default.
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+
+// Normalizes JSON, JSON-with-csv and raw CSV requests into { body, items, csv }, or { error }
+// for a body that is not valid JSON.
+function readBatchRequest(req) {
+  if (isCsvRequest(req)) {
+    const q = req.query || {};
+    const defaults = {};
+    if (q.collectionName) defaults.collectionName = String(q.collectionName);
+    if (q.upsert !== undefined) defaults.upsert = String(q.upsert) === "true";
+    return readCsv(readTextBody(req), {
+      locationId: q.locationId,
+      concurrency: q.concurrency,
+      csvFormat: q.format,
+      parseOnly: String(q.parseOnly) === "true",
+      async: String(q.async) === "true",
+      callbackUrl: q.callbackUrl,
+      defaults,
+    });
+  }
+
+  const parsed = readJsonBody(req);
+  if (parsed.error) return { error: parsed.error };
+  const raw = parsed.body;
+  if (raw === null || typeof raw !== "object") return { error: "Request body must be a JSON object or array." };
+  const body = Array.isArray(raw) ? { items: raw } : raw;
+  if (typeof body.csv === "string") return readCsv(body.csv, body);
+
+  const items = Array.isArray(body.items) ? body.items : Array.isArray(body.products) ? body.products : null;
+  return { body, items, csv: null };
+}
+
+function readCsv(text, opts) {
+  const format = opts.csvFormat || (looksLikeShopifyExport(text) ? "shopify" : "generic");
+  const defaults = opts.defaults && typeof opts.defaults === "object" ? opts.defaults : {};
+  const items = csvToSyncBodies(text, { format, columnMap: opts.columnMap, defaults });
+  return {
+    body: { locationId: opts.locationId, concurrency: opts.concurrency, async: opts.async, callbackUrl: opts.callbackUrl },
+    items,
+    csv: { format, products: items.length, parseOnly: opts.parseOnly === true },
+  };
+}
+
+export default async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  // Health check
+  if (req.method === "GET") {
+    return res.status(200).json({
+      ok: true,
+      route: "/api/ghl/sync-products",
+      build: BUILD_MARKER,
+      message: "Batch sync. POST { items: [...] } with the same bodies /api/ghl/sync-product accepts.",
+      limits: { maxItems: MAX_ITEMS, defaultConcurrency: DEFAULT_CONCURRENCY, maxConcurrency: MAX_CONCURRENCY },
+    });
+  }
+
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const raw = await loadRawBody(req, { maxBytes: MAX_BODY_BYTES });
+  if (raw.error) return sendError(res, raw.status, raw.error);
+  const auth = await authenticateRequest(req);
+  if (!auth.ok) return sendError(res, auth.status, auth.error);
+
+  const { body, items, csv, error: bodyError } = readBatchRequest(req);
+  if (bodyError) return sendError(res, 400, bodyError);
+
+  if (csv?.parseOnly) {
+    return res.status(200).json({ ok: true, build: BUILD_MARKER, csv, items });
+  }
+
+  if (!items || !items.length) {
+    return sendError(
+      res,
+      400,
+      csv
+        ? "CSV contained no product rows."
+        : "Missing items. Provide a non-empty items array of product bodies."
+    );
+  }
+  if (items.length > MAX_ITEMS) {
+    return sendError(res, 400, `Too many items (${items.length}). Max per batch: ${MAX_ITEMS}.`);
+  }
+
+  const tenant = await resolveTenant(body);
+  if (tenant.error) return sendError(res, tenant.status, tenant.error);
+  const { client, locationId } = tenant;
+
+  if (!canAccessLocation(auth.principal, locationId)) {
+    return sendError(res, 403, `Caller is not allowed to access location "${locationId}".`);
+  }
+
+  const concurrency = Math.min(
+    Math.max(Number(body.concurrency) || DEFAULT_CONCURRENCY, 1),
+    MAX_CONCURRENCY
+  );
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
+
+  const audit = await resolveAuditSink();
+  if (audit.error) return sendError(res, audit.status, audit.error);
+
+  const asyncJob = body.async === true || String(body.async) === "true";
+  if (asyncJob && !store) {
+    return sendError(res, 400, "async: true needs a state store (DBE_MAPPING_STORE) to keep the job.");
+  }
+  if (body.callbackUrl !== undefined && body.callbackUrl !== null) {
+    const callbackError = asyncJob ? await validateCallbackUrl(body.callbackUrl) : "callbackUrl requires async: true.";
+    if (callbackError) return sendError(res, 400, callbackError);
+  }
+
+  const idem = await beginIdempotentRequest(req, {
+    store,
+    locationId,
+    principal: auth.principal,
+    route: "sync-products",
+  });
+  if (idem.response) return sendIdempotentResponse(res, idem.response);
+
+  const meta = { route: "sync-products", principal: auth.principal, idempotencyKey: idem.key };
+
+  if (asyncJob) {
+    const job = await enqueueJob(store, {
+      locationId,
+      request: { route: "sync-products", items, csv, concurrency },
+      callbackUrl: body.callbackUrl,
+      meta,
+    });
+    const accepted = { ...jobAcceptedBody(job), items: items.length };
+    await idem.complete(202, accepted);
+    await startJob(store, job.id);
+    return res.status(202).json(accepted);
+  }
+
+  const result = await executeBatch({ client, store, audit: audit.sink }, { items, csv, concurrency }, meta);
+
+  await idem.complete(result.status, result.body, { wrote: client.httpStats.writes > 0 });
+  return res.status(result.status).json(result.body);
+}
@@ -0,0 +1,99 @@
+// File: /api/ghl/webhook.js
+// GHL webhook receiver: product / price / order events -> mapping store.
+//
+// - POST <GHL webhook payload>   (register this URL for ProductCreate/Update/Delete,
+//   PriceCreate/Update/Delete and OrderCreate in the marketplace app)
+// - Signature, mapping updates, inventory ledger and forwarding: see /lib/ghl/webhooks.js.
+// - 200 for processed, duplicate and ignored events; 401 for a bad signature; 503 when a mapping
+//   or an inventory ledger is busy (GHL redelivers).
+//
+// Authenticated by GHL's signature, not by caller credentials. Body parsing is off for this
+// route: the signature is checked over the raw request bytes, then the body is parsed.
+
+import { BUILD_MARKER } from "../../lib/ghl/config.js";
+import { applyCors, readJsonBody, readRawBody, resolveStore, sendError } from "../../lib/ghl/request.js";
+import {
+  SUPPORTED_WEBHOOK_TYPES,
+  applyWebhookEvent,
+  claimWebhookDelivery,
+  forwardWebhookEvent,
+  normalizeWebhookEvent,
+  releaseWebhookDelivery,
+  verifyWebhookSignature,
+} from "../../lib/ghl/webhooks.js";
+
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  // Health check
+  if (req.method === "GET") {
+    return res.status(200).json({
+      ok: true,
+      route: "/api/ghl/webhook",
+      build: BUILD_MARKER,
+      message: "GHL webhook receiver. POST signed product / price / order events.",
+      types: SUPPORTED_WEBHOOK_TYPES,
+      signatureKeyConfigured: Boolean(process.env.GHL_WEBHOOK_PUBLIC_KEY),
+      forwarding: Boolean(process.env.DBE_WEBHOOK_FORWARD_URL),
+    });
+  }
+
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed", build: BUILD_MARKER });
+  }
+
+  const body = await readRawBody(req);
+  if (body.error) return sendError(res, body.status, body.error);
+
+  const signatureError = verifyWebhookSignature(req, body.raw);
+  if (signatureError) return sendError(res, 401, signatureError);
+
+  const parsed = readJsonBody({ body: body.raw.toString("utf8") });
+  if (parsed.error) return sendError(res, parsed.status, parsed.error);
+  const payload = parsed.body;
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return sendError(res, 400, "Webhook body must be a JSON object.");
+  }
+
+  const event = normalizeWebhookEvent(payload);
+  if (!event.locationId) return sendError(res, 400, "Webhook payload has no locationId.");
+  if (!event.type) {
+    return res.status(200).json({ ok: true, build: BUILD_MARKER, ignored: true, ghlType: event.ghlType || null });
+  }
+
+  const stateStore = await resolveStore();
+  if (stateStore.error) return sendError(res, stateStore.status, stateStore.error);
+  const { store } = stateStore;
+
+  if (!(await claimWebhookDelivery(store, event))) {
+    return res.status(200).json({ ok: true, build: BUILD_MARKER, duplicate: true, eventId: event.id });
+  }
+
+  let changes;
+  try {
+    changes = await applyWebhookEvent({ store }, event, payload);
+  } catch (err) {
+    await releaseWebhookDelivery(store, event);
+    return sendError(res, err?.status || 500, err?.message || "Webhook processing failed", {
+      retryable: err?.status === 503,
+      eventId: event.id,
+    });
+  }
+
+  const forwarded = await forwardWebhookEvent(event, changes);
+
+  return res.status(200).json({
+    ok: true,
+    build: BUILD_MARKER,
+    event,
+    mappingStore: store?.backend || null,
+    changes,
+    forwarded,
+  });
+}
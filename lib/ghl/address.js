@@ -0,0 +1,68 @@
+// File: /lib/ghl/address.js
+// Guards server-side requests to caller-supplied URLs (media checks, job callbacks).
+//
+// - checkPublicUrl() resolves the host and refuses loopback, private (RFC 1918, fc00::/7),
+//   link-local (169.254/16 incl. cloud metadata, fe80::/10), CGNAT, multicast and reserved
+//   addresses — for IP literals and for every address the name resolves to.
+// - Callers that follow redirects fetch with redirect: "manual" and check every hop.
+
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+
+const BLOCKED = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED.addSubnet(net, prefix, "ipv4");
+}
+for (const [net, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(net, prefix, "ipv6");
+}
+
+// true for addresses a server-side fetch must not reach (IPv4-mapped IPv6 included).
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Returns an error message when `url` is not http(s) (https only with requireHttps) or its host
+// is or resolves to a private address, else null. `label` names the field in messages.
+export async function checkPublicUrl(url, { label = "URL", requireHttps = false } = {}) {
+  let u;
+  try {
+    u = new URL(String(url));
+  } catch {
+    return `${label} must be an absolute URL.`;
+  }
+  if (requireHttps ? u.protocol !== "https:" : u.protocol !== "https:" && u.protocol !== "http:") {
+    return `${label} must be an ${requireHttps ? "https" : "http(s)"} URL.`;
+  }
+
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = isIP(host) ? [host] : (await lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+  } catch {
+    return `${label} host "${host}" could not be resolved.`;
+  }
+  if (!addresses.length || addresses.some(isPrivateAddress)) {
+    return `${label} host "${host}" is a private, loopback or link-local address.`;
+  }
+  return null;
+}
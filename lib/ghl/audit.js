@@ -0,0 +1,290 @@
+// File: /lib/ghl/audit.js
+// Audit log: one structured event per sync / archive / delete, queryable per SKU.
+//
+// DBE_AUDIT_SINK selects where events go:
+// - "stdout"  one JSON line per event ({ type: "dbe.audit", ... }) in the function logs. Default.
+//             Not queryable.
+// - "kv"      @vercel/kv lists: dbe:audit:<locationId>:<dedupeKey> (newest first), trimmed to
+//             DBE_AUDIT_MAX_EVENTS (default 500) per key.
+// - "file"    JSONL appended to DBE_AUDIT_FILE (default ./.data/dbe-audit.jsonl); single process only.
+// - "memory"  per instance, lost on cold start (local tests).
+// - "none"    no audit log.
+//
+// Events carry compact before/after snapshots (product fields + prices) and the field-level
+// `changes` between them. The snapshots cost a getProduct + listPrices before an update and a
+// listPrices after it; they are skipped when the sink is "none".
+// Syncs without sku/externalId and dry runs are not recorded.
+// Writing an event never fails the request: sink errors are logged and swallowed.
+
+import { appendFileSync, mkdirSync, readFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { randomUUID } from "node:crypto";
+import { getKV } from "./kv.js";
+import { extractPricesArray, normalizeCollectionId, normalizePriceId } from "./client.js";
+
+const SINKS = ["stdout", "kv", "file", "memory", "none"];
+
+function maxEvents() {
+  const n = Number(process.env.DBE_AUDIT_MAX_EVENTS);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 500;
+}
+
+export function auditKey(locationId, dedupeKey) {
+  return `dbe:audit:${locationId}:${dedupeKey}`;
+}
+
+// Newest first, within [from, to] (ms), at most `limit`.
+function filterEvents(events, { from, to, limit }) {
+  return events
+    .filter((e) => {
+      const t = Date.parse(e?.at);
+      return (from === null || t >= from) && (to === null || t <= to);
+    })
+    .sort((a, b) => Date.parse(b.at) - Date.parse(a.at))
+    .slice(0, limit);
+}
+
+// ---------- Sinks ----------
+// Every sink: { backend, append(event), query?({ locationId, dedupeKey, from, to, limit }) }.
+
+function stdoutSink() {
+  return {
+    backend: "stdout",
+    async append(event) {
+      console.log(JSON.stringify({ type: "dbe.audit", ...event }));
+    },
+    query: null,
+  };
+}
+
+function kvSink(kvClient) {
+  return {
+    backend: "kv",
+    async append(event) {
+      const key = auditKey(event.locationId, event.dedupeKey);
+      await kvClient.lpush(key, event);
+      await kvClient.ltrim(key, 0, maxEvents() - 1);
+    },
+    async query({ locationId, dedupeKey, ...range }) {
+      const events = await kvClient.lrange(auditKey(locationId, dedupeKey), 0, -1);
+      return filterEvents(
+        (events || []).map((e) => (typeof e === "string" ? JSON.parse(e) : e)),
+        range
+      );
+    },
+  };
+}
+
+function fileSink() {
+  const file = process.env.DBE_AUDIT_FILE || "./.data/dbe-audit.jsonl";
+  return {
+    backend: "file",
+    async append(event) {
+      mkdirSync(dirname(file), { recursive: true });
+      appendFileSync(file, `${JSON.stringify(event)}\n`);
+    },
+    async query({ locationId, dedupeKey, ...range }) {
+      let text = "";
+      try {
+        text = readFileSync(file, "utf8");
+      } catch (e) {
+        if (e?.code !== "ENOENT") throw e;
+      }
+      const events = [];
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const e = JSON.parse(line);
+          if (e.locationId === locationId && e.dedupeKey === dedupeKey) events.push(e);
+        } catch {
+          // torn write; skip the line
+        }
+      }
+      return filterEvents(events, range);
+    },
+  };
+}
+
+function memorySink() {
+  const lists = new Map();
+  return {
+    backend: "memory",
+    async append(event) {
+      const key = auditKey(event.locationId, event.dedupeKey);
+      const list = [structuredClone(event), ...(lists.get(key) || [])].slice(0, maxEvents());
+      lists.set(key, list);
+    },
+    async query({ locationId, dedupeKey, ...range }) {
+      return filterEvents(lists.get(auditKey(locationId, dedupeKey)) || [], range);
+    },
+  };
+}
+
+let cached = undefined;
+
+// Resolves the configured sink once per instance. Returns null for "none".
+// Throws (err.status 500) for an unknown or unavailable sink, like getMappingStore().
+export async function getAuditSink() {
+  if (cached !== undefined) return cached;
+
+  const configured = String(process.env.DBE_AUDIT_SINK || "stdout").trim().toLowerCase();
+  if (!SINKS.includes(configured)) {
+    const err = new Error(`Unknown DBE_AUDIT_SINK "${configured}". Use one of: ${SINKS.join(", ")}.`);
+    err.status = 500;
+    throw err;
+  }
+
+  if (configured === "kv") {
+    const kvClient = await getKV();
+    if (!kvClient) {
+      const err = new Error(`Audit sink "kv" unavailable: @vercel/kv is not available`);
+      err.status = 500;
+      throw err;
+    }
+    cached = kvSink(kvClient);
+  } else if (configured === "file") {
+    cached = fileSink();
+  } else if (configured === "memory") {
+    cached = memorySink();
+  } else if (configured === "stdout") {
+    cached = stdoutSink();
+  } else {
+    cached = null;
+  }
+  return cached;
+}
+
+// ---------- Snapshots ----------
+
+// GHL product (+ its prices) -> the fields an audit event compares.
+export function auditSnapshot(product, prices) {
+  if (!product) return null;
+  return {
+    name: product.name ?? null,
+    description: product.description ?? null,
+    availableInStore: product.availableInStore ?? null,
+    availableQuantity: product.availableQuantity ?? null,
+    image: product.image ?? null,
+    collectionIds: (Array.isArray(product.collectionIds) ? product.collectionIds : [])
+      .map((c) => String(normalizeCollectionId(c) || c))
+      .sort(),
+    mediaUrls: (Array.isArray(product.medias) ? product.medias : []).map((m) => m?.url || null),
+    prices: (Array.isArray(prices) ? prices : []).map((p) => ({
+      priceId: normalizePriceId(p) ? String(normalizePriceId(p)) : null,
+      sku: p?.sku || null,
+      currency: p?.currency || null,
+      type: p?.type || null,
+      amount: p?.amount ?? null,
+      compareAt: p?.compareAt ?? null,
+      availableQuantity: p?.availableQuantity ?? null,
+    })),
+  };
+}
+
+// Snapshot of a product as GHL has it now; pass `product` when it was just fetched.
+// null when the product does not exist or cannot be read.
+export async function readAuditSnapshot(client, productId, product = undefined) {
+  try {
+    let p = product;
+    if (p === undefined) {
+      const resp = await client.getProduct(String(productId));
+      p = resp?.product || resp || null;
+    }
+    if (!p) return null;
+    return auditSnapshot(p, extractPricesArray(await client.listPrices(String(productId))));
+  } catch {
+    return null;
+  }
+}
+
+// before/after snapshots -> [{ field, from, to }]. Prices are compared per SKU — per
+// "<sku>|<CURRENCY>|<type>" when a SKU has several prices (see /lib/ghl/prices.js); price ids
+// change on every dedupe, so they are not compared.
+export function auditChanges(before, after) {
+  if (!before && !after) return [];
+  const changes = [];
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  for (const field of ["name", "description", "availableInStore", "availableQuantity", "image", "collectionIds", "mediaUrls"]) {
+    if (!same(before?.[field], after?.[field])) {
+      changes.push({ field, from: before?.[field] ?? null, to: after?.[field] ?? null });
+    }
+  }
+
+  const skuOf = (p) => String(p.sku || p.priceId || "").toLowerCase();
+  const identities = new Map();
+  for (const p of [...(before?.prices || []), ...(after?.prices || [])]) {
+    const set = identities.get(skuOf(p)) || new Set();
+    set.add(`${String(p.currency || "").toUpperCase()}|${p.type || "one_time"}`);
+    identities.set(skuOf(p), set);
+  }
+  const keyOf = (p) =>
+    identities.get(skuOf(p)).size > 1
+      ? `${skuOf(p)}|${String(p.currency || "").toUpperCase()}|${p.type || "one_time"}`
+      : skuOf(p);
+
+  const bySku = (snap) => {
+    const map = new Map();
+    for (const p of snap?.prices || []) {
+      const key = keyOf(p);
+      if (!map.has(key)) map.set(key, p);
+    }
+    return map;
+  };
+  const b = bySku(before);
+  const a = bySku(after);
+  for (const key of new Set([...b.keys(), ...a.keys()])) {
+    for (const field of ["amount", "compareAt", "currency", "availableQuantity"]) {
+      const from = b.get(key)?.[field] ?? null;
+      const to = a.get(key)?.[field] ?? null;
+      if (!same(from, to)) changes.push({ field: `prices[${key}].${field}`, from, to });
+    }
+  }
+  return changes;
+}
+
+// ---------- Events ----------
+
+// result: { status, body, audit? } from syncProduct() / removeProduct(), or an error body.
+export function buildAuditEvent({ route, action, locationId, input, result, principal, idempotencyKey }) {
+  const body = result?.body || {};
+  const before = result?.audit?.before ?? null;
+  const after = result?.audit?.after ?? null;
+
+  return {
+    id: randomUUID(),
+    at: new Date().toISOString(),
+    route,
+    action,
+    locationId,
+    dedupeKey: input.dedupeKey || null,
+    sku: input.sku || null,
+    externalId: input.externalId || null,
+    ok: body.ok === true,
+    status: result?.status ?? null,
+    mode: body.mode || (action === "sync" ? null : action),
+    productId: body.productId ? String(body.productId) : null,
+    priceAction: body.upsert?.priceAction ?? body.priceAction ?? null,
+    deletedPriceIds: body.priceDedupe?.deleted || body.pricesDeleted || [],
+    before,
+    after,
+    changes: auditChanges(before, after),
+    error: body.ok === true ? null : body.error || null,
+    clientId: principal?.clientId || null,
+    idempotencyKey: idempotencyKey || null,
+  };
+}
+
+// Appends the event unless the sink is "none", there is no dedupe key, or it was a dry run.
+// Returns the event (null when nothing was written).
+export async function recordAuditEvent(sink, params) {
+  if (!sink || !params.input?.dedupeKey || params.input?.dryRun) return null;
+  const event = buildAuditEvent(params);
+  try {
+    await sink.append(event);
+    return event;
+  } catch (e) {
+    console.error(`[dbe] audit append failed (${sink.backend}): ${e?.message || e}`);
+    return null;
+  }
+}
@@ -0,0 +1,195 @@
+// File: /lib/ghl/auth.js
+// Caller authentication for the write routes. Runs before any GHL call.
+//
+// Two schemes, both backed by KV records scoped to the locationIds a caller may touch
+// (["*"] = every location):
+//
+// - Bearer API key:   Authorization: Bearer <key>
+//   KV "dbe:apikey:<sha256 hex of key>" -> { clientId, name?, locationIds: [...], disabled? }
+//
+// - HMAC signature:   X-DBE-Client-Id: <clientId>
+//                     X-DBE-Timestamp: <unix seconds>   (must be within 5 minutes)
+//                     X-DBE-Signature: sha256=<hex HMAC-SHA256(secret,
+//                                      "<timestamp>.<METHOD>.<path?query>.<body>")>
+//   KV "dbe:client:<clientId>" -> { secret, name?, locationIds: [...], disabled? }
+//   <path?query> is the request target as sent (e.g. /api/ghl/sync-product?sku=A1); <body> is the
+//   raw request body, "" when empty. The routes turn body parsing off and read the bytes first
+//   (loadRawBody() in /lib/ghl/request.js); a body that was already parsed cannot be verified.
+//   Each signature is accepted once: replays within the window are rejected
+//   (KV "dbe:hmacseen:<clientId>:<signature>", per instance without KV). Retries must re-sign.
+//
+// Env:
+// - DBE_API_KEYS: optional JSON { "<key>": ["<locationId>", ...] } for setups without KV.
+// - DBE_AUTH_DISABLED=true skips authentication entirely (local development only).
+// - CRON_SECRET: Vercel Cron's Authorization: Bearer <secret> on the worker routes (isCronRequest()).
+
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { getKV } from "./kv.js";
+
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+// signature -> expiry (ms), when KV is unavailable
+const seenSignatures = new Map();
+
+export function hashApiKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex");
+}
+
+function header(req, name) {
+  const v = req.headers?.[name];
+  return Array.isArray(v) ? String(v[0] || "") : String(v || "");
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && timingSafeEqual(ba, bb);
+}
+
+// The request bytes as sent, or null when only a parsed body is left.
+export function rawBodyForSignature(req) {
+  const body = req.rawBody ?? req.body;
+  if (typeof body === "string") return body;
+  if (Buffer.isBuffer(body)) return body.toString("utf8");
+  return body === undefined || body === null ? "" : null;
+}
+
+// What X-DBE-Signature covers: timestamp, method, request target and raw body
+// (null when the raw body is not available).
+export function signaturePayload(req, timestamp) {
+  const rawBody = rawBodyForSignature(req);
+  if (rawBody === null) return null;
+  const method = String(req.method || "GET").toUpperCase();
+  return `${timestamp}.${method}.${String(req.url || "/")}.${rawBody}`;
+}
+
+// true the first time a signature is seen within the tolerance window, false for a replay.
+async function claimSignature(clientId, signature) {
+  const kvClient = await getKV();
+  if (kvClient) {
+    try {
+      const ok = await kvClient.set(`dbe:hmacseen:${clientId}:${signature}`, 1, {
+        nx: true,
+        ex: SIGNATURE_TOLERANCE_SEC * 2,
+      });
+      return ok !== null;
+    } catch {
+      // KV unreachable: fall back to the per-instance cache
+    }
+  }
+  const now = Date.now();
+  for (const [sig, expiresAt] of seenSignatures) if (expiresAt <= now) seenSignatures.delete(sig);
+  const key = `${clientId}:${signature}`;
+  if (seenSignatures.has(key)) return false;
+  seenSignatures.set(key, now + SIGNATURE_TOLERANCE_SEC * 2 * 1000);
+  return true;
+}
+
+function toPrincipal(record, scheme, fallbackId) {
+  if (!record || typeof record !== "object" || record.disabled === true) return null;
+  const locationIds = Array.isArray(record.locationIds) ? record.locationIds.map(String) : [];
+  return {
+    clientId: String(record.clientId || fallbackId || ""),
+    name: record.name ? String(record.name) : null,
+    scheme,
+    locationIds,
+  };
+}
+
+function envApiKeys() {
+  try {
+    const parsed = JSON.parse(process.env.DBE_API_KEYS || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+async function kvGet(key) {
+  const kvClient = await getKV();
+  if (!kvClient) return null;
+  try {
+    return await kvClient.get(key);
+  } catch {
+    return null;
+  }
+}
+
+async function authenticateBearer(key) {
+  const envKeys = envApiKeys();
+  for (const [envKey, locationIds] of Object.entries(envKeys)) {
+    if (safeEqual(envKey, key)) {
+      return toPrincipal(
+        { clientId: `env:${hashApiKey(envKey).slice(0, 8)}`, locationIds },
+        "bearer"
+      );
+    }
+  }
+
+  const hash = hashApiKey(key);
+  const record = await kvGet(`dbe:apikey:${hash}`);
+  return toPrincipal(record, "bearer", `key:${hash.slice(0, 8)}`);
+}
+
+async function authenticateHmac(req, clientId) {
+  const timestamp = header(req, "x-dbe-timestamp");
+  const signature = header(req, "x-dbe-signature").replace(/^sha256=/, "");
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > SIGNATURE_TOLERANCE_SEC) {
+    return { error: "Signature timestamp missing or outside the allowed window." };
+  }
+
+  const record = await kvGet(`dbe:client:${clientId}`);
+  if (!record?.secret) return { error: "Unknown client." };
+
+  const payload = signaturePayload(req, timestamp);
+  if (payload === null) {
+    return { status: 500, error: "Request body was parsed before its signature could be verified; body parsing must be off for this route." };
+  }
+  const expected = createHmac("sha256", String(record.secret)).update(payload).digest("hex");
+  if (!signature || !safeEqual(signature, expected)) return { error: "Invalid signature." };
+  if (!(await claimSignature(clientId, expected))) return { error: "Signature already used. Sign every request anew." };
+
+  const principal = toPrincipal(record, "hmac", clientId);
+  return principal ? { principal } : { error: "Client disabled." };
+}
+
+// Returns { ok: true, principal } or { ok: false, status: 401, error }.
+export async function authenticateRequest(req) {
+  if (String(process.env.DBE_AUTH_DISABLED || "").toLowerCase() === "true") {
+    return { ok: true, principal: { clientId: "anonymous", name: null, scheme: "disabled", locationIds: ["*"] } };
+  }
+
+  const clientId = header(req, "x-dbe-client-id").trim();
+  if (clientId) {
+    const result = await authenticateHmac(req, clientId);
+    if (result.error) return { ok: false, status: result.status || 401, error: result.error };
+    return { ok: true, principal: result.principal };
+  }
+
+  const authz = header(req, "authorization");
+  const match = authz.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    const principal = await authenticateBearer(match[1].trim());
+    if (!principal) return { ok: false, status: 401, error: "Invalid API key." };
+    return { ok: true, principal };
+  }
+
+  return {
+    ok: false,
+    status: 401,
+    error: "Missing credentials. Send Authorization: Bearer <key> or X-DBE-Client-Id/X-DBE-Timestamp/X-DBE-Signature.",
+  };
+}
+
+export function canAccessLocation(principal, locationId) {
+  const ids = principal?.locationIds || [];
+  return ids.includes("*") || ids.includes(String(locationId));
+}
+
+// Vercel Cron sends Authorization: Bearer $CRON_SECRET.
+export function isCronRequest(req) {
+  const secret = String(process.env.CRON_SECRET || "");
+  return Boolean(secret) && safeEqual(header(req, "authorization"), `Bearer ${secret}`);
+}
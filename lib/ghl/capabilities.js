@@ -0,0 +1,244 @@
+// File: /lib/ghl/capabilities.js
+// Per-location capability profile: which product / price operations and fields the tenant
+// actually supports (see "Tenant variability" in /lib/ghl/sync.js).
+//
+// - probeCapabilities() creates a scratch product (untagged, "DBE capability probe"), PUTs it
+//   with SEO + inventory fields and reads them back, creates / PUTs / DELETEs a price on it and
+//   finally deletes it. 404 / 405 / 501 mark the operation unsupported; any other error (auth,
+//   rate limit, validation, 5xx, network) leaves it unknown (null).
+// - The profile is cached in the state store as dbe:capabilities:<locationId> for
+//   DBE_CAPABILITY_TTL_SEC (default 7 days). Without a store nothing is probed or cached.
+// - Probing writes to the tenant, so it is opt-in: GET /api/ghl/sync-product?probe=1 probes a
+//   location on request, and DBE_CAPABILITY_PROBE=auto (default off) lets the first sync of a
+//   location without a profile probe it (once, under a lock). Without a profile syncs use "legacy".
+// - Operation failures seen during syncs (405 / 501 on a price PUT / DELETE) are written back
+//   into the cached profile, so the next sync does not try them again.
+//
+// priceStrategy (see priceStrategyFor()):
+// - "put"                  price PUT works: update prices in place.
+// - "delete_then_create"   no PUT, DELETE works: replace prices.
+// - "create_only"          neither: create, leave old prices.
+// - "legacy"               no profile: try PUT / DELETE and fall back on failure.
+
+import { BUILD_MARKER } from "./config.js";
+import { extractPricesArray, normalizePriceId, normalizeProductId, priceIdFromResponse } from "./client.js";
+import { acquireLock, lockKey } from "./lock.js";
+
+const PROBE_NAME = "DBE capability probe (safe to delete)";
+const PROBE_SKU = "dbe-capability-probe";
+const PROFILE_VERSION = 1;
+
+// locationId -> Promise<profile> (one probe per location per instance)
+const probing = new Map();
+
+function ttlSec() {
+  const n = Number(process.env.DBE_CAPABILITY_TTL_SEC);
+  return Number.isFinite(n) && n > 0 ? n : 7 * 24 * 60 * 60;
+}
+
+function autoProbeEnabled() {
+  return ["auto", "on", "true"].includes(String(process.env.DBE_CAPABILITY_PROBE || "").trim().toLowerCase());
+}
+
+export function capabilitiesKey(locationId) {
+  return `dbe:capabilities:${locationId}`;
+}
+
+export function priceStrategyFor(profile) {
+  const ops = profile?.operations;
+  if (!ops) return "legacy";
+  if (ops.putPrice === true) return "put";
+  if (ops.deletePrice === true) return "delete_then_create";
+  if (ops.putPrice === false && ops.deletePrice === false) return "create_only";
+  return "legacy";
+}
+
+// true (worked), false (404 / 405 / 501: not supported), null (unknown: any other error, e.g. a
+// 400 for a payload this tenant rejects, 401 / 403 / 429 or a 5xx). A 404 counts here because
+// the probe only addresses the scratch product it just created.
+function supportFromError(e) {
+  const status = Number(e?.status);
+  return status === 404 || isUnsupportedStatus(status) ? false : null;
+}
+
+async function attempt(report, step, fn) {
+  try {
+    const value = await fn();
+    report.operations[step] = true;
+    return { ok: true, value };
+  } catch (e) {
+    report.operations[step] = supportFromError(e);
+    report.errors.push({ step, status: e?.status || null, details: e?.data || null });
+    return { ok: false };
+  }
+}
+
+// Runs the probe against the live tenant. Never throws; returns the profile.
+export async function probeCapabilities(client) {
+  const { locationId } = client;
+  const report = {
+    operations: {
+      createProduct: null,
+      putProduct: null,
+      deleteProduct: null,
+      createPrice: null,
+      putPrice: null,
+      deletePrice: null,
+    },
+    fields: { seo: null, inventory: null },
+    errors: [],
+  };
+
+  const created = await attempt(report, "createProduct", () =>
+    client.createProduct({ name: PROBE_NAME, locationId, productType: "PHYSICAL", availableInStore: false })
+  );
+  const productId = created.ok ? normalizeProductId(created.value?.product || created.value) : null;
+
+  if (productId) {
+    try {
+      const put = await attempt(report, "putProduct", () =>
+        client.putProduct(String(productId), {
+          name: PROBE_NAME,
+          locationId,
+          productType: "PHYSICAL",
+          availableInStore: false,
+          seoTitle: PROBE_NAME,
+          seoDescription: PROBE_NAME,
+          trackInventory: true,
+          availableQuantity: 1,
+          quantity: 1,
+        })
+      );
+      if (put.ok) {
+        try {
+          const got = await client.getProduct(String(productId));
+          const p = got?.product || got || {};
+          report.fields.seo = p.seoTitle === PROBE_NAME || p.seo?.title === PROBE_NAME;
+          report.fields.inventory =
+            p.trackInventory === true || Number(p.availableQuantity ?? p.quantity) === 1;
+        } catch (e) {
+          report.errors.push({ step: "getProduct", status: e?.status || null, details: e?.data || null });
+        }
+      }
+
+      const pricePayload = {
+        product: String(productId),
+        locationId,
+        name: `${PROBE_NAME} - Price`,
+        type: "one_time",
+        currency: "USD",
+        amount: 1,
+        sku: PROBE_SKU,
+      };
+      const price = await attempt(report, "createPrice", () => client.createPrice(String(productId), pricePayload));
+      const priceId = price.ok ? priceIdFromResponse(price.value) : null;
+
+      if (priceId) {
+        await attempt(report, "putPrice", () =>
+          client.putPrice(String(productId), String(priceId), { ...pricePayload, amount: 2 })
+        );
+        const deleted = await attempt(report, "deletePrice", () =>
+          client.deletePrice(String(productId), String(priceId))
+        );
+        // Some tenants answer 200 without deleting: check the price is really gone.
+        if (deleted.ok) {
+          try {
+            const left = extractPricesArray(await client.listPrices(String(productId)));
+            if (left.some((p) => String(normalizePriceId(p)) === String(priceId))) {
+              report.operations.deletePrice = false;
+            }
+          } catch {
+            // keep the DELETE answer
+          }
+        }
+      }
+    } finally {
+      await attempt(report, "deleteProduct", () => client.deleteProduct(String(productId)));
+    }
+  }
+
+  const profile = {
+    version: PROFILE_VERSION,
+    locationId,
+    probedAt: new Date().toISOString(),
+    source: "probe",
+    complete: Boolean(productId),
+    operations: report.operations,
+    fields: report.fields,
+    errors: report.errors,
+    build: BUILD_MARKER,
+  };
+  profile.priceStrategy = priceStrategyFor(profile);
+  if (productId && report.operations.deleteProduct !== true) profile.leftover = { productId: String(productId) };
+  return profile;
+}
+
+// Cached profile for locationId, or null.
+export async function getCapabilityProfile(store, locationId) {
+  if (!store) return null;
+  try {
+    const profile = await store.get(capabilitiesKey(locationId));
+    return profile?.version === PROFILE_VERSION ? profile : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveProfile(store, profile) {
+  await store.set(capabilitiesKey(profile.locationId), profile, { ex: ttlSec() });
+}
+
+// Probes and caches (an incomplete probe — no scratch product — is returned but not cached).
+// Returns the profile, or null when another instance is probing this location right now.
+export async function refreshCapabilityProfile({ client, store }) {
+  const { locationId } = client;
+  if (probing.has(locationId)) return await probing.get(locationId);
+
+  const run = (async () => {
+    const lock = store ? await acquireLock(store, lockKey(locationId, "capabilities"), { waitMs: 0 }) : null;
+    if (lock && !lock.acquired) return null;
+    try {
+      const profile = await probeCapabilities(client);
+      if (store && profile.complete) await saveProfile(store, profile);
+      return profile;
+    } finally {
+      await lock?.release();
+    }
+  })().finally(() => probing.delete(locationId));
+
+  probing.set(locationId, run);
+  return await run;
+}
+
+// What syncs use: the cached profile, probing first when there is none (store configured,
+// DBE_CAPABILITY_PROBE=auto). null -> "legacy" strategy.
+export async function loadCapabilityProfile({ client, store }, { probe = true } = {}) {
+  if (!store) return null;
+  const cached = await getCapabilityProfile(store, client.locationId);
+  if (cached || !probe || !autoProbeEnabled()) return cached;
+  return await refreshCapabilityProfile({ client, store });
+}
+
+// Records an operation outcome observed outside the probe (e.g. a price PUT answering 405).
+// Only updates an existing profile; best-effort.
+export async function noteCapability(store, locationId, operation, supported) {
+  const profile = await getCapabilityProfile(store, locationId);
+  if (!profile || profile.operations?.[operation] === supported) return;
+  const next = {
+    ...profile,
+    operations: { ...profile.operations, [operation]: supported },
+    observed: { ...(profile.observed || {}), [operation]: new Date().toISOString() },
+  };
+  next.priceStrategy = priceStrategyFor(next);
+  try {
+    await saveProfile(store, next);
+  } catch {
+    // the next probe corrects it
+  }
+}
+
+// Status codes on a sync write that mean "this tenant does not support the operation"
+// (404 / 400 are ambiguous there: a stale id or a bad payload).
+export function isUnsupportedStatus(status) {
+  return status === 405 || status === 501;
+}
@@ -0,0 +1,311 @@
+// File: /lib/ghl/client.js
+// LeadConnector (GHL) REST client bound to one location.
+//
+// Tenant requirement: altId + altType + locationId MUST be query params on every call.
+//
+// Auth: pass `tokens` (a provider from /lib/ghl/credentials.js) for per-location credentials
+// with transparent refresh, or a plain `token` string.
+//
+// Every call goes through /lib/ghl/http.js (retries, per-location rate limit, timeouts);
+// `httpStats` accumulates the counters for the response `debug` block.
+
+import { API_BASE, VERSION } from "./config.js";
+import { createHttpStats, fetchWithRetry, readResponseData } from "./http.js";
+
+// POST failures where GHL may still have processed the request (bad gateway, timeout).
+const AMBIGUOUS_POST_STATUS = new Set([502, 504]);
+
+function staticTokens(token) {
+  return {
+    source: "static",
+    current: token,
+    async get() {
+      return token;
+    },
+    async refresh() {
+      return null;
+    },
+  };
+}
+
+export function createGhlClient({ token, tokens, locationId }) {
+  const altType = "location";
+  const altId = locationId;
+
+  const auth = tokens || staticTokens(token);
+  const httpStats = createHttpStats();
+
+  function withTenantParams(url) {
+    const u = new URL(url);
+    u.searchParams.set("altId", altId);
+    u.searchParams.set("altType", altType);
+    u.searchParams.set("locationId", locationId);
+    return u.toString();
+  }
+
+  // fetch with the location's access token; one refresh + retry when GHL answers 401.
+  async function authorizedFetch(url, { method, body, retryUnsafe }) {
+    const send = (accessToken) =>
+      fetchWithRetry(
+        url,
+        {
+          method,
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            Version: VERSION,
+            // multipart bodies set their own boundary
+            ...(body instanceof FormData ? {} : { "Content-Type": "application/json" }),
+          },
+          body,
+        },
+        { limiterKey: locationId, stats: httpStats, retryUnsafe }
+      );
+
+    const resp = await send(await auth.get());
+    if (resp.status !== 401) return resp;
+
+    const refreshed = await auth.refresh();
+    return refreshed ? await send(refreshed) : resp;
+  }
+
+  async function ghlRequest(url, { method = "GET", json, form, retryUnsafe = false } = {}) {
+    const resp = await authorizedFetch(url, {
+      method,
+      body: form || (json ? JSON.stringify(json) : undefined),
+      retryUnsafe,
+    });
+
+    const data = await readResponseData(resp);
+
+    if (!resp.ok) {
+      const err = new Error(`GHL ${resp.status}`);
+      err.status = resp.status;
+      err.data = data;
+      err.url = url;
+      throw err;
+    }
+
+    return data;
+  }
+
+  async function ghlFetch(path, opts = {}) {
+    return await ghlRequest(withTenantParams(`${API_BASE}${path}`), opts);
+  }
+
+  // ---------- Collections ----------
+  async function fetchCollections() {
+    const data = await ghlFetch(`/products/collections`, { method: "GET" });
+    const arr =
+      data?.collections ||
+      data?.data ||
+      data?.items ||
+      (Array.isArray(data) ? data : []);
+    return Array.isArray(arr) ? arr : [];
+  }
+  async function createCollection(name) {
+    const data = await ghlFetch(`/products/collections`, {
+      method: "POST",
+      json: { altId, altType, name },
+    });
+    return data?.data || data?.collection || data;
+  }
+
+  // ---------- Products ----------
+  async function createProduct(payload) {
+    return await ghlFetch(`/products/`, { method: "POST", json: payload });
+  }
+  async function putProduct(productId, payload) {
+    return await ghlFetch(`/products/${productId}`, { method: "PUT", json: payload });
+  }
+  async function getProduct(productId) {
+    return await ghlFetch(`/products/${productId}`, { method: "GET" });
+  }
+  async function deleteProduct(productId) {
+    return await ghlFetch(`/products/${productId}`, { method: "DELETE" });
+  }
+
+  // ---------- Prices ----------
+  async function createPrice(productId, pricePayload) {
+    const post = () => ghlFetch(`/products/${productId}/price`, { method: "POST", json: pricePayload });
+    // Price ids before the POST, so an ambiguous failure never adopts a price that already existed.
+    const before = await listPriceIds(productId).catch(() => null);
+    try {
+      return await post();
+    } catch (e) {
+      // 502 / 504 / timeout: GHL may have created the price anyway. Adopt it instead of POSTing a
+      // duplicate (nothing dedupes non-upsert or SKU-less prices); retry once when it is not there.
+      // Without the earlier listing a new price cannot be told apart: give up with the error.
+      if (!AMBIGUOUS_POST_STATUS.has(e?.status) || !before) throw e;
+      const created = await findCreatedPrice(productId, pricePayload, before).catch(() => null);
+      if (created) return created;
+      return await post();
+    }
+  }
+  async function listPriceIds(productId) {
+    const prices = extractPricesArray(await listPrices(productId));
+    return new Set(prices.map((p) => normalizePriceId(p)).filter(Boolean).map(String));
+  }
+  // The newest listed price equal to `payload` (name, currency, type, amount, sku) whose id is not
+  // in `existingIds`, or null.
+  async function findCreatedPrice(productId, payload, existingIds) {
+    const same = (a, b) => String(a ?? "") === String(b ?? "");
+    const prices = extractPricesArray(await listPrices(productId));
+    const matches = prices.filter(
+      (p) =>
+        normalizePriceId(p) &&
+        !existingIds.has(String(normalizePriceId(p))) &&
+        same(p?.name, payload.name) &&
+        same(p?.currency, payload.currency) &&
+        same(p?.type, payload.type) &&
+        Number(p?.amount) === Number(payload.amount) &&
+        same(p?.sku, payload.sku)
+    );
+    return matches.length ? matches[matches.length - 1] : null;
+  }
+  async function putPrice(productId, priceId, payload) {
+    return await ghlFetch(`/products/${productId}/price/${priceId}`, {
+      method: "PUT",
+      json: payload,
+    });
+  }
+  async function listPrices(productId) {
+    return await ghlFetch(`/products/${productId}/price`, { method: "GET" });
+  }
+  async function deletePrice(productId, priceId) {
+    // Tenant-dependent. If unsupported, it will throw.
+    return await ghlFetch(`/products/${productId}/price/${priceId}`, {
+      method: "DELETE",
+    });
+  }
+
+  // ---------- Media library ----------
+  // { bytes, contentType, fileName } uploads the file; { fileUrl } lets GHL fetch and host it.
+  // Returns { fileId, url }.
+  async function uploadMedia({ bytes, contentType, fileName, fileUrl }) {
+    const form = new FormData();
+    if (fileUrl) {
+      form.set("hosted", "true");
+      form.set("fileUrl", fileUrl);
+    } else {
+      form.set("file", new Blob([bytes], { type: contentType }), fileName);
+    }
+    if (fileName) form.set("name", fileName);
+
+    const data = await ghlFetch(`/medias/upload-file`, { method: "POST", form });
+    return {
+      fileId: data?.fileId || data?._id || data?.id || null,
+      url: data?.url || data?.fileUrl || null,
+    };
+  }
+
+  // ---------- Fallback product search (no KV) ----------
+  async function listProductsByNameSearch(searchTerm) {
+    const u = new URL(`${API_BASE}/products/`);
+    u.searchParams.set("search", String(searchTerm || "").slice(0, 64));
+    const url = withTenantParams(u.toString());
+
+    const data = await ghlRequest(url, { method: "GET" });
+
+    const arr =
+      data?.products || data?.data || data?.items || (Array.isArray(data) ? data : []);
+    return Array.isArray(arr) ? arr : [];
+  }
+
+  // Every product in the location (limit/offset pages until a short page or `total`).
+  async function listAllProducts({ pageSize = 100, maxPages = 200 } = {}) {
+    const all = [];
+    for (let page = 0; page < maxPages; page++) {
+      const u = new URL(`${API_BASE}/products/`);
+      u.searchParams.set("limit", String(pageSize));
+      u.searchParams.set("offset", String(page * pageSize));
+      const data = await ghlRequest(withTenantParams(u.toString()), { method: "GET" });
+
+      const arr =
+        data?.products || data?.data || data?.items || (Array.isArray(data) ? data : []);
+      const batch = Array.isArray(arr) ? arr : [];
+      all.push(...batch);
+
+      const total = Number(data?.total);
+      if (batch.length < pageSize || (Number.isFinite(total) && all.length >= total)) break;
+    }
+    return all;
+  }
+
+  return {
+    locationId,
+    altType,
+    altId,
+    get tokenPrefix() {
+      return String(auth.current || "").slice(0, 12);
+    },
+    get credentialSource() {
+      return auth.source;
+    },
+    httpStats,
+    withTenantParams,
+    ghlFetch,
+    fetchCollections,
+    createCollection,
+    createProduct,
+    putProduct,
+    getProduct,
+    deleteProduct,
+    createPrice,
+    putPrice,
+    listPrices,
+    deletePrice,
+    listProductsByNameSearch,
+    listAllProducts,
+    uploadMedia,
+  };
+}
+
+// ---------- Response normalizers ----------
+export function normalizeCollectionId(c) {
+  return c?.id || c?._id || c?.collectionId || null;
+}
+
+// Exact (case-insensitive) name match first, then a loose `includes()` match unless strict.
+export function findCollectionByName(collections, collectionName, { strict = false } = {}) {
+  const target = String(collectionName || "").trim().toLowerCase();
+  if (!target) return null;
+
+  let hit =
+    collections.find(
+      (c) => String(c?.name || "").trim().toLowerCase() === target
+    ) || null;
+  if (!hit && !strict) {
+    hit =
+      collections.find((c) =>
+        String(c?.name || "").trim().toLowerCase().includes(target)
+      ) || null;
+  }
+  if (!hit) return null;
+
+  const id = normalizeCollectionId(hit);
+  return id ? { ...hit, __resolvedId: String(id) } : { ...hit, __resolvedId: null };
+}
+
+export function normalizeProductId(p) {
+  return p?._id || p?.id || p?.productId || null;
+}
+
+export function normalizePriceId(p) {
+  return p?._id || p?.id || p?.priceId || null;
+}
+
+export function priceIdFromResponse(priceResp) {
+  return (
+    priceResp?.price?._id ||
+    priceResp?.price?.id ||
+    priceResp?._id ||
+    priceResp?.id ||
+    null
+  );
+}
+
+export function extractPricesArray(pricesResp) {
+  const arr =
+    pricesResp?.prices || pricesResp?.data || pricesResp?.items || (Array.isArray(pricesResp) ? pricesResp : []);
+  return Array.isArray(arr) ? arr : [];
+}
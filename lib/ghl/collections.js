@@ -0,0 +1,92 @@
+// File: /lib/ghl/collections.js
+// Collection resolution with a per-location cache.
+//
+// - /products/collections is fetched once per location and kept for DBE_COLLECTIONS_TTL_MS
+//   (default 5 min) in this instance; a name that is not in the cache triggers one refetch
+//   before it counts as missing (someone may have just added it in GHL).
+// - strict: exact (case-insensitive) names only — no "Mugs" -> "Travel Mugs" fallback.
+// - createMissing: POST the collection when no name matches. Concurrent syncs creating the
+//   same name share one request.
+
+import { findCollectionByName, normalizeCollectionId } from "./client.js";
+
+function ttlMs() {
+  const n = Number(process.env.DBE_COLLECTIONS_TTL_MS);
+  return Number.isFinite(n) && n >= 0 ? n : 5 * 60 * 1000;
+}
+
+// locationId -> { collections, fetchedAt, pending? }
+const cache = new Map();
+// "<locationId>:<lowercased name>" -> Promise<collection>
+const creating = new Map();
+
+// Cached collection list for the client's location. refresh: true forces a fetch.
+export async function getCollections(client, { refresh = false } = {}) {
+  const { locationId } = client;
+  const entry = cache.get(locationId);
+  if (!refresh && entry?.collections && Date.now() - entry.fetchedAt < ttlMs()) return entry.collections;
+  if (entry?.pending) return await entry.pending;
+
+  const pending = client.fetchCollections();
+  cache.set(locationId, { ...entry, pending });
+  try {
+    const collections = await pending;
+    cache.set(locationId, { collections, fetchedAt: Date.now() });
+    return collections;
+  } catch (e) {
+    cache.delete(locationId);
+    throw e;
+  }
+}
+
+function remember(locationId, collection) {
+  const entry = cache.get(locationId);
+  if (entry?.collections) entry.collections = [...entry.collections, collection];
+}
+
+async function createOnce(client, name) {
+  const key = `${client.locationId}:${name.toLowerCase()}`;
+  if (creating.has(key)) return await creating.get(key);
+
+  const p = client
+    .createCollection(name)
+    .then((created) => {
+      const collection = { ...created, name: created?.name || name };
+      remember(client.locationId, collection);
+      return collection;
+    })
+    .finally(() => creating.delete(key));
+  creating.set(key, p);
+  return await p;
+}
+
+// names -> { resolved: [{ name, requested, id, created }], missing: [name], collections }
+// dryRun: missing collections that would be created are resolved with id null + wouldCreate.
+export async function resolveCollections(client, names, { strict = false, createMissing = false, dryRun = false } = {}) {
+  let collections = await getCollections(client);
+  const lookup = (name) => findCollectionByName(collections, name, { strict });
+
+  if (names.some((n) => !lookup(n)?.__resolvedId)) {
+    collections = await getCollections(client, { refresh: true });
+  }
+
+  const resolved = [];
+  const missing = [];
+  for (const name of names) {
+    const hit = lookup(name);
+    if (hit?.__resolvedId) {
+      resolved.push({ name: hit.name || name, requested: name, id: hit.__resolvedId, created: false });
+    } else if (createMissing && dryRun) {
+      resolved.push({ name, requested: name, id: null, created: false, wouldCreate: true });
+    } else if (createMissing) {
+      const created = await createOnce(client, name);
+      const id = normalizeCollectionId(created);
+      if (id) resolved.push({ name: created.name, requested: name, id: String(id), created: true });
+      else missing.push(name);
+    } else {
+      missing.push(name);
+    }
+  }
+
+  return { resolved, missing, collections };
+}
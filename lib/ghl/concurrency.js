@@ -0,0 +1,22 @@
+// File: /lib/ghl/concurrency.js
+// Bounded-concurrency map. Results keep input order; `fn` should not throw
+// (wrap per-item failures into the result instead).
+
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+
+  const workers = [];
+  const n = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  for (let i = 0; i < n; i++) workers.push(worker());
+  await Promise.all(workers);
+
+  return results;
+}
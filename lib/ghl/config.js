@@ -0,0 +1,11 @@
+// File: /lib/ghl/config.js
+// Shared constants for every /api/ghl/* route.
+
+export const BUILD_MARKER =
+  "DB_ENGINE_API_BUILD_2026-01-20_CANONICAL_v10_QP_LOCATIONID__ALL_EXCEPT_EBAY_v1";
+
+export const API_BASE = "https://services.leadconnectorhq.com";
+export const VERSION = "2021-07-28";
+
+// Dedupe tag used in product names when no KV mapping is available.
+export const TAG_PREFIX = "DBE";
@@ -0,0 +1,264 @@
+// File: /lib/ghl/credentials.js
+// Per-location GHL credentials.
+//
+// Lookup order for a locationId:
+// 1) KV "dbe:cred:<locationId>" -> { accessToken, refreshToken?, expiresAt?, userType?, companyId?, source }
+//    - OAuth marketplace installs carry a refreshToken; the access token is refreshed via
+//      /oauth/token shortly before expiresAt (and once more if GHL answers 401).
+//    - Private integration tokens are stored without refreshToken/expiresAt and never refreshed.
+// 2) Agency install: KV "dbe:cred:company:<GHL_COMPANY_ID>" (an OAuth Company token) mints a
+//    location token via /oauth/locationToken, cached under 1) until it expires.
+// 3) Env GHL_TOKEN (single-token setups).
+//
+// Env: GHL_CLIENT_ID, GHL_CLIENT_SECRET (OAuth app), GHL_OAUTH_REDIRECT_URI, GHL_COMPANY_ID.
+
+import { API_BASE, VERSION } from "./config.js";
+import { fetchWithRetry, readResponseData } from "./http.js";
+import { getKV } from "./kv.js";
+
+// Refresh this long before the recorded expiry.
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+export function credentialKey(locationId) {
+  return `dbe:cred:${locationId}`;
+}
+export function companyCredentialKey(companyId) {
+  return `dbe:cred:company:${companyId}`;
+}
+
+async function kvGet(key) {
+  const kvClient = await getKV();
+  if (!kvClient) return null;
+  try {
+    const val = await kvClient.get(key);
+    return val && typeof val === "object" ? val : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function saveCredential(key, record) {
+  const kvClient = await getKV();
+  if (!kvClient) return false;
+  try {
+    await kvClient.set(key, { ...record, updatedAt: new Date().toISOString() });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function deleteCredential(locationId) {
+  const kvClient = await getKV();
+  if (!kvClient) return false;
+  try {
+    await kvClient.del(credentialKey(locationId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Public view of a stored record (never returns secrets).
+export function describeCredential(record) {
+  if (!record) return null;
+  return {
+    source: record.source || null,
+    userType: record.userType || null,
+    companyId: record.companyId || null,
+    hasRefreshToken: Boolean(record.refreshToken),
+    expiresAt: record.expiresAt ? new Date(record.expiresAt).toISOString() : null,
+    updatedAt: record.updatedAt || null,
+  };
+}
+
+export async function readCredential(locationId) {
+  return await kvGet(credentialKey(locationId));
+}
+
+// ---------- OAuth ----------
+async function oauthPost(path, form, bearer) {
+  const headers = {
+    "Content-Type": "application/x-www-form-urlencoded",
+    Accept: "application/json",
+  };
+  if (bearer) {
+    headers.Authorization = `Bearer ${bearer}`;
+    headers.Version = VERSION;
+  }
+
+  const resp = await fetchWithRetry(`${API_BASE}${path}`, {
+    method: "POST",
+    headers,
+    body: new URLSearchParams(form).toString(),
+  });
+
+  const data = await readResponseData(resp);
+
+  if (!resp.ok) {
+    const err = new Error(`GHL OAuth ${resp.status}`);
+    err.status = resp.status;
+    err.data = data;
+    err.url = `${API_BASE}${path}`;
+    throw err;
+  }
+
+  return data;
+}
+
+function tokenResponseToRecord(data, source) {
+  const expiresIn = Number(data?.expires_in);
+  return {
+    accessToken: String(data?.access_token || ""),
+    refreshToken: data?.refresh_token ? String(data.refresh_token) : null,
+    expiresAt: Number.isFinite(expiresIn) ? Date.now() + expiresIn * 1000 : null,
+    userType: data?.userType || null,
+    companyId: data?.companyId || null,
+    locationId: data?.locationId || null,
+    scope: data?.scope || null,
+    source,
+  };
+}
+
+function oauthAppCredentials() {
+  const clientId = process.env.GHL_CLIENT_ID;
+  const clientSecret = process.env.GHL_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    const err = new Error("Missing env vars: GHL_CLIENT_ID / GHL_CLIENT_SECRET");
+    err.status = 500;
+    throw err;
+  }
+  return { client_id: clientId, client_secret: clientSecret };
+}
+
+// Marketplace install callback: code -> tokens. Stores a Location record, or a Company record
+// for agency-level installs. Returns the stored record.
+export async function exchangeAuthorizationCode(code) {
+  const data = await oauthPost("/oauth/token", {
+    ...oauthAppCredentials(),
+    grant_type: "authorization_code",
+    code: String(code),
+    redirect_uri: process.env.GHL_OAUTH_REDIRECT_URI || "",
+  });
+
+  const record = tokenResponseToRecord(data, "oauth");
+  if (record.userType === "Company" && record.companyId) {
+    await saveCredential(companyCredentialKey(record.companyId), record);
+  } else if (record.locationId) {
+    await saveCredential(credentialKey(record.locationId), record);
+  }
+  return record;
+}
+
+async function refreshRecord(key, record) {
+  const data = await oauthPost("/oauth/token", {
+    ...oauthAppCredentials(),
+    grant_type: "refresh_token",
+    refresh_token: String(record.refreshToken),
+    user_type: record.userType || "Location",
+  });
+  const next = { ...record, ...tokenResponseToRecord(data, record.source || "oauth") };
+  // GHL rotates refresh tokens; keep the old one only if none came back.
+  if (!next.refreshToken) next.refreshToken = record.refreshToken;
+  await saveCredential(key, next);
+  return next;
+}
+
+async function mintLocationToken(locationId) {
+  const companyId = process.env.GHL_COMPANY_ID;
+  if (!companyId) return null;
+
+  const companyKey = companyCredentialKey(companyId);
+  let company = await kvGet(companyKey);
+  if (!company?.accessToken) return null;
+
+  if (company.refreshToken && company.expiresAt && company.expiresAt - EXPIRY_SKEW_MS <= Date.now()) {
+    company = await refreshRecord(companyKey, company);
+  }
+
+  const data = await oauthPost(
+    "/oauth/locationToken",
+    { companyId: String(companyId), locationId: String(locationId) },
+    company.accessToken
+  );
+  const record = { ...tokenResponseToRecord(data, "agency"), companyId: String(companyId) };
+  await saveCredential(credentialKey(locationId), record);
+  return record;
+}
+
+// In-flight refreshes per location so parallel requests in one instance share a refresh
+// (refresh tokens are single-use).
+const inflight = new Map();
+
+function once(locationId, fn) {
+  if (inflight.has(locationId)) return inflight.get(locationId);
+  const p = fn().finally(() => inflight.delete(locationId));
+  inflight.set(locationId, p);
+  return p;
+}
+
+// Token provider bound to one location, used by createGhlClient().
+// get() -> access token (refreshing if due); refresh() -> force a refresh after a 401,
+// resolves null when the source cannot be refreshed.
+export function createTokenProvider(locationId) {
+  const key = credentialKey(locationId);
+  let record = null;
+  let source = null;
+
+  async function load() {
+    record = await kvGet(key);
+    if (record?.accessToken) {
+      source = record.source || "kv";
+      return;
+    }
+    record = await once(locationId, () => mintLocationToken(locationId));
+    if (record?.accessToken) {
+      source = "agency";
+      return;
+    }
+    if (process.env.GHL_TOKEN) {
+      record = { accessToken: process.env.GHL_TOKEN };
+      source = "env";
+      return;
+    }
+    record = null;
+    source = null;
+  }
+
+  async function renew() {
+    if (record?.refreshToken) {
+      record = await once(locationId, () => refreshRecord(key, record));
+      return record.accessToken;
+    }
+    if (source === "agency") {
+      record = await once(locationId, () => mintLocationToken(locationId));
+      return record?.accessToken || null;
+    }
+    return null;
+  }
+
+  return {
+    // Loads the record; returns false when no credentials exist for this location.
+    async init() {
+      await load();
+      return Boolean(record?.accessToken);
+    },
+    get source() {
+      return source;
+    },
+    get current() {
+      return record?.accessToken || null;
+    },
+    async get() {
+      if (!record) await load();
+      if (!record?.accessToken) return null;
+      if (record.expiresAt && record.expiresAt - EXPIRY_SKEW_MS <= Date.now()) {
+        return await renew();
+      }
+      return record.accessToken;
+    },
+    async refresh() {
+      return await renew();
+    },
+  };
+}
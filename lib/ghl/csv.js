@@ -0,0 +1,256 @@
+// File: /lib/ghl/csv.js
+// CSV ingestion: turns spreadsheet / Shopify product exports into sync-product bodies
+// (the same fields readSyncInput() reads: name, sku, images, price, compareAt, collectionName, seo*).
+//
+// Formats:
+// - "generic": one row per product. Headers are matched case-insensitively against
+//   GENERIC_COLUMNS; `columnMap` ({ "<header>": "<body field>" }) overrides/extends it.
+//   Multi-value image cells are split on "|" or ";".
+// - "shopify": Shopify product export. Rows sharing a Handle collapse into one product;
+//   every "Image Src" on those rows becomes an image (ordered by "Image Position").
+//   Handles with real options (Option1..3 other than "Default Title") become variants[],
+//   keyed for upsert by externalId = Handle. The collection comes from "Collection" /
+//   "Custom Collections" only.
+
+// ---------- Parser (RFC 4180: quoted fields, "" escapes, CRLF) ----------
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // drop fully blank lines
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+// Rows -> array of { header: value } objects (headers trimmed, values trimmed).
+export function csvToRecords(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const headers = rows[0].map((h) => String(h).trim());
+  return rows.slice(1).map((r) => {
+    const rec = {};
+    headers.forEach((h, idx) => {
+      if (h) rec[h] = String(r[idx] ?? "").trim();
+    });
+    return rec;
+  });
+}
+
+// ---------- Generic mapping ----------
+// Lowercased header -> sync body field.
+const GENERIC_COLUMNS = {
+  name: "name",
+  title: "name",
+  "product name": "name",
+  description: "description",
+  sku: "sku",
+  externalid: "externalId",
+  "external id": "externalId",
+  upc: "upc",
+  price: "price",
+  amount: "price",
+  compareat: "compareAt",
+  "compare at": "compareAt",
+  "compare at price": "compareAt",
+  compare_at: "compareAt",
+  currency: "currency",
+  collection: "collectionName",
+  collectionname: "collectionName",
+  "collection name": "collectionName",
+  image: "image",
+  "image url": "image",
+  images: "images",
+  "image urls": "images",
+  qty: "qty",
+  quantity: "qty",
+  inventory: "qty",
+  stock: "qty",
+  producttype: "productType",
+  "product type": "productType",
+  seotitle: "seoTitle",
+  "seo title": "seoTitle",
+  seodescription: "seoDescription",
+  "seo description": "seoDescription",
+  seoslug: "seoSlug",
+  "seo slug": "seoSlug",
+  slug: "seoSlug",
+  availableinstore: "availableInStore",
+  "available in store": "availableInStore",
+};
+
+const BOOLEAN_FIELDS = new Set(["availableInStore", "trackInventory", "upsert"]);
+
+function parseBool(v) {
+  const s = String(v || "").trim().toLowerCase();
+  if (["true", "yes", "y", "1", "active"].includes(s)) return true;
+  if (["false", "no", "n", "0", "draft", "archived"].includes(s)) return false;
+  return undefined;
+}
+
+function splitList(v) {
+  return String(v || "")
+    .split(/[|;]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function genericRecordToBody(rec, columnMap) {
+  const body = {};
+  for (const [header, value] of Object.entries(rec)) {
+    if (value === "") continue;
+    const field = columnMap[header] || GENERIC_COLUMNS[header.toLowerCase()];
+    if (!field) continue;
+
+    if (field === "images") {
+      body.images = [...(body.images || []), ...splitList(value)];
+    } else if (BOOLEAN_FIELDS.has(field)) {
+      const b = parseBool(value);
+      if (b !== undefined) body[field] = b;
+    } else {
+      body[field] = value;
+    }
+  }
+  return body;
+}
+
+// ---------- Shopify export preset ----------
+function shopifyRecordsToBodies(records) {
+  const byHandle = new Map();
+
+  for (const rec of records) {
+    const handle = rec["Handle"] || "";
+    if (!handle) continue;
+
+    let entry = byHandle.get(handle);
+    if (!entry) {
+      entry = { handle, first: null, variants: [], images: [] };
+      byHandle.set(handle, entry);
+    }
+    // The first row carrying a Title holds the product-level columns.
+    if (!entry.first && rec["Title"]) entry.first = rec;
+
+    if (rec["Variant SKU"] || rec["Variant Price"]) entry.variants.push(rec);
+
+    const src = rec["Image Src"];
+    if (src && !entry.images.some((img) => img.url === src)) {
+      const pos = Number(rec["Image Position"]);
+      entry.images.push({ url: src, position: Number.isFinite(pos) && pos > 0 ? pos : Infinity });
+    }
+  }
+
+  const bodies = [];
+  for (const entry of byHandle.values()) {
+    const first = entry.first || {};
+    const variant = entry.variants[0] || first;
+
+    const body = {
+      name: first["Title"] || entry.handle,
+      seoSlug: entry.handle,
+    };
+    if (first["Body (HTML)"]) body.description = first["Body (HTML)"];
+
+    // "Type" is Shopify's product category, not a collection: it is not mapped.
+    const collection = first["Collection"] || first["Custom Collections"] || "";
+    if (collection) body.collectionName = collection;
+
+    const optionNames = [1, 2, 3]
+      .map((n) => first[`Option${n} Name`] || "")
+      .filter((name) => name && name !== "Title");
+
+    if (optionNames.length) {
+      body.externalId = entry.handle;
+      body.options = optionNames.map((name) => ({ name, values: [] }));
+      body.variants = entry.variants.map((v) => {
+        const out = { sku: v["Variant SKU"] || "", price: v["Variant Price"] || "", options: {} };
+        optionNames.forEach((name, idx) => {
+          const value = v[`Option${idx + 1} Value`];
+          if (value) out.options[name] = value;
+        });
+        if (v["Variant Compare At Price"]) out.compareAt = v["Variant Compare At Price"];
+        if (v["Variant Inventory Qty"]) out.qty = v["Variant Inventory Qty"];
+        return out;
+      });
+    } else {
+      const sku = variant["Variant SKU"] || "";
+      if (sku) body.sku = sku;
+      if (variant["Variant Price"]) body.price = variant["Variant Price"];
+      if (variant["Variant Compare At Price"]) body.compareAt = variant["Variant Compare At Price"];
+      if (variant["Variant Inventory Qty"]) body.qty = variant["Variant Inventory Qty"];
+    }
+
+    const images = entry.images
+      .map((img, idx) => ({ ...img, idx }))
+      .sort((a, b) => a.position - b.position || a.idx - b.idx)
+      .map((img) => img.url);
+    if (images.length) body.images = images;
+
+    if (first["SEO Title"]) body.seoTitle = first["SEO Title"];
+    if (first["SEO Description"]) body.seoDescription = first["SEO Description"];
+
+    const published = parseBool(first["Status"] || first["Published"]);
+    if (published !== undefined) body.availableInStore = published;
+
+    bodies.push(body);
+  }
+  return bodies;
+}
+
+// Returns sync bodies. `defaults` fill any field a row leaves empty
+// (e.g. { collectionName: "Mugs", upsert: true }).
+export function csvToSyncBodies(text, { format = "generic", columnMap = {}, defaults = {} } = {}) {
+  const records = csvToRecords(text);
+  const fmt = String(format || "generic").trim().toLowerCase();
+
+  const bodies =
+    fmt === "shopify"
+      ? shopifyRecordsToBodies(records)
+      : records.map((rec) => genericRecordToBody(rec, columnMap || {}));
+
+  return bodies
+    .filter((b) => Object.keys(b).length)
+    .map((b) => ({ ...defaults, ...b }));
+}
+
+// Detects a Shopify export from its header row.
+export function looksLikeShopifyExport(text) {
+  const header = parseCsv(String(text || "").split(/\r?\n/, 1)[0])[0] || [];
+  const names = header.map((h) => String(h).trim());
+  return names.includes("Handle") && names.includes("Variant SKU");
+}
@@ -0,0 +1,171 @@
+// File: /lib/ghl/execute.js
+// The work behind /api/ghl/sync-product and /api/ghl/sync-products, once the request is
+// authenticated and validated. Shared by the handlers (inline) and the job worker
+// (async: true, see /lib/ghl/jobs.js), so a job's result is the exact { status, body } the
+// handler would have answered with.
+//
+// ctx: { client, store, audit } (audit = sink from /lib/ghl/audit.js or null).
+// meta: { route, principal?, idempotencyKey? } for the audit events.
+
+import { BUILD_MARKER } from "./config.js";
+import { recordAuditEvent } from "./audit.js";
+import { loadCapabilityProfile } from "./capabilities.js";
+import { getCollections } from "./collections.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { removeProduct } from "./remove.js";
+import { clearSchedule, finishSchedule, prepareSchedule } from "./schedule.js";
+import { validateSyncBody } from "./schema.js";
+import { readSyncInput, syncErrorBody, syncProduct, validateSyncInput } from "./sync.js";
+
+// syncProduct() with the SKU's sale window applied (see /lib/ghl/schedule.js).
+async function syncScheduled(ctx, input) {
+  const prepared = await prepareSchedule(ctx, input);
+  if (prepared.error) return prepared.error;
+  return await finishSchedule(ctx, prepared, await syncProduct(ctx, prepared.input));
+}
+
+// One body: sync / archive / delete. Returns { status, body }.
+export async function executeSync(ctx, { action, input }, meta) {
+  const { client } = ctx;
+  let result;
+  try {
+    if (action === "sync") {
+      result = await syncScheduled(ctx, input);
+    } else {
+      result = await removeProduct(ctx, input, action);
+      // An archived / deleted product must not be re-listed when its sale window opens or closes.
+      if (result.body?.ok) await clearSchedule(ctx.store, client.locationId, input.dedupeKey);
+    }
+  } catch (err) {
+    const errBody = syncErrorBody(err, client);
+    result = { status: errBody.status, body: errBody };
+  }
+
+  await recordAuditEvent(ctx.audit, {
+    route: meta.route,
+    action,
+    locationId: client.locationId,
+    input,
+    result,
+    principal: meta.principal,
+    idempotencyKey: meta.idempotencyKey,
+  });
+
+  return { status: result.status, body: result.body };
+}
+
+// Batch: items with bounded concurrency; one failed item never fails the batch.
+// Returns { status: 200 | 207, body } (or the GHL error when the collections warm-up fails).
+export async function executeBatch(ctx, { items, csv, concurrency }, meta) {
+  const { client } = ctx;
+  const { locationId } = client;
+
+  let collections;
+  try {
+    collections = await getCollections(client, { refresh: true });
+  } catch (err) {
+    const errBody = syncErrorBody(err, client);
+    return { status: errBody.status, body: errBody };
+  }
+
+  // Probe the tenant once up front rather than from every concurrent item.
+  if (items.some((item) => item?.dryRun !== true)) await loadCapabilityProfile(ctx);
+
+  const record = (input, result) =>
+    recordAuditEvent(ctx.audit, {
+      route: meta.route,
+      action: "sync",
+      locationId,
+      input,
+      result,
+      principal: meta.principal,
+      idempotencyKey: meta.idempotencyKey,
+    });
+
+  const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+    const itemBody = item && typeof item === "object" && !Array.isArray(item) ? item : {};
+    const input = readSyncInput(itemBody);
+    const base = { index, sku: input.sku || null, dedupeKey: input.dedupeKey || null };
+
+    const schemaCheck = validateSyncBody(item);
+    if (schemaCheck.errors.length) {
+      return {
+        ...base,
+        ok: false,
+        status: 400,
+        mode: null,
+        productId: null,
+        error: "Invalid item",
+        errors: schemaCheck.errors,
+      };
+    }
+
+    const itemLocationId = String(itemBody.locationId || "").trim();
+    if (itemLocationId && itemLocationId !== locationId) {
+      return {
+        ...base,
+        ok: false,
+        status: 400,
+        mode: null,
+        productId: null,
+        error: `Item locationId "${itemLocationId}" does not match batch locationId "${locationId}".`,
+      };
+    }
+
+    const invalid = validateSyncInput(input);
+    if (invalid) {
+      return { ...base, ok: false, status: 400, mode: null, productId: null, error: invalid };
+    }
+
+    try {
+      const result = await syncScheduled(ctx, input);
+      await record(input, result);
+      return {
+        ...base,
+        ok: result.body.ok === true,
+        status: result.status,
+        mode: result.body.mode || null,
+        productId: result.body.productId || null,
+        error: result.body.ok ? null : result.body.error,
+        result: result.body,
+      };
+    } catch (err) {
+      const errBody = syncErrorBody(err, client);
+      await record(input, { status: errBody.status, body: errBody });
+      return {
+        ...base,
+        ok: false,
+        status: errBody.status,
+        mode: null,
+        productId: null,
+        error: errBody.error,
+        result: errBody,
+      };
+    }
+  });
+
+  const failed = results.filter((r) => !r.ok).length;
+
+  const body = {
+    ok: failed === 0,
+    build: BUILD_MARKER,
+    summary: {
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      created: results.filter((r) => r.ok && r.mode === "create").length,
+      updated: results.filter((r) => r.ok && r.mode === "update").length,
+    },
+    concurrency,
+    csv,
+    results,
+    debug: {
+      tokenPrefix: client.tokenPrefix,
+      locationId,
+      collectionsFetched: collections.length,
+      http: client.httpStats,
+    },
+  };
+
+  return { status: failed ? 207 : 200, body };
+}
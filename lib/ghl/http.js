@@ -0,0 +1,171 @@
+// File: /lib/ghl/http.js
+// Shared HTTP layer for LeadConnector calls: retries, rate limiting, timeouts.
+//
+// - Retries 429/502/503/504, timeouts and network errors with exponential backoff + full jitter.
+//   `Retry-After` (seconds or HTTP date) wins over the computed delay.
+// - POST is only retried when the request was not processed (429, 503) unless the caller
+//   passes retryUnsafe: true. Callers that need more check for the created resource first
+//   (see createPrice() in /lib/ghl/client.js).
+// - Token bucket per location (GHL burst limit: GHL_RATE_BURST requests per GHL_RATE_WINDOW_MS,
+//   default 100 / 10s). Shared by every request in this instance; callers wait for a token.
+// - Each request is aborted after GHL_TIMEOUT_MS (default 15s).
+//
+// `stats` (see createHttpStats) is mutated in place so routes can report it in `debug`;
+// `writes` counts every request other than GET/HEAD that was sent, answered or not.
+
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+const NOT_PROCESSED_STATUS = new Set([429, 503]);
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const config = {
+  get maxRetries() {
+    return envNumber("GHL_MAX_RETRIES", 3);
+  },
+  get baseDelayMs() {
+    return envNumber("GHL_RETRY_BASE_MS", 500);
+  },
+  get maxDelayMs() {
+    return envNumber("GHL_RETRY_MAX_MS", 30000);
+  },
+  get timeoutMs() {
+    return envNumber("GHL_TIMEOUT_MS", 15000);
+  },
+  get burst() {
+    return envNumber("GHL_RATE_BURST", 100);
+  },
+  get windowMs() {
+    return envNumber("GHL_RATE_WINDOW_MS", 10000);
+  },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createHttpStats() {
+  return { requests: 0, writes: 0, retries: 0, rateLimited: 0, timeouts: 0, throttledMs: 0 };
+}
+
+// ---------- Token bucket ----------
+const buckets = new Map();
+
+// Reserves one token for `key`, waiting when the bucket is empty. Returns the wait in ms.
+async function takeToken(key) {
+  const capacity = config.burst;
+  if (!capacity) return 0;
+  const ratePerMs = capacity / Math.max(config.windowMs, 1);
+
+  const now = Date.now();
+  let b = buckets.get(key);
+  if (!b) {
+    b = { tokens: capacity, last: now };
+    buckets.set(key, b);
+  }
+  b.tokens = Math.min(capacity, b.tokens + (now - b.last) * ratePerMs);
+  b.last = now;
+
+  // Tokens may go negative: each waiter reserves its slot in the refill schedule.
+  b.tokens -= 1;
+  if (b.tokens >= 0) return 0;
+
+  const waitMs = Math.ceil(-b.tokens / ratePerMs);
+  await sleep(waitMs);
+  return waitMs;
+}
+
+// GHL reports the remaining burst budget; drain our bucket when it says we're out.
+function syncBucket(key, resp) {
+  const header = resp.headers?.get?.("x-ratelimit-remaining");
+  if (header === null || header === undefined || header === "") return;
+  const remaining = Number(header);
+  const b = buckets.get(key);
+  if (b && Number.isFinite(remaining) && remaining <= 0) b.tokens = Math.min(b.tokens, 0);
+}
+
+// ---------- Backoff ----------
+function retryAfterMs(resp) {
+  const header = resp?.headers?.get?.("retry-after");
+  if (!header) return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function backoffMs(attempt) {
+  const cap = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * cap);
+}
+
+// fetch() with rate limiting, timeout and retries. Resolves with the final Response
+// (possibly non-2xx); rejects only when every attempt failed without a response.
+// opts: { limiterKey?, stats?, retryUnsafe?, timeoutMs? }
+export async function fetchWithRetry(url, init = {}, opts = {}) {
+  const method = String(init.method || "GET").toUpperCase();
+  const stats = opts.stats || createHttpStats();
+  const maxRetries = config.maxRetries;
+  const timeoutMs = opts.timeoutMs ?? config.timeoutMs;
+
+  for (let attempt = 0; ; attempt++) {
+    if (opts.limiterKey) stats.throttledMs += await takeToken(opts.limiterKey);
+
+    const controller = new AbortController();
+    const timer = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    let resp = null;
+    let error = null;
+    stats.requests++;
+    if (method !== "GET" && method !== "HEAD") stats.writes++;
+    try {
+      resp = await fetch(url, { ...init, signal: controller.signal });
+    } catch (e) {
+      error = e;
+      if (e?.name === "AbortError") stats.timeouts++;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    if (resp) {
+      if (opts.limiterKey) syncBucket(opts.limiterKey, resp);
+      if (resp.status === 429) stats.rateLimited++;
+
+      const retryable =
+        RETRYABLE_STATUS.has(resp.status) &&
+        (method !== "POST" || opts.retryUnsafe === true || NOT_PROCESSED_STATUS.has(resp.status));
+      if (!retryable || attempt >= maxRetries) return resp;
+
+      stats.retries++;
+      await sleep(Math.min(retryAfterMs(resp) ?? backoffMs(attempt), config.maxDelayMs));
+      continue;
+    }
+
+    // No response: timeout or network error. A POST may still have been processed.
+    const retryable = method !== "POST" || opts.retryUnsafe === true;
+    if (!retryable || attempt >= maxRetries) {
+      const err = new Error(
+        error?.name === "AbortError" ? `GHL request timed out after ${timeoutMs}ms` : `GHL request failed: ${error?.message || "network error"}`
+      );
+      err.status = error?.name === "AbortError" ? 504 : 502;
+      err.data = null;
+      err.url = url;
+      throw err;
+    }
+
+    stats.retries++;
+    await sleep(backoffMs(attempt));
+  }
+}
+
+// Reads a Response body as JSON (falls back to text / null).
+export async function readResponseData(resp) {
+  const text = await resp.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = text || null;
+  }
+  return data;
+}
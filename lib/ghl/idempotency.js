@@ -0,0 +1,145 @@
+// File: /lib/ghl/idempotency.js
+// Idempotency-Key support for the write routes, so client retries never create a second product.
+//
+// Store "dbe:idem:<locationId>:<clientId>:<route>:<key>" (see /lib/ghl/store.js): keys are per
+// caller, so two clients picking the same key never see each other's responses.
+// - { state: "in_flight", fingerprint, startedAt } while the first request runs (set with NX,
+//   leased for DBE_IDEMPOTENCY_LOCK_SEC, default 300s, in case the function dies mid-request).
+//   A duplicate arriving meanwhile gets 409.
+// - { state: "done", fingerprint, status, body, completedAt } once it finished; repeats within
+//   DBE_IDEMPOTENCY_TTL_SEC (default 24h) get the stored response back without calling GHL.
+// - A 5xx result releases the key, so the client can retry with it, only when nothing was written
+//   to GHL or the writes were rolled back (body.rollback.complete); any other 5xx is stored like a
+//   success, so a retry cannot repeat the writes of a half-applied request.
+// - Reusing a key with a different request (method, path, query or body) is rejected with 422.
+// Without a store the header is ignored and requests run normally.
+
+import { createHash } from "node:crypto";
+import { BUILD_MARKER } from "./config.js";
+
+const MAX_KEY_LENGTH = 255;
+
+function envSeconds(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+export function readIdempotencyKey(req) {
+  const v = req.headers?.["idempotency-key"];
+  const key = String((Array.isArray(v) ? v[0] : v) || "").trim();
+  return key || null;
+}
+
+// Query parameters sorted by name (then value), so ?a=1&b=2 and ?b=2&a=1 match.
+function normalizedQuery(req, url) {
+  const entries = [...url.searchParams];
+  if (!entries.length && req.query && typeof req.query === "object") {
+    for (const [k, v] of Object.entries(req.query)) {
+      for (const item of Array.isArray(v) ? v : [v]) entries.push([k, String(item ?? "")]);
+    }
+  }
+  entries.sort(([ak, av], [bk, bv]) => (ak === bk ? (av < bv ? -1 : av > bv ? 1 : 0) : ak < bk ? -1 : 1));
+  return new URLSearchParams(entries).toString();
+}
+
+// sha256 over method, path, normalized query and body: the same key on another request is a 422.
+export function requestFingerprint(req) {
+  const url = new URL(String(req.url || "/"), "http://localhost");
+  const raw = req.rawBody ?? req.body;
+  const body =
+    typeof raw === "string" ? raw : Buffer.isBuffer(raw) ? raw.toString("utf8") : JSON.stringify(raw ?? null);
+  const target = `${String(req.method || "GET").toUpperCase()} ${url.pathname}?${normalizedQuery(req, url)}`;
+  return createHash("sha256").update(`${target}\n${body}`).digest("hex");
+}
+
+// Claims the request's Idempotency-Key (if any) for `principal` and `route` in `locationId`.
+// Returns { key, response, complete }:
+// - response: { status, body, replayed } to send as-is instead of running the request, or null.
+// - complete(status, body, { wrote }): store the final response (call exactly once when response
+//   is null). wrote: whether the request sent any write to GHL (client.httpStats.writes > 0).
+export async function beginIdempotentRequest(req, { store, locationId, principal, route }) {
+  const key = readIdempotencyKey(req);
+  const noop = { key, response: null, complete: async () => {} };
+  if (!key) return noop;
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return {
+      key,
+      response: { status: 400, body: { error: `Idempotency-Key is longer than ${MAX_KEY_LENGTH} characters.` } },
+      complete: noop.complete,
+    };
+  }
+  if (!store) return noop;
+
+  const kvKey = `dbe:idem:${locationId}:${principal?.clientId || "anonymous"}:${route}:${key}`;
+  const fingerprint = requestFingerprint(req);
+
+  let claimed;
+  try {
+    claimed = await store.set(
+      kvKey,
+      { state: "in_flight", fingerprint, startedAt: new Date().toISOString() },
+      { nx: true, ex: envSeconds("DBE_IDEMPOTENCY_LOCK_SEC", 300) }
+    );
+  } catch {
+    return noop;
+  }
+
+  if (!claimed) {
+    let stored = null;
+    try {
+      stored = await store.get(kvKey);
+    } catch {
+      stored = null;
+    }
+
+    if (stored?.fingerprint && stored.fingerprint !== fingerprint) {
+      return {
+        key,
+        response: { status: 422, body: { error: "Idempotency-Key was already used with a different request (method, path, query or body)." } },
+        complete: noop.complete,
+      };
+    }
+    if (stored?.state === "done") {
+      return {
+        key,
+        response: { status: stored.status, body: stored.body, replayed: true },
+        complete: noop.complete,
+      };
+    }
+    return {
+      key,
+      response: { status: 409, body: { error: "A request with this Idempotency-Key is still in progress. Retry later." } },
+      complete: noop.complete,
+    };
+  }
+
+  return {
+    key,
+    response: null,
+    async complete(status, body, { wrote = true } = {}) {
+      try {
+        if (status >= 500 && (!wrote || body?.rollback?.complete === true)) {
+          await store.del(kvKey);
+          return;
+        }
+        await store.set(
+          kvKey,
+          { state: "done", fingerprint, status, body, completedAt: new Date().toISOString() },
+          { ex: envSeconds("DBE_IDEMPOTENCY_TTL_SEC", 24 * 60 * 60) }
+        );
+      } catch {
+        // Best effort: the in-flight lease expires on its own.
+      }
+    },
+  };
+}
+
+// Sends a response produced by beginIdempotentRequest().
+export function sendIdempotentResponse(res, response) {
+  if (response.replayed) {
+    res.setHeader("Idempotent-Replayed", "true");
+    return res.status(response.status).json(response.body);
+  }
+  return res.status(response.status).json({ ok: false, build: BUILD_MARKER, ...response.body });
+}
@@ -0,0 +1,274 @@
+// File: /lib/ghl/inventory.js
+// Stock updates without a product sync (/api/ghl/inventory).
+//
+// - Each item { sku | externalId, qty } is resolved like archive / delete (mapping store first,
+//   "[DBE:<key>]" tag search without one), read back from GHL and PUT with only
+//   availableQuantity / quantity (and trackInventory) changed — no media pipeline, no SEO, no
+//   price writes.
+// - qty: 12 sets the stock; qty: "+5" / "-2" (or adjust: -2) changes the current GHL quantity,
+//   floored at 0 (clamped: true).
+// - Low stock: at or below lowStockThreshold (item, request, env DBE_LOW_STOCK_THRESHOLD;
+//   default 0) the product gets availableInStore: false. Restocking above it re-lists only the
+//   products this route hid (tracked in the dbe:inventory:<locationId>:<dedupeKey> ledger, see
+//   /lib/ghl/webhooks.js), never archived ones.
+// - Runs under the upsert lock for the dedupe key (see /lib/ghl/lock.js), so stock changes and
+//   full syncs of a SKU do not interleave, and holds the ledger lock from reading the ledger to
+//   writing its stock marker (409, retryable, when the order webhook keeps it busy).
+//   Product-level stock only: variant SKUs sync via /api/ghl/sync-product.
+// - Each changed item is written to the audit log (route "inventory", see /lib/ghl/audit.js).
+
+import { BUILD_MARKER } from "./config.js";
+import { auditSnapshot, recordAuditEvent } from "./audit.js";
+import { getCapabilityProfile } from "./capabilities.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { acquireLock, lockKey } from "./lock.js";
+import { dedupeKeyFor, resolveProductByKey } from "./mapping.js";
+import { editableProduct } from "./migrate.js";
+import { isBlank } from "./variants.js";
+import { inventoryKey } from "./webhooks.js";
+
+function defaultThreshold() {
+  const n = Number(process.env.DBE_LOW_STOCK_THRESHOLD);
+  return Number.isInteger(n) && n >= 0 ? n : 0;
+}
+
+function readThreshold(value) {
+  if (isBlank(value)) return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+// Item -> { dedupeKey, sku, externalId, change: { mode: "set" | "adjust", value }, lowStockThreshold }
+// or { error }.
+export function readInventoryItem(item, defaults = {}) {
+  const src = item && typeof item === "object" && !Array.isArray(item) ? item : {};
+  const sku = String(src.sku ?? "").trim();
+  const externalId = String(src.externalId ?? "").trim();
+  const base = { sku: sku || null, externalId: externalId || null, dedupeKey: dedupeKeyFor(sku || externalId) };
+  if (!base.dedupeKey) return { ...base, error: "Missing sku (or externalId)." };
+
+  const qty = src.qty ?? src.quantity ?? src.availableQty ?? null;
+  const adjust = src.adjust ?? null;
+  if (!isBlank(qty) && !isBlank(adjust)) return { ...base, error: "Send either qty or adjust, not both." };
+
+  let change;
+  if (!isBlank(adjust)) {
+    change = { mode: "adjust", value: Number(adjust) };
+  } else if (typeof qty === "string" && /^[+-]/.test(qty.trim())) {
+    change = { mode: "adjust", value: Number(qty.trim()) };
+  } else if (!isBlank(qty)) {
+    change = { mode: "set", value: Number(qty) };
+  } else {
+    return { ...base, error: 'Missing qty. Send a quantity (12) or an adjustment ("+5", "-2", adjust: -2).' };
+  }
+  if (!Number.isInteger(change.value)) return { ...base, error: "qty / adjust must be a whole number." };
+  if (change.mode === "set" && change.value < 0) return { ...base, error: 'qty must be >= 0 (use "-2" or adjust: -2 to subtract).' };
+
+  const threshold = readThreshold(src.lowStockThreshold);
+  if (Number.isNaN(threshold)) return { ...base, error: "lowStockThreshold must be a whole number >= 0." };
+
+  return { ...base, change, lowStockThreshold: threshold ?? readThreshold(defaults.lowStockThreshold) ?? defaultThreshold() };
+}
+
+// Returns an error message for an invalid request-level lowStockThreshold, or null.
+export function validateInventoryDefaults(body) {
+  return Number.isNaN(readThreshold(body?.lowStockThreshold))
+    ? "lowStockThreshold must be a whole number >= 0."
+    : null;
+}
+
+function currentQuantity(product) {
+  const n = Number(product?.availableQuantity ?? product?.quantity);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Caller holds the ledger lock. false when the marker could not be written.
+async function recordStock(store, locationId, dedupeKey, stock) {
+  if (!store) return false;
+  try {
+    const key = inventoryKey(locationId, dedupeKey);
+    const ledger = (await store.get(key)) || { decremented: 0, entries: [] };
+    await store.set(key, { ...ledger, stock, updatedAt: new Date().toISOString() });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function applyItem(ctx, item) {
+  const { client, store } = ctx;
+  const { locationId } = client;
+  const { dedupeKey } = item;
+
+  // The ledger lock (the one the order webhook waits for) is held from before the product is read
+  // until the stock marker is written: relative changes apply to a fresh quantity, and the marker
+  // never misses a PUT that changed the listing.
+  const ledgerLock = store ? await acquireLock(store, lockKey(locationId, `inventory:${dedupeKey}`)) : null;
+  if (ledgerLock && !ledgerLock.acquired) {
+    const error = `Inventory ledger for "${dedupeKey}" is busy. Retry shortly.`;
+    return { status: 409, ok: false, retryable: true, productId: null, error };
+  }
+  try {
+    const { productId } = await resolveProductByKey({ client, store }, dedupeKey);
+    if (!productId) return { status: 404, ok: false, productId: null, error: `No product found for "${dedupeKey}".` };
+
+    let product = null;
+    try {
+      const resp = await client.getProduct(productId);
+      product = resp?.product || resp || null;
+    } catch (e) {
+      if (e?.status !== 404) throw e;
+    }
+    if (!product) {
+      return { status: 404, ok: false, productId, error: `Product ${productId} for "${dedupeKey}" no longer exists in GHL.` };
+    }
+
+    return await applyStock(ctx, item, productId, product);
+  } finally {
+    await ledgerLock?.release();
+  }
+}
+
+async function applyStock(ctx, item, productId, product) {
+  const { client, store } = ctx;
+  const { locationId } = client;
+  const { dedupeKey, change, lowStockThreshold } = item;
+
+  const from = currentQuantity(product);
+  const wanted = change.mode === "set" ? change.value : from + change.value;
+  const to = Math.max(0, wanted);
+
+  const ledger = store ? await store.get(inventoryKey(locationId, dedupeKey)).catch(() => null) : null;
+  const listed = product.availableInStore !== false;
+  const lowStock = to <= lowStockThreshold;
+  let availableInStore = listed;
+  if (lowStock) availableInStore = false;
+  else if (!listed && ledger?.stock?.hidden === true) availableInStore = true;
+
+  const out = {
+    productId,
+    mode: change.mode,
+    from,
+    to,
+    clamped: wanted < 0,
+    lowStock,
+    lowStockThreshold,
+    availableInStore: { from: listed, to: availableInStore },
+  };
+
+  const changed =
+    to !== from ||
+    availableInStore !== listed ||
+    product.trackInventory !== true ||
+    Number(product.quantity ?? to) !== to;
+  if (!changed) return { status: 200, ok: true, action: "unchanged", ...out };
+
+  await client.putProduct(productId, {
+    ...editableProduct(product),
+    locationId,
+    availableInStore,
+    trackInventory: true,
+    availableQuantity: to,
+    quantity: to, // some tenants use "quantity"
+  });
+
+  // hidden: this route took it off the store (and may put it back); kept while it stays hidden.
+  const hidden = lowStock && (listed || ledger?.stock?.hidden === true);
+  const ledgerSaved = await recordStock(store, locationId, dedupeKey, {
+    quantity: to,
+    hidden,
+    at: new Date().toISOString(),
+  });
+
+  const before = auditSnapshot(product, []);
+  return {
+    status: 200,
+    ok: true,
+    action: "updated",
+    ...out,
+    ledgerSaved,
+    audit: ctx.audit ? { before, after: { ...before, availableInStore, availableQuantity: to } } : undefined,
+  };
+}
+
+// One item under the upsert lock. Returns the per-item result (never throws).
+async function runItem(ctx, item, index, meta) {
+  const { client, store } = ctx;
+  const base = { index, sku: item.sku, externalId: item.externalId, dedupeKey: item.dedupeKey || null };
+  if (item.error) return { ...base, ok: false, status: 400, error: item.error };
+
+  const lock = await acquireLock(store, lockKey(client.locationId, item.dedupeKey));
+  if (!lock.acquired) {
+    return {
+      ...base,
+      ok: false,
+      status: 409,
+      retryable: true,
+      error: `Another sync for "${item.dedupeKey}" is in progress. Retry shortly.`,
+    };
+  }
+
+  let result;
+  try {
+    result = await applyItem(ctx, item);
+  } catch (err) {
+    result = { status: err?.status || 500, ok: false, error: err?.message || "Inventory update failed", details: err?.data || null };
+  } finally {
+    await lock.release();
+  }
+
+  const { audit, ...rest } = result;
+  if (rest.action !== "unchanged") {
+    await recordAuditEvent(ctx.audit, {
+      route: "inventory",
+      action: "inventory",
+      locationId: client.locationId,
+      input: item,
+      result: { status: rest.status, body: { ...rest, ok: rest.ok === true, productId: rest.productId }, audit },
+      principal: meta.principal,
+      idempotencyKey: meta.idempotencyKey,
+    });
+  }
+  return { ...base, error: null, ...rest };
+}
+
+// items: raw request items; defaults: { lowStockThreshold }. Returns { status: 200 | 207, body }.
+export async function executeInventory(ctx, { items, defaults, concurrency }, meta) {
+  const { client, store } = ctx;
+
+  // Cached profile only: a stock update never probes the tenant.
+  const profile = await getCapabilityProfile(store, client.locationId);
+  if (profile?.fields?.inventory === false) {
+    return {
+      status: 422,
+      body: {
+        ok: false,
+        build: BUILD_MARKER,
+        error: `Location "${client.locationId}" does not keep inventory fields (capability profile); nothing was updated.`,
+      },
+    };
+  }
+
+  const parsed = items.map((item) => readInventoryItem(item, defaults));
+  const results = await mapWithConcurrency(parsed, concurrency, (item, index) => runItem(ctx, item, index, meta));
+  const failed = results.filter((r) => !r.ok).length;
+
+  return {
+    status: failed ? 207 : 200,
+    body: {
+      ok: failed === 0,
+      build: BUILD_MARKER,
+      summary: {
+        total: results.length,
+        updated: results.filter((r) => r.action === "updated").length,
+        unchanged: results.filter((r) => r.action === "unchanged").length,
+        failed,
+        hidden: results.filter((r) => r.availableInStore?.from === true && r.availableInStore?.to === false).length,
+        relisted: results.filter((r) => r.availableInStore?.from === false && r.availableInStore?.to === true).length,
+      },
+      concurrency,
+      results,
+      debug: { tokenPrefix: client.tokenPrefix, locationId: client.locationId, http: client.httpStats },
+    },
+  };
+}
@@ -0,0 +1,261 @@
+// File: /lib/ghl/jobs.js
+// Async sync jobs (async: true on /api/ghl/sync-product and /api/ghl/sync-products).
+//
+// - enqueueJob() stores the validated request as dbe:job:<jobId> plus a queue entry
+//   dbe:jobq:<jobId> in the state store (see /lib/ghl/store.js) and answers 202 { jobId }.
+// - processJob() runs it through /lib/ghl/execute.js — the result is the exact { status, body }
+//   the route would have answered inline. It is started right after enqueueing (kept alive with
+//   waitUntil from @vercel/functions when available) and picked up by /api/ghl/jobs/worker
+//   otherwise (Vercel Cron, every minute, see /vercel.json).
+// - One worker per job at a time (lease lock, DBE_JOB_LEASE_MS, default 5 min).
+// - Retries: 409 (lock busy), 429 and 5xx results are retried up to DBE_JOB_MAX_ATTEMPTS
+//   (default 3) with 30s / 60s / 120s ... backoff. A job with a non-upsert sync (the body, or
+//   any item of a batch) gets a single attempt and is not re-run when its worker died: a second
+//   create would duplicate the product.
+// - callbackUrl (https, public hosts only, needs DBE_JOB_CALLBACK_SECRET): POSTed { jobId, status,
+//   attempts, result } once the job is final, signed with that secret (see /lib/ghl/outbound.js).
+// - Job records expire after DBE_JOB_TTL_SEC (default 7 days).
+//
+// Job statuses: queued -> running -> succeeded | failed (queued again between retries).
+
+import { randomUUID } from "node:crypto";
+import { BUILD_MARKER } from "./config.js";
+import { executeBatch, executeSync } from "./execute.js";
+import { acquireLock, lockKey } from "./lock.js";
+import { postSignedJson } from "./outbound.js";
+import { resolveAuditSink, resolveTenant } from "./request.js";
+import { readSyncInput } from "./sync.js";
+
+const RETRY_BASE_MS = 30000;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function jobKey(jobId) {
+  return `dbe:job:${jobId}`;
+}
+
+function queueKey(jobId) {
+  return `dbe:jobq:${jobId}`;
+}
+
+function ttlSec() {
+  return envNumber("DBE_JOB_TTL_SEC", 7 * 24 * 60 * 60);
+}
+
+async function saveJob(store, job) {
+  await store.set(jobKey(job.id), { ...job, updatedAt: new Date().toISOString() }, { ex: ttlSec() });
+}
+
+export async function getJob(store, jobId) {
+  if (!/^job_[A-Za-z0-9-]+$/.test(String(jobId || ""))) return null;
+  return await store.get(jobKey(jobId));
+}
+
+// Public view of a job (what the status route and the callback return).
+export function describeJob(job) {
+  return {
+    jobId: job.id,
+    route: job.route,
+    status: job.status,
+    locationId: job.locationId,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    nextAttemptAt: job.status === "queued" ? job.nextAttemptAt : null,
+    finishedAt: job.finishedAt || null,
+    attemptErrors: job.attemptErrors || [],
+    callback: job.callbackUrl ? { url: job.callbackUrl, result: job.callbackResult || null } : null,
+    result: job.result || null,
+  };
+}
+
+// Whether running the request again is safe: every sync in it is an upsert or a dry run.
+function isRepeatable(request) {
+  const repeatable = (body) => {
+    const input = readSyncInput(body);
+    return input.upsert || input.dryRun;
+  };
+  if (request.route === "sync-products") {
+    return (request.items || []).every(
+      (item) => !item || typeof item !== "object" || Array.isArray(item) || repeatable(item)
+    );
+  }
+  return request.action !== "sync" || repeatable(request.body);
+}
+
+// request: { route: "sync-product", action, body } | { route: "sync-products", items, csv, concurrency }
+// meta: { principal, idempotencyKey }. Returns the job record.
+export async function enqueueJob(store, { locationId, request, callbackUrl, meta }) {
+  const now = new Date().toISOString();
+  const retryable = isRepeatable(request);
+
+  const job = {
+    id: `job_${randomUUID()}`,
+    route: request.route,
+    status: "queued",
+    locationId,
+    request,
+    callbackUrl: callbackUrl || null,
+    clientId: meta?.principal?.clientId || null,
+    idempotencyKey: meta?.idempotencyKey || null,
+    attempts: 0,
+    maxAttempts: retryable ? Math.floor(envNumber("DBE_JOB_MAX_ATTEMPTS", 3)) : 1,
+    createdAt: now,
+    nextAttemptAt: now,
+    attemptErrors: [],
+    result: null,
+  };
+
+  await saveJob(store, job);
+  await store.set(queueKey(job.id), { jobId: job.id, createdAt: now }, { ex: ttlSec() });
+  return job;
+}
+
+// 202 body for an enqueued job.
+export function jobAcceptedBody(job) {
+  return {
+    ok: true,
+    build: BUILD_MARKER,
+    async: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/ghl/jobs?id=${job.id}`,
+  };
+}
+
+function isRetryableStatus(status) {
+  return status === 409 || status === 429 || status >= 500;
+}
+
+async function runRequest(store, job) {
+  const tenant = await resolveTenant({ locationId: job.locationId });
+  if (tenant.error) return { status: tenant.status, body: { ok: false, build: BUILD_MARKER, error: tenant.error } };
+
+  const audit = await resolveAuditSink();
+  if (audit.error) return { status: audit.status, body: { ok: false, build: BUILD_MARKER, error: audit.error } };
+
+  const ctx = { client: tenant.client, store, audit: audit.sink };
+  const meta = {
+    route: job.route,
+    principal: job.clientId ? { clientId: job.clientId } : null,
+    idempotencyKey: job.idempotencyKey,
+  };
+  const { request } = job;
+
+  if (request.route === "sync-products") {
+    return await executeBatch(ctx, { items: request.items, csv: request.csv, concurrency: request.concurrency }, meta);
+  }
+  return await executeSync(ctx, { action: request.action, input: readSyncInput(request.body) }, meta);
+}
+
+// Runs one attempt of a due job. Returns the updated job, or null when it is not due, already
+// final, or another worker holds it.
+export async function processJob(store, jobId) {
+  const lock = await acquireLock(store, lockKey("jobs", jobId), {
+    leaseMs: envNumber("DBE_JOB_LEASE_MS", 5 * 60 * 1000),
+    waitMs: 0,
+  });
+  if (!lock.acquired) return null;
+
+  try {
+    const job = await getJob(store, jobId);
+    if (!job) {
+      await store.del(queueKey(jobId));
+      return null;
+    }
+    if (job.status === "succeeded" || job.status === "failed") {
+      await store.del(queueKey(jobId));
+      return null;
+    }
+    // "running" with its lease free means the previous worker died mid-attempt: run it again,
+    // unless that was the last attempt (always the case for maxAttempts 1, see isRepeatable()).
+    if (job.status === "queued" && Date.parse(job.nextAttemptAt) > Date.now()) return null;
+
+    let result;
+    if (job.status === "running" && job.attempts >= job.maxAttempts) {
+      result = {
+        status: 500,
+        body: { ok: false, build: BUILD_MARKER, error: "Job worker stopped during the last attempt." },
+      };
+    } else {
+      job.status = "running";
+      job.attempts += 1;
+      await saveJob(store, job);
+    }
+
+    try {
+      result = result || (await runRequest(store, job));
+    } catch (err) {
+      result = {
+        status: err?.status || 500,
+        body: { ok: false, build: BUILD_MARKER, error: err?.message || "Job failed" },
+      };
+    }
+
+    job.result = result;
+    if (isRetryableStatus(result.status) && job.attempts < job.maxAttempts) {
+      const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+      job.status = "queued";
+      job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      job.attemptErrors = [
+        ...job.attemptErrors,
+        { attempt: job.attempts, status: result.status, error: result.body?.error || null },
+      ];
+      await saveJob(store, job);
+      return job;
+    }
+
+    job.status = result.body?.ok === true ? "succeeded" : "failed";
+    job.finishedAt = new Date().toISOString();
+    await saveJob(store, job);
+    await store.del(queueKey(job.id));
+
+    if (job.callbackUrl) {
+      job.callbackResult = await postSignedJson(job.callbackUrl, describeJob(job), {
+        secret: process.env.DBE_JOB_CALLBACK_SECRET,
+        publicOnly: true,
+      });
+      await saveJob(store, job);
+    }
+    return job;
+  } finally {
+    await lock.release();
+  }
+}
+
+// Processes due jobs, oldest first, until `limit` jobs ran or `budgetMs` elapsed.
+// Returns [{ jobId, status, attempts }].
+export async function processDueJobs(store, { limit = 10, budgetMs = 50000 } = {}) {
+  const started = Date.now();
+  const entries = [];
+  for (const key of await store.keys("dbe:jobq:")) {
+    const entry = await store.get(key).catch(() => null);
+    if (entry?.jobId) entries.push(entry);
+  }
+  entries.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  const ran = [];
+  for (const { jobId } of entries) {
+    if (ran.length >= limit || Date.now() - started > budgetMs) break;
+    const job = await processJob(store, jobId);
+    if (job) ran.push({ jobId, status: job.status, attempts: job.attempts });
+  }
+  return ran;
+}
+
+// Starts the job without holding the response. On Vercel the invocation is kept alive with
+// waitUntil(); elsewhere the promise just runs on. Errors are left to the worker's retry.
+export async function startJob(store, jobId) {
+  const run = processJob(store, jobId).catch(() => {});
+  try {
+    const { waitUntil } = await import("@vercel/functions");
+    waitUntil(run);
+  } catch {
+    // not on Vercel (or the optional package missing): nothing keeps the instance alive, the
+    // worker catches up
+  }
+}
@@ -0,0 +1,80 @@
+// File: /lib/ghl/journal.js
+// Step journal for a sync: every completed write is recorded with an undo action so a
+// failure half-way (e.g. createPrice after the old prices were deleted) can be compensated.
+//
+// record(step, detail, undo) — undo: async () => void | { report }, or null when the step cannot
+// be undone. `report` fields (e.g. the id of a recreated price) are merged into the rollback entry.
+// rollback() runs the undo actions newest-first and reports each one; it never throws.
+
+// Price fields we can send back to POST /products/:id/price to recreate a deleted price.
+const RESTORABLE_PRICE_FIELDS = [
+  "product",
+  "locationId",
+  "name",
+  "description",
+  "type",
+  "currency",
+  "amount",
+  "compareAt",
+  "sku",
+  "variantOptionIds",
+  "trackInventory",
+  "availableQuantity",
+  "allowOutOfStockPurchases",
+  "recurring",
+  "setupFee",
+  "trialPeriod",
+  "totalCycles",
+];
+
+export function restorablePrice(p, productId) {
+  const out = {};
+  for (const field of RESTORABLE_PRICE_FIELDS) {
+    if (p?.[field] !== undefined && p?.[field] !== null) out[field] = p[field];
+  }
+  if (productId) out.product = String(productId);
+  return out;
+}
+
+export function createJournal() {
+  const steps = [];
+
+  return {
+    record(step, detail = {}, undo = null) {
+      steps.push({ step, detail, undo });
+    },
+
+    summary() {
+      return steps.map(({ step, detail, undo }) => ({ step, ...detail, compensable: Boolean(undo) }));
+    },
+
+    async rollback() {
+      const report = [];
+      for (const { step, detail, undo } of [...steps].reverse()) {
+        if (!undo) {
+          report.push({ step, ...detail, undo: "not_supported" });
+          continue;
+        }
+        try {
+          const result = await undo();
+          report.push({ step, ...detail, undo: "ok", ...(result?.report || {}) });
+        } catch (e) {
+          report.push({
+            step,
+            ...detail,
+            undo: "failed",
+            status: e?.status || 500,
+            details: e?.data || e?.message || null,
+          });
+        }
+      }
+      return {
+        attempted: report.length > 0,
+        // ok: no undo action failed; complete: every step was actually undone.
+        ok: report.every((r) => r.undo !== "failed"),
+        complete: report.every((r) => r.undo === "ok"),
+        steps: report,
+      };
+    },
+  };
+}
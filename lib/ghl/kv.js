@@ -0,0 +1,14 @@
+// File: /lib/ghl/kv.js
+// Optional @vercel/kv client. Returns null when the package or KV env is unavailable.
+
+let kv = null;
+export async function getKV() {
+  if (kv) return kv;
+  try {
+    const mod = await import("@vercel/kv");
+    kv = mod.kv;
+    return kv;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,85 @@
+// File: /lib/ghl/lock.js
+// Leased mutex for one upsert at a time per (locationId, dedupeKey).
+//
+// - "dbe:lock:<locationId>:<dedupeKey>" -> <owner token> in the mapping store (see
+//   /lib/ghl/store.js), set with NX + PX so a crashed function can never hold the lock for longer
+//   than the lease (DBE_LOCK_LEASE_MS, default 120s; keep it above the longest sync, retries included).
+// - A caller that finds the lock taken polls for up to DBE_LOCK_WAIT_MS (default 5s) before
+//   giving up, so a client retry racing its own first attempt usually just waits its turn.
+// - release() only deletes the key if this caller still owns it (the lease may have expired
+//   and been taken over).
+// - Without a store the lock is per instance (in memory), which still serializes duplicates
+//   inside one batch request.
+
+import { randomUUID } from "node:crypto";
+
+const POLL_MS = 250;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function lockKey(locationId, dedupeKey) {
+  return `dbe:lock:${locationId}:${dedupeKey}`;
+}
+
+// In-memory fallback: key -> { token, expiresAt }
+const localLocks = new Map();
+
+async function tryTake(store, key, token, leaseMs) {
+  if (store) {
+    return Boolean(await store.set(key, token, { nx: true, px: leaseMs }));
+  }
+  const held = localLocks.get(key);
+  if (held && held.expiresAt > Date.now()) return false;
+  localLocks.set(key, { token, expiresAt: Date.now() + leaseMs });
+  return true;
+}
+
+async function giveBack(store, key, token) {
+  if (store) {
+    if ((await store.get(key)) === token) await store.del(key);
+    return;
+  }
+  if (localLocks.get(key)?.token === token) localLocks.delete(key);
+}
+
+// Returns { acquired: true, key, leaseMs, release } or { acquired: false, key, waitedMs, error? }.
+// A store error is reported as not acquired (with `error`) rather than running the upsert unlocked.
+export async function acquireLock(store, key, opts = {}) {
+  const leaseMs = opts.leaseMs ?? envNumber("DBE_LOCK_LEASE_MS", 120000);
+  const waitMs = opts.waitMs ?? envNumber("DBE_LOCK_WAIT_MS", 5000);
+  const token = randomUUID();
+  const started = Date.now();
+
+  for (;;) {
+    let taken = false;
+    try {
+      taken = await tryTake(store, key, token, leaseMs);
+    } catch (e) {
+      return { acquired: false, key, waitedMs: Date.now() - started, error: e?.message || "store error" };
+    }
+
+    if (taken) {
+      return {
+        acquired: true,
+        key,
+        leaseMs,
+        async release() {
+          try {
+            await giveBack(store, key, token);
+          } catch {
+            // The lease expires on its own.
+          }
+        },
+      };
+    }
+
+    const waited = Date.now() - started;
+    if (waited >= waitMs) return { acquired: false, key, waitedMs: waited };
+    await sleep(Math.min(POLL_MS, waitMs - waited));
+  }
+}
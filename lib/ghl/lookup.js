@@ -0,0 +1,120 @@
+// File: /lib/ghl/lookup.js
+// Read-back of synced products by SKU / externalId. GET calls only.
+//
+// Each key resolves through the mapping (see /lib/ghl/mapping.js) and returns the product as
+// GHL currently has it, normalized to the fields the sync writes: prices, collection names, media.
+
+import {
+  extractPricesArray,
+  normalizeCollectionId,
+  normalizePriceId,
+  normalizeProductId,
+} from "./client.js";
+import { getCollections } from "./collections.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { dedupeKeyFor, resolveProductByKey } from "./mapping.js";
+import { parseTaggedName } from "./tags.js";
+
+export const MAX_LOOKUP_KEYS = 100;
+
+// Request -> [{ sku } | { externalId }]. Accepts sku/externalId as a string, a comma-separated
+// string or an array, plus skus/externalIds arrays.
+export function readLookupKeys(source) {
+  const list = (v) =>
+    (Array.isArray(v) ? v : v === undefined || v === null ? [] : String(v).split(","))
+      .map((x) => String(x ?? "").trim())
+      .filter(Boolean);
+
+  const keys = [];
+  for (const sku of [...list(source?.sku), ...list(source?.skus)]) keys.push({ sku });
+  for (const externalId of [...list(source?.externalId), ...list(source?.externalIds)]) keys.push({ externalId });
+  return keys;
+}
+
+export function normalizePrice(p) {
+  return {
+    priceId: normalizePriceId(p) ? String(normalizePriceId(p)) : null,
+    name: p?.name || null,
+    sku: p?.sku || null,
+    type: p?.type || null,
+    currency: p?.currency || null,
+    amount: p?.amount ?? null,
+    compareAt: p?.compareAt ?? null,
+    recurring: p?.recurring ?? null,
+    trialPeriod: p?.trialPeriod ?? null,
+    setupFee: p?.setupFee ?? null,
+    trackInventory: p?.trackInventory ?? null,
+    availableQuantity: p?.availableQuantity ?? null,
+    variantOptionIds: Array.isArray(p?.variantOptionIds) ? p.variantOptionIds : [],
+  };
+}
+
+// GHL product (+ its prices, + location collections) -> lookup shape.
+export function normalizeProduct(product, prices, collections) {
+  const collectionIds = Array.isArray(product?.collectionIds) ? product.collectionIds.map(String) : [];
+  const tagged = parseTaggedName(product?.name);
+
+  return {
+    productId: String(normalizeProductId(product) || ""),
+    name: tagged ? tagged.name : product?.name || null,
+    taggedName: tagged ? product.name : null,
+    description: product?.description || null,
+    productType: product?.productType || null,
+    availableInStore: product?.availableInStore ?? null,
+    collections: collectionIds.map((id) => ({
+      id,
+      name: collections.find((c) => String(normalizeCollectionId(c)) === id)?.name || null,
+    })),
+    image: product?.image || null,
+    medias: (Array.isArray(product?.medias) ? product.medias : []).map((m) => ({
+      id: m?.id || null,
+      url: m?.url || null,
+      type: m?.type || "image",
+      isFeatured: m?.isFeatured === true,
+    })),
+    options: (Array.isArray(product?.variants) ? product.variants : []).map((v) => ({
+      name: v?.name || null,
+      values: (Array.isArray(v?.options) ? v.options : []).map((o) => o?.name || null),
+    })),
+    seo: {
+      title: product?.seoTitle ?? product?.seo?.title ?? null,
+      description: product?.seoDescription ?? product?.seo?.description ?? null,
+      slug: product?.seoSlug ?? product?.slug ?? null,
+    },
+    prices: prices.map(normalizePrice),
+    createdAt: product?.createdAt || null,
+    updatedAt: product?.updatedAt || null,
+  };
+}
+
+// ctx: { client, store }; keys from readLookupKeys().
+// Returns one { sku?|externalId?, dedupeKey, found, product, mapping, error? } per key, in order.
+export async function lookupProducts(ctx, keys, { concurrency = 4 } = {}) {
+  const { client } = ctx;
+  const collections = await getCollections(client);
+
+  return await mapWithConcurrency(keys, concurrency, async (key) => {
+    const dedupeKey = dedupeKeyFor(key.sku ?? key.externalId);
+    const base = { ...key, dedupeKey, found: false, product: null, mapping: null };
+
+    try {
+      const { productId, mapping } = await resolveProductByKey(ctx, dedupeKey);
+      base.mapping = mapping;
+      if (!productId) return base;
+
+      let product;
+      try {
+        const resp = await client.getProduct(productId);
+        product = resp?.product || resp || null;
+      } catch (e) {
+        if (e?.status === 404) return { ...base, productId, error: "Mapped product no longer exists in GHL." };
+        throw e;
+      }
+
+      const prices = extractPricesArray(await client.listPrices(productId));
+      return { ...base, found: true, product: normalizeProduct(product, prices, collections) };
+    } catch (e) {
+      return { ...base, error: e?.message || "Lookup failed", status: e?.status || 500, details: e?.data || null };
+    }
+  });
+}
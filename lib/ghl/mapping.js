@@ -0,0 +1,118 @@
+// File: /lib/ghl/mapping.js
+// dedupeKey -> product resolution outside the sync path (lookup, archive/delete).
+// Same rules as upsert (see /lib/ghl/sync.js step 4): mapping store first,
+// "[DBE:<key>]" tag search when no store is configured.
+//
+// Mapping writes go through writeMapping() / deleteMapping(), which also keep the reverse index
+// dbe:mapidx:<locationId>:<productId> -> { dedupeKeys } that webhooks use to find the mappings
+// of a product without scanning dbe:map:* (see findMappingsByProductId()). Index entries are
+// verified against the mapping on read, so a stale one is harmless. Several dedupe keys share an
+// index entry, so its read-modify-write runs under its own lock; when that lock cannot be had the
+// location's index is marked unbuilt and rebuilt from the mappings on the next read.
+
+import { acquireLock, lockKey } from "./lock.js";
+import { findTaggedProductId } from "./tags.js";
+
+const INDEX_LOCK_LEASE_MS = 10000;
+
+export function mappingKey(locationId, dedupeKey) {
+  return `dbe:map:${locationId}:${dedupeKey}`;
+}
+
+export function productIndexKey(locationId, productId) {
+  return `dbe:mapidx:${locationId}:${productId}`;
+}
+
+// Set once the index of a location holds the mappings written before it existed.
+function indexBuiltKey(locationId) {
+  return `dbe:mapidxbuilt:${locationId}`;
+}
+
+// Adds / removes dedupeKey in the product's index entry. false when the entry stayed locked.
+async function updateIndex(store, locationId, productId, dedupeKey, add) {
+  const lock = await acquireLock(store, lockKey(locationId, `mapidx:${productId}`), {
+    leaseMs: INDEX_LOCK_LEASE_MS,
+  });
+  if (!lock.acquired) return false;
+  try {
+    const key = productIndexKey(locationId, productId);
+    const keys = new Set((await store.get(key))?.dedupeKeys || []);
+    if (keys.has(dedupeKey) === add) return true;
+    if (add) keys.add(dedupeKey);
+    else keys.delete(dedupeKey);
+    if (keys.size) await store.set(key, { dedupeKeys: [...keys] });
+    else await store.del(key);
+    return true;
+  } finally {
+    await lock.release();
+  }
+}
+
+// A skipped index update: have the next findMappingsByProductId() rebuild the index.
+async function invalidateIndex(store, locationId) {
+  await store.del(indexBuiltKey(locationId));
+}
+
+// Stores `mapping` for dedupeKey and moves its index entry along. Callers hold the upsert lock.
+export async function writeMapping(store, locationId, dedupeKey, mapping) {
+  const key = mappingKey(locationId, dedupeKey);
+  const previous = await store.get(key).catch(() => null);
+  await store.set(key, mapping);
+  const from = previous?.productId ? String(previous.productId) : null;
+  const to = mapping?.productId ? String(mapping.productId) : null;
+  const removed = from && from !== to ? await updateIndex(store, locationId, from, dedupeKey, false) : true;
+  const added = to ? await updateIndex(store, locationId, to, dedupeKey, true) : true;
+  if (!removed || !added) await invalidateIndex(store, locationId);
+}
+
+export async function deleteMapping(store, locationId, dedupeKey) {
+  const key = mappingKey(locationId, dedupeKey);
+  const previous = await store.get(key).catch(() => null);
+  await store.del(key);
+  if (!previous?.productId) return;
+  if (!(await updateIndex(store, locationId, String(previous.productId), dedupeKey, false))) {
+    await invalidateIndex(store, locationId);
+  }
+}
+
+// Indexes every existing mapping of the location once (mappings written before the index).
+async function ensureProductIndex(store, locationId) {
+  if (await store.get(indexBuiltKey(locationId))) return;
+  const prefix = mappingKey(locationId, "");
+  let complete = true;
+  for (const key of await store.keys(prefix)) {
+    const mapping = await store.get(key).catch(() => null);
+    if (!mapping?.productId) continue;
+    const dedupeKey = key.slice(prefix.length);
+    if (!(await updateIndex(store, locationId, String(mapping.productId), dedupeKey, true))) complete = false;
+  }
+  // An entry that stayed locked is retried by the next read.
+  if (complete) await store.set(indexBuiltKey(locationId), { at: new Date().toISOString() });
+}
+
+// Mappings of `locationId` whose productId is `productId` -> [{ key, dedupeKey, mapping }]
+export async function findMappingsByProductId(store, locationId, productId) {
+  await ensureProductIndex(store, locationId);
+  const index = await store.get(productIndexKey(locationId, productId)).catch(() => null);
+  const out = [];
+  for (const dedupeKey of index?.dedupeKeys || []) {
+    const key = mappingKey(locationId, dedupeKey);
+    const mapping = await store.get(key).catch(() => null);
+    if (mapping && String(mapping.productId) === String(productId)) out.push({ key, dedupeKey, mapping });
+  }
+  return out;
+}
+
+// sku / externalId as given -> dedupe key (as readSyncInput() derives it).
+export function dedupeKeyFor(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+// ctx: { client, store } -> { productId, mapping } (productId null when nothing matches).
+export async function resolveProductByKey({ client, store }, dedupeKey) {
+  if (store) {
+    const mapping = await store.get(mappingKey(client.locationId, dedupeKey)).catch(() => null);
+    return { productId: mapping?.productId ? String(mapping.productId) : null, mapping: mapping || null };
+  }
+  return { productId: await findTaggedProductId(client, dedupeKey), mapping: null };
+}
@@ -0,0 +1,282 @@
+// File: /lib/ghl/media.js
+// Product media pipeline: check, dedupe, stable ids, optional rehost into the GHL media library.
+//
+// - Sources keep the old precedence: medias[] (url, or base64 + contentType), else images[],
+//   else image. data: URLs and base64 entries are always uploaded — GHL cannot link them.
+// - Duplicates (same normalized URL, same bytes) are dropped; the first occurrence wins.
+// - Ids are derived from a sha256 of the source URL (or bytes), so re-syncing the same images
+//   sends the same ids. An id given in medias[] is kept.
+// - checkMedia (opt-in: checkMedia: true or DBE_MEDIA_CHECK=true): HEAD every remote URL (GET
+//   with Range: bytes=0-0 when HEAD is refused). A URL is dropped when it or a redirect points at
+//   a private, loopback or link-local host, does not answer 2xx, is not image/* (video/* for
+//   type "video"), or is over DBE_MEDIA_MAX_BYTES (default 25 MB). Each check times out after
+//   DBE_MEDIA_TIMEOUT_MS (default 5s).
+// - rehostMedia (or DBE_MEDIA_REHOST=true): remote URLs are uploaded to the media library by URL.
+//   Every upload is remembered in the mapping store under dbe:media:<locationId>:<hash>, so a
+//   re-sync reuses the hosted file instead of uploading it again.
+// Dry run checks URLs but uploads nothing (wouldUpload).
+
+import { createHash } from "node:crypto";
+import { checkPublicUrl } from "./address.js";
+import { mapWithConcurrency } from "./concurrency.js";
+
+const CHECK_CONCURRENCY = 4;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function mediaCacheKey(locationId, hash) {
+  return `dbe:media:${locationId}:${hash}`;
+}
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+// UUID-shaped id from a hash, so it looks like the ids GHL generates itself.
+export function stableMediaId(hash) {
+  const h = String(hash);
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+}
+
+// Lowercased scheme/host, no fragment. Anything URL() cannot parse is returned trimmed.
+export function normalizeMediaUrl(url) {
+  const raw = String(url || "").trim();
+  try {
+    const u = new URL(raw);
+    u.hash = "";
+    return u.toString();
+  } catch {
+    return raw;
+  }
+}
+
+// "data:image/png;base64,...." -> { contentType, bytes } | null (base64 data URLs only).
+export function parseDataUrl(value) {
+  const m = /^data:([^;,]+)?((?:;[^;,]*)*);base64,(.*)$/is.exec(String(value || "").trim());
+  if (!m) return null;
+  return { contentType: (m[1] || "application/octet-stream").toLowerCase(), bytes: Buffer.from(m[3], "base64") };
+}
+
+function extensionFor(contentType) {
+  const sub = String(contentType || "").split("/")[1] || "bin";
+  return sub.replace(/\+.*$/, "").replace("jpeg", "jpg");
+}
+
+// input (readSyncInput) -> [{ index, field, source, hash, url?, bytes?, contentType?, id?, title, type, isFeatured }]
+// Entries that cannot be read are returned with `invalid` set.
+function readMediaSources(input) {
+  const { providedMedias, imagesArr, image, rawName } = input;
+
+  let raw;
+  if (providedMedias && providedMedias.length) {
+    raw = providedMedias.map((m, index) => ({ m: m || {}, index, field: `medias[${index}]` }));
+  } else if (imagesArr.length) {
+    raw = imagesArr.map((url, index) => ({ m: { url }, index, field: `images[${index}]` }));
+  } else if (image) {
+    raw = [{ m: { url: image, isFeatured: true }, index: 0, field: "image" }];
+  } else {
+    return [];
+  }
+
+  return raw.map(({ m, index, field }) => {
+    const base = {
+      index,
+      field,
+      id: m.id ? String(m.id) : null,
+      title: String(m.title || rawName).trim() || rawName,
+      type: String(m.type || "image").trim(),
+      isFeatured: m.isFeatured === true,
+    };
+
+    if (m.base64) {
+      const contentType = String(m.contentType || "").trim().toLowerCase();
+      if (!contentType) return { ...base, source: field, invalid: "base64 media needs a contentType." };
+      const bytes = Buffer.from(String(m.base64), "base64");
+      if (!bytes.length) return { ...base, source: field, invalid: "base64 media is empty." };
+      return { ...base, source: field, bytes, contentType, fileName: m.fileName, hash: sha256(bytes) };
+    }
+
+    const url = String(m.url || "").trim();
+    if (!url) return null;
+
+    if (/^data:/i.test(url)) {
+      const parsed = parseDataUrl(url);
+      if (!parsed || !parsed.bytes.length) return { ...base, source: `${field} (data URL)`, invalid: "Not a base64 data URL." };
+      return { ...base, source: `${field} (data URL)`, ...parsed, fileName: m.fileName, hash: sha256(parsed.bytes) };
+    }
+
+    const normalized = normalizeMediaUrl(url);
+    if (!/^https?:\/\//i.test(normalized)) return { ...base, source: url, invalid: "Only http(s) and data: URLs are supported." };
+    return { ...base, source: url, url: normalized, hash: sha256(normalized) };
+  }).filter(Boolean);
+}
+
+function acceptsContentType(type, contentType) {
+  const ct = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (!ct || ct === "application/octet-stream" || ct === "binary/octet-stream") return true;
+  return ct.startsWith(type === "video" ? "video/" : "image/");
+}
+
+const MAX_REDIRECTS = 5;
+
+// One request, following redirects by hand so every hop passes checkPublicUrl().
+async function fetchPublic(url, init) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    const blocked = await checkPublicUrl(current, { label: "Media URL" });
+    if (blocked) throw new Error(blocked);
+    const resp = await fetch(current, { ...init, redirect: "manual" });
+    const location = resp.status >= 300 && resp.status < 400 ? resp.headers.get("location") : null;
+    if (!location) return resp;
+    await resp.body?.cancel().catch(() => {});
+    if (hop >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects.`);
+    current = new URL(location, current).toString();
+  }
+}
+
+// HEAD (or a 1-byte ranged GET) on a remote URL -> { ok, status, contentType, bytes, reason? }
+// URLs (and redirects) to private, loopback or link-local hosts are refused (see /lib/ghl/address.js).
+export async function checkMediaUrl(url, { type = "image" } = {}) {
+  const timeoutMs = envNumber("DBE_MEDIA_TIMEOUT_MS", 5000);
+  const maxBytes = envNumber("DBE_MEDIA_MAX_BYTES", 25 * 1024 * 1024);
+
+  let resp;
+  try {
+    resp = await fetchPublic(url, { method: "HEAD", signal: AbortSignal.timeout(timeoutMs) });
+    if (resp.status === 405 || resp.status === 501) {
+      resp = await fetchPublic(url, {
+        method: "GET",
+        headers: { Range: "bytes=0-0" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      await resp.body?.cancel().catch(() => {});
+    }
+  } catch (e) {
+    const reason = e?.name === "TimeoutError" ? `No response within ${timeoutMs}ms.` : e?.message || "Request failed.";
+    return { ok: false, status: null, contentType: null, bytes: null, reason };
+  }
+
+  const contentType = resp.headers.get("content-type") || null;
+  // A ranged GET reports the full size in Content-Range ("bytes 0-0/12345").
+  const range = /\/(\d+)\s*$/.exec(resp.headers.get("content-range") || "");
+  const length = range ? Number(range[1]) : Number(resp.headers.get("content-length"));
+  const bytes = Number.isFinite(length) && length > 0 ? length : null;
+  const result = { ok: false, status: resp.status, contentType, bytes };
+
+  if (!resp.ok) return { ...result, reason: `HTTP ${resp.status}` };
+  if (!acceptsContentType(type, contentType)) return { ...result, reason: `Unexpected content-type ${contentType}` };
+  if (bytes !== null && bytes > maxBytes) return { ...result, reason: `Too large (${bytes} bytes, max ${maxBytes})` };
+  return { ...result, ok: true };
+}
+
+// ctx: { client, store }; input: readSyncInput() output.
+// Returns { medias, report } — `medias` is the product payload field (undefined when nothing is
+// left), `report` goes into the response `media` block.
+export async function prepareMedias(ctx, input) {
+  const { client, store } = ctx;
+  const dryRun = input.dryRun === true;
+  const check = input.checkMedia === true;
+  const rehost = input.rehostMedia === true;
+  const maxBytes = envNumber("DBE_MEDIA_MAX_BYTES", 25 * 1024 * 1024);
+
+  const dropped = [];
+  const duplicates = [];
+  const seen = new Set();
+  const sources = [];
+  for (const src of readMediaSources(input)) {
+    if (src.invalid) {
+      dropped.push({ field: src.field, source: src.source, reason: src.invalid });
+    } else if (seen.has(src.hash)) {
+      duplicates.push({ field: src.field, source: src.source });
+    } else {
+      seen.add(src.hash);
+      sources.push(src);
+    }
+  }
+
+  async function cachedUpload(hash) {
+    if (!store) return null;
+    return await store.get(mediaCacheKey(client.locationId, hash)).catch(() => null);
+  }
+
+  async function upload(src) {
+    const fileName = src.fileName || `${src.hash.slice(0, 16)}.${extensionFor(src.contentType)}`;
+    const uploaded = src.bytes
+      ? await client.uploadMedia({ bytes: src.bytes, contentType: src.contentType, fileName })
+      : await client.uploadMedia({ fileUrl: src.url, fileName: src.url.split("/").pop()?.split("?")[0] || undefined });
+    if (!uploaded.url) throw new Error("Media upload returned no url.");
+    if (store) {
+      await store
+        .set(mediaCacheKey(client.locationId, src.hash), { ...uploaded, source: src.bytes ? null : src.url, uploadedAt: new Date().toISOString() })
+        .catch(() => {});
+    }
+    return uploaded;
+  }
+
+  const processed = await mapWithConcurrency(sources, CHECK_CONCURRENCY, async (src) => {
+    const item = { field: src.field, source: src.source, src };
+    const wantsUpload = Boolean(src.bytes) || rehost;
+
+    if (wantsUpload) {
+      const cached = await cachedUpload(src.hash);
+      if (cached?.url) return { ...item, url: cached.url, rehosted: true, uploaded: false, cached: true };
+    }
+
+    if (src.bytes) {
+      if (!acceptsContentType(src.type, src.contentType)) {
+        return { ...item, reason: `Unexpected content-type ${src.contentType}` };
+      }
+      if (src.bytes.length > maxBytes) return { ...item, reason: `Too large (${src.bytes.length} bytes, max ${maxBytes})` };
+    } else if (check) {
+      const result = await checkMediaUrl(src.url, { type: src.type });
+      item.check = { status: result.status, contentType: result.contentType, bytes: result.bytes };
+      if (!result.ok) return { ...item, reason: result.reason };
+    }
+
+    if (!wantsUpload) return { ...item, url: src.url, rehosted: false, uploaded: false };
+    if (dryRun) {
+      const url = src.bytes ? `<upload:${src.hash.slice(0, 12)}>` : src.url;
+      return { ...item, url, rehosted: false, uploaded: false, wouldUpload: true };
+    }
+
+    try {
+      const uploaded = await upload(src);
+      return { ...item, url: uploaded.url, fileId: uploaded.fileId, rehosted: true, uploaded: true };
+    } catch (e) {
+      const error = { status: e?.status || null, message: e?.message || "Upload failed", details: e?.data || null };
+      // A remote URL that passed its check is still usable as-is.
+      if (!src.bytes) return { ...item, url: src.url, rehosted: false, uploaded: false, rehostError: error };
+      return { ...item, reason: "Upload to the media library failed.", uploadError: error };
+    }
+  });
+
+  const kept = [];
+  for (const p of processed) {
+    const { src, reason, ...rest } = p;
+    if (reason) dropped.push({ ...rest, reason });
+    else kept.push(p);
+  }
+
+  const anyFeatured = kept.some((p) => p.src.isFeatured);
+  const medias = kept.map((p, idx) => ({
+    id: p.src.id || stableMediaId(p.src.hash),
+    title: p.src.title,
+    url: p.url,
+    type: p.src.type,
+    isFeatured: anyFeatured ? p.src.isFeatured : idx === 0,
+  }));
+
+  return {
+    medias: medias.length ? medias : undefined,
+    report: {
+      checked: check,
+      rehost,
+      items: kept.map(({ src, ...rest }) => ({ id: src.id || stableMediaId(src.hash), ...rest })),
+      dropped,
+      duplicates,
+    },
+  };
+}
@@ -0,0 +1,152 @@
+// File: /lib/ghl/migrate.js
+// Tagged-name -> mapping store migration.
+//
+// Locations that synced without a mapping store carry "[DBE:<key>] <name>" product names.
+// Once a store is configured, upsert looks up dbe:map:<loc>:<key> only, so these products must
+// be migrated first or the next upsert creates a duplicate:
+// - scan every product (listAllProducts(), paginated like /lib/ghl/reconcile.js; the name
+//   search returns one page only) and parse the dedupe keys of the tagged ones,
+// - write dbe:map:<loc>:<key> -> { productId, priceId, prices? } from the product's current prices,
+// - optionally (stripTags) PUT the product back with the tag removed from its name.
+// Keys already mapped to another product, and keys carried by several products, are skipped
+// (see /api/ghl/reconcile for duplicates). Each key is migrated under the upsert lock.
+
+import { extractPricesArray, normalizePriceId, normalizeProductId } from "./client.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { acquireLock, lockKey } from "./lock.js";
+import { writeMapping } from "./mapping.js";
+import { parseTaggedName } from "./tags.js";
+
+// Product fields we send back on PUT; GHL expects the full product, not a patch.
+const EDITABLE_PRODUCT_FIELDS = [
+  "name",
+  "locationId",
+  "description",
+  "productType",
+  "availableInStore",
+  "collectionIds",
+  "image",
+  "medias",
+  "variants",
+  "seoTitle",
+  "seoDescription",
+  "seoSlug",
+  "slug",
+  "isTaxesEnabled",
+  "taxes",
+];
+
+export function editableProduct(product) {
+  const out = {};
+  for (const f of EDITABLE_PRODUCT_FIELDS) {
+    if (product?.[f] !== undefined && product[f] !== null) out[f] = product[f];
+  }
+  return out;
+}
+
+// Mapping value for an existing product: the price whose SKU is the dedupe key (or the only
+// price) as priceId; several SKU'd prices -> also `prices` by lowercased SKU, like variant syncs.
+export function mappingForProduct(productId, prices, dedupeKey) {
+  const skuOf = (p) => String(p?.sku || "").trim().toLowerCase();
+  const main = prices.find((p) => skuOf(p) === dedupeKey) || (prices.length === 1 ? prices[0] : null);
+  const mapping = {
+    productId: String(productId),
+    priceId: main ? String(normalizePriceId(main)) : null,
+  };
+
+  const withSku = prices.filter((p) => skuOf(p) && normalizePriceId(p));
+  if (withSku.length > 1) {
+    mapping.prices = {};
+    for (const p of withSku) mapping.prices[skuOf(p)] ??= String(normalizePriceId(p));
+  }
+  return mapping;
+}
+
+// ctx: { client, store }; opts: { stripTags?, dryRun?, overwrite?, concurrency? }.
+// Returns { scanned, summary, results } with one result per tagged product.
+export async function migrateTaggedProducts(ctx, opts = {}) {
+  const { client, store } = ctx;
+  const { locationId } = client;
+  const concurrency = Math.min(Math.max(Number(opts.concurrency) || 4, 1), 10);
+
+  const products = await client.listAllProducts();
+  const byKey = new Map();
+  let tagged = 0;
+  for (const p of products) {
+    const parsed = parseTaggedName(p?.name);
+    const productId = normalizeProductId(p);
+    if (!parsed || !productId) continue;
+    tagged++;
+    if (!byKey.has(parsed.key)) byKey.set(parsed.key, []);
+    byKey.get(parsed.key).push({ productId: String(productId), product: p, plainName: parsed.name });
+  }
+
+  const results = [];
+  await mapWithConcurrency([...byKey.entries()], concurrency, async ([dedupeKey, hits]) => {
+    if (hits.length > 1) {
+      for (const h of hits) {
+        results.push({
+          dedupeKey,
+          productId: h.productId,
+          status: "skipped_duplicate_tag",
+          candidates: hits.map((x) => x.productId),
+        });
+      }
+      return;
+    }
+    results.push(await migrateOne(ctx, locationId, dedupeKey, hits[0], opts));
+  });
+
+  const summary = {};
+  for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+
+  return {
+    scanned: { products: products.length, tagged, keys: byKey.size },
+    summary,
+    results: results.sort((a, b) => a.dedupeKey.localeCompare(b.dedupeKey)),
+  };
+}
+
+async function migrateOne({ client, store }, locationId, dedupeKey, hit, opts) {
+  const { productId, plainName } = hit;
+  const mapKey = `dbe:map:${locationId}:${dedupeKey}`;
+  const result = { dedupeKey, productId, name: plainName, status: null, mapping: null, tagStripped: false };
+
+  const lock = opts.dryRun ? null : await acquireLock(store, lockKey(locationId, dedupeKey), { waitMs: 0 });
+  if (lock && !lock.acquired) return { ...result, status: "skipped_locked" };
+
+  try {
+    const existing = await store.get(mapKey);
+    if (existing?.productId && String(existing.productId) !== productId && !opts.overwrite) {
+      return { ...result, status: "skipped_mapped_elsewhere", mappedProductId: String(existing.productId) };
+    }
+
+    const prices = extractPricesArray(await client.listPrices(productId));
+    result.mapping = mappingForProduct(productId, prices, dedupeKey);
+    result.status = existing?.productId && String(existing.productId) === productId ? "already_mapped" : "mapped";
+
+    if (opts.dryRun) {
+      result.status = result.status === "mapped" ? "would_map" : result.status;
+      result.tagStripped = opts.stripTags ? "would_strip" : false;
+      return result;
+    }
+
+    if (result.status === "mapped" || opts.overwrite) await writeMapping(store, locationId, dedupeKey, result.mapping);
+
+    if (opts.stripTags) {
+      try {
+        const resp = await client.getProduct(productId);
+        const product = resp?.product || resp || {};
+        await client.putProduct(productId, { ...editableProduct(product), locationId, name: plainName });
+        result.tagStripped = true;
+      } catch (e) {
+        result.stripError = { status: e?.status || 500, details: e?.data || null };
+      }
+    }
+    return result;
+  } catch (e) {
+    return { ...result, status: "failed", error: e?.message || "unknown error", details: e?.data || null };
+  } finally {
+    await lock?.release();
+  }
+}
@@ -0,0 +1,49 @@
+// File: /lib/ghl/outbound.js
+// Signed JSON POSTs to caller-configured URLs (webhook forwarding, job completion callbacks).
+//
+// Signed like inbound calls (see /lib/ghl/auth.js): X-DBE-Timestamp: <unix seconds> and, when a
+// secret is given, X-DBE-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>.
+// One attempt, 5s timeout; never throws.
+//
+// Job callbacks are caller-supplied: they must be https, must not point at private, loopback or
+// link-local hosts (checked when the job is queued and again before delivery, redirects are not
+// followed) and are only accepted when DBE_JOB_CALLBACK_SECRET is set, so every delivery is signed.
+
+import { createHmac } from "node:crypto";
+import { checkPublicUrl } from "./address.js";
+
+// publicOnly: refuse private hosts and redirects (caller-supplied URLs). Returns { ok, status, error? }.
+export async function postSignedJson(url, payload, { secret, timeoutMs = 5000, publicOnly = false } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = { "Content-Type": "application/json", "X-DBE-Timestamp": timestamp };
+  if (secret) {
+    headers["X-DBE-Signature"] = `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+  }
+
+  if (publicOnly) {
+    const blocked = await checkPublicUrl(url, { label: "callbackUrl", requireHttps: true });
+    if (blocked) return { ok: false, status: null, error: blocked };
+  }
+
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers,
+      body,
+      redirect: publicOnly ? "manual" : "follow",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return resp.ok ? { ok: true, status: resp.status } : { ok: false, status: resp.status, error: `HTTP ${resp.status}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e?.message || "Request failed" };
+  }
+}
+
+// Check for caller-supplied callback URLs. Returns an error message or null.
+export async function validateCallbackUrl(value) {
+  if (!process.env.DBE_JOB_CALLBACK_SECRET) {
+    return "callbackUrl needs DBE_JOB_CALLBACK_SECRET to be configured (callbacks are always signed).";
+  }
+  return await checkPublicUrl(value, { label: "callbackUrl", requireHttps: true });
+}
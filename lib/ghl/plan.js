@@ -0,0 +1,197 @@
+// File: /lib/ghl/plan.js
+// Dry-run planner: what syncProduct() would write, computed with GET calls only.
+//
+// - product: create vs update + field-level diff of the product payload against getProduct().
+// - prices: what would be created / updated / deleted, from the current listPrices() snapshot.
+// Mirrors the write paths in /lib/ghl/sync.js step 5-6 — keep the two in step.
+
+import { extractPricesArray, normalizePriceId } from "./client.js";
+import { buildPricePayload, existingPriceIdentity, hasPrices, priceIdentity } from "./prices.js";
+import { planVariantPrices } from "./variants.js";
+
+// Placeholder product id for payloads of a product that does not exist yet.
+const NEW_PRODUCT = "<new>";
+
+// Per-field comparison shape. Fields we send but GHL decorates (ids, timestamps) are reduced
+// to what we actually control.
+const FIELD_NORMALIZERS = {
+  medias: (arr) =>
+    Array.isArray(arr)
+      ? arr.map((m) => ({
+          url: String(m?.url || ""),
+          type: String(m?.type || "image"),
+          isFeatured: m?.isFeatured === true,
+        }))
+      : [],
+  collectionIds: (arr) => (Array.isArray(arr) ? arr.map(String).sort() : []),
+  variants: (arr) =>
+    Array.isArray(arr)
+      ? arr.map((v) => ({
+          name: String(v?.name || ""),
+          options: Array.isArray(v?.options) ? v.options.map((o) => String(o?.name || "")) : [],
+        }))
+      : [],
+};
+
+function comparable(field, value) {
+  const norm = FIELD_NORMALIZERS[field];
+  if (norm) return JSON.stringify(norm(value));
+  if (value === undefined || value === null || value === "") return "null";
+  return JSON.stringify(value);
+}
+
+// Fields in `desired` whose value differs from `current`. `current` null -> every field is new.
+export function diffFields(desired, current) {
+  const changes = [];
+  for (const [field, to] of Object.entries(desired || {})) {
+    if (to === undefined) continue;
+    const from = current ? current[field] : undefined;
+    if (comparable(field, from) !== comparable(field, to)) {
+      changes.push({ field, from: from ?? null, to });
+    }
+  }
+  return changes;
+}
+
+// Price fields a plan diffs against the existing price.
+function priceDiff(payload, existing) {
+  return diffFields(
+    {
+      name: payload.name,
+      amount: payload.amount,
+      compareAt: payload.compareAt,
+      currency: payload.currency,
+      type: payload.type,
+      recurring: payload.recurring,
+      trialPeriod: payload.trialPeriod,
+      setupFee: payload.setupFee,
+    },
+    existing
+  );
+}
+
+// One product-level price entry -> { strategy, create, update, delete } (mirrors syncEntry()).
+function planEntryPrice(entry, payload, existingPrices, { upsert, mode, priceStrategy, mappedId }) {
+  const out = { strategy: "create", create: [], update: [], delete: [] };
+  const sku = entry.sku || null;
+
+  if (upsert && entry.sku) {
+    const identity = priceIdentity(entry.sku, entry.currency, entry.type);
+    const matches = existingPrices.filter((p) => existingPriceIdentity(p) === identity && normalizePriceId(p));
+    const keep =
+      priceStrategy === "put" && matches.length
+        ? matches.find((p) => String(normalizePriceId(p)) === String(mappedId)) || matches[0]
+        : null;
+    const toDelete = priceStrategy === "create_only" ? [] : matches.filter((p) => p !== keep);
+
+    out.strategy = keep ? "dedupe_put" : priceStrategy === "create_only" ? "create_only" : "dedupe_delete_then_create";
+    out.delete = toDelete.map((p) => ({
+      sku: String(p.sku),
+      priceId: String(normalizePriceId(p)),
+      currency: p?.currency ?? null,
+      amount: p?.amount ?? null,
+      compareAt: p?.compareAt ?? null,
+      reason: "dedupe_sku",
+    }));
+    if (keep) {
+      out.update = [{ sku, priceId: String(normalizePriceId(keep)), found: true, diff: priceDiff(payload, keep) }];
+    } else {
+      out.create = [{ sku, payload }];
+    }
+  } else if (mode === "update" && mappedId && priceStrategy === "delete_then_create") {
+    out.strategy = "replace";
+    out.delete = [{ sku, priceId: String(mappedId), reason: "replace" }];
+    out.create = [{ sku, payload }];
+  } else if (mode === "update" && mappedId && priceStrategy !== "create_only") {
+    const existing = existingPrices.find((p) => String(normalizePriceId(p)) === String(mappedId)) || null;
+    out.strategy = "update";
+    out.update = [{ sku, priceId: String(mappedId), found: Boolean(existing), diff: priceDiff(payload, existing) }];
+  } else {
+    out.create = [{ sku, payload }];
+  }
+  return out;
+}
+
+// state: { mode, productId, existingPriceId, mappedPriceIds, productPayload, priceStrategy } from
+// syncProduct() step 4 (priceStrategy: see /lib/ghl/capabilities.js).
+// Returns { product, prices, errors } or { invalid: { status, body } } for a bad price.
+export async function planSync(client, input, state) {
+  const { mode, productId, existingPriceId, mappedPriceIds, productPayload, priceStrategy = "legacy" } = state;
+  const { locationId } = client;
+  const errors = [];
+
+  // Product
+  let current = null;
+  if (mode === "update") {
+    try {
+      const resp = await client.getProduct(String(productId));
+      current = resp?.product || resp || null;
+    } catch (e) {
+      errors.push({ stage: "getProduct", status: e?.status || 500, details: e?.data || null });
+    }
+  }
+
+  const product = {
+    action: mode,
+    productId: productId ? String(productId) : null,
+    found: mode === "update" ? Boolean(current) : null,
+    diff: diffFields(productPayload, current),
+  };
+
+  // Prices
+  let existingPrices = [];
+  if (mode === "update") {
+    try {
+      const pricesResp = await client.listPrices(String(productId));
+      existingPrices = extractPricesArray(pricesResp);
+    } catch (e) {
+      errors.push({ stage: "listPrices", status: e?.status || 500, details: e?.data || null });
+    }
+  }
+
+  const pid = productId ? String(productId) : NEW_PRODUCT;
+  const prices = { strategy: "none", priceStrategy, create: [], update: [], delete: [], unchanged: [] };
+
+  if (input.variants.length) {
+    const vp = planVariantPrices(existingPrices, input, pid, locationId);
+    prices.strategy = "variants_diff";
+    prices.create = vp.create.map(({ sku, payload }) => ({ sku, payload }));
+    prices.update = vp.update.map(({ sku, priceId, payload, existing }) => ({
+      sku,
+      priceId,
+      diff: diffFields(
+        {
+          name: payload.name,
+          amount: payload.amount,
+          compareAt: payload.compareAt,
+          currency: payload.currency,
+          availableQuantity: payload.availableQuantity,
+        },
+        existing
+      ),
+    }));
+    prices.delete = vp.delete.map(({ sku, priceId, reason }) => ({ sku, priceId, reason }));
+    prices.unchanged = vp.unchanged;
+  } else if (hasPrices(input)) {
+    const strategies = [];
+    for (const [idx, entry] of input.prices.entries()) {
+      const built = buildPricePayload(input, entry, pid, locationId);
+      if (!built.payload) return { invalid: built };
+      const mappedId =
+        mode === "update" ? mappedPriceIds?.[priceIdentity(entry.sku, entry.currency, entry.type)] || null : null;
+      const planned = planEntryPrice(entry, built.payload, existingPrices, {
+        upsert: input.upsert,
+        mode,
+        priceStrategy,
+        mappedId: mappedId || (idx === 0 ? existingPriceId : null),
+      });
+      strategies.push(planned.strategy);
+      prices.create.push(...planned.create);
+      prices.update.push(...planned.update);
+      prices.delete.push(...planned.delete);
+    }
+    prices.strategy = new Set(strategies).size === 1 ? strategies[0] : "mixed";
+  }
+
+  return { product, prices, errors };
+}
@@ -0,0 +1,202 @@
+// File: /lib/ghl/prices.js
+// Product-level prices (products without variants[]).
+//
+// - One price (price / amount / currency / priceType at the top level, or a price object) or
+//   several via prices[]: one per (sku, currency, type), e.g. a USD and a EUR price, or a
+//   one-time and a monthly price.
+// - Recurring prices: interval (day|week|month|year), intervalCount (default 1), trialDays,
+//   setupFee -> GHL recurring { interval, intervalCount }, trialPeriod, setupFee.
+// - Amounts (amount, compareAt, setupFee) must fit the currency's minor units: at most 2
+//   decimals for USD, none for JPY, 3 for KWD (ISO 4217).
+// - Upserts dedupe existing prices per priceIdentity() (sku, currency, type), so syncing the EUR
+//   price never touches the USD one.
+
+import { BUILD_MARKER } from "./config.js";
+import { isBlank } from "./variants.js";
+
+export const PRICE_TYPES = ["one_time", "recurring"];
+export const RECURRING_INTERVALS = ["day", "week", "month", "year"];
+
+// ISO 4217 exponents that differ from 2.
+const MINOR_UNITS = new Map([
+  ..."BIF CLP DJF GNF ISK JPY KMF KRW PYG RWF UGX UYI VND VUV XAF XOF XPF".split(" ").map((c) => [c, 0]),
+  ..."BHD IQD JOD KWD LYD OMR TND".split(" ").map((c) => [c, 3]),
+  ..."CLF UYW".split(" ").map((c) => [c, 4]),
+]);
+
+export function minorUnits(currency) {
+  return MINOR_UNITS.get(String(currency || "").toUpperCase()) ?? 2;
+}
+
+// Dedupe key of a price: "<sku>|<CURRENCY>|<type>" (sku lowercased, "" when none).
+export function priceIdentity(sku, currency, type) {
+  const skuKey = String(sku || "").trim().toLowerCase();
+  return `${skuKey}|${String(currency || "").trim().toUpperCase()}|${String(type || "one_time").trim()}`;
+}
+
+// Identity of a price as GHL returns it.
+export function existingPriceIdentity(p) {
+  return priceIdentity(p?.sku, p?.currency, p?.type);
+}
+
+function readRecurring(src, fallback = {}) {
+  return {
+    interval: String(src?.interval ?? fallback.interval ?? "").trim().toLowerCase(),
+    intervalCount: src?.intervalCount ?? fallback.intervalCount ?? null,
+    trialDays: src?.trialDays ?? fallback.trialDays ?? null,
+    setupFee: src?.setupFee ?? fallback.setupFee ?? null,
+  };
+}
+
+// Recurring terms given at the top level / on the price object (also used by variant prices).
+export function readRecurringInput(body) {
+  const priceObj = body && typeof body.price === "object" && body.price !== null ? body.price : null;
+  return readRecurring(priceObj, body);
+}
+
+// body -> [{ amount, compareAt, currency, type, sku, name, interval, intervalCount, trialDays,
+// setupFee }] (empty when no price is given). `defaults` carries the top-level values.
+export function readPriceInputs(body, defaults) {
+  const { priceAmount, compareAt, currency, priceType, sku, recurring } = defaults;
+
+  if (Array.isArray(body.prices)) {
+    return body.prices.map((p) => ({
+      amount: p?.amount ?? p?.price ?? null,
+      compareAt: p?.compareAt ?? p?.compareAtPrice ?? null,
+      currency: String(p?.currency || currency).trim().toUpperCase(),
+      type: String(p?.type || priceType).trim(),
+      sku: String(p?.sku || sku || "").trim(),
+      name: String(p?.name || "").trim(),
+      ...readRecurring(p, recurring),
+    }));
+  }
+
+  if (isBlank(priceAmount)) return [];
+  return [
+    {
+      amount: priceAmount,
+      compareAt,
+      currency: String(currency).trim().toUpperCase(),
+      type: priceType,
+      sku,
+      name: "",
+      ...recurring,
+    },
+  ];
+}
+
+export function hasPrices(input) {
+  return input.prices.length > 0;
+}
+
+// Error message when `value` is not a valid amount in `currency`, else null.
+export function checkAmount(value, currency, label) {
+  const n = Number(value);
+  if (isBlank(value) || !Number.isFinite(n) || n < 0) return `Invalid ${label}. Provide a numeric ${label} >= 0.`;
+  const digits = minorUnits(currency);
+  const scaled = n * 10 ** digits;
+  if (Math.abs(scaled - Math.round(scaled)) > 1e-6) {
+    return digits
+      ? `Invalid ${label} ${value}: ${currency} amounts have at most ${digits} decimal place${digits === 1 ? "" : "s"}.`
+      : `Invalid ${label} ${value}: ${currency} amounts have no decimal places.`;
+  }
+  return null;
+}
+
+// Error message (prefixed with `label`) for an invalid entry, else null. Variant prices are
+// checked with the same rules (see validateSyncInput() in /lib/ghl/sync.js).
+export function validatePriceEntry(e, label = "") {
+  if (!/^[A-Z]{3}$/.test(e.currency)) return `${label}currency must be a 3-letter ISO 4217 code.`;
+  if (!PRICE_TYPES.includes(e.type)) {
+    return `${label}type must be one of ${PRICE_TYPES.map((t) => `"${t}"`).join(", ")}.`;
+  }
+
+  const amountError = checkAmount(e.amount, e.currency, "price");
+  if (amountError) return `${label}${amountError}`;
+  if (!isBlank(e.compareAt)) {
+    const compareAtError = checkAmount(e.compareAt, e.currency, "compareAt");
+    if (compareAtError) return `${label}${compareAtError}`;
+  }
+
+  if (e.type !== "recurring") {
+    if (e.interval || !isBlank(e.intervalCount) || !isBlank(e.trialDays) || !isBlank(e.setupFee)) {
+      return `${label}interval, intervalCount, trialDays and setupFee only apply to recurring prices.`;
+    }
+    return null;
+  }
+
+  if (!RECURRING_INTERVALS.includes(e.interval)) {
+    return `${label}recurring prices need interval: ${RECURRING_INTERVALS.map((i) => `"${i}"`).join(", ")}.`;
+  }
+  const count = Number(e.intervalCount ?? 1);
+  if (!Number.isInteger(count) || count < 1) return `${label}intervalCount must be a whole number >= 1.`;
+  if (!isBlank(e.trialDays)) {
+    const days = Number(e.trialDays);
+    if (!Number.isInteger(days) || days < 0) return `${label}trialDays must be a whole number >= 0.`;
+  }
+  if (!isBlank(e.setupFee)) {
+    const feeError = checkAmount(e.setupFee, e.currency, "setupFee");
+    if (feeError) return `${label}${feeError}`;
+  }
+  return null;
+}
+
+// Returns an error message for an invalid price entry, or null. Checked before any write.
+export function validatePriceInput(input) {
+  if (input.pricesGiven && !isBlank(input.priceAmount)) return "Send either price or prices[], not both.";
+  if (!hasPrices(input)) return null;
+
+  const seen = new Set();
+  for (const [idx, e] of input.prices.entries()) {
+    const label = input.pricesGiven ? `prices[${idx}]: ` : "";
+    const error = validatePriceEntry(e, label);
+    if (error) return error;
+
+    const identity = priceIdentity(e.sku, e.currency, e.type);
+    if (seen.has(identity)) {
+      return `${label}duplicate price for sku "${e.sku}", ${e.currency} ${e.type}: one price per (sku, currency, type).`;
+    }
+    seen.add(identity);
+  }
+  return null;
+}
+
+// GHL recurring fields for an entry ({} for one-time prices).
+export function recurringPayload(e) {
+  if (e.type !== "recurring") return {};
+  const out = { recurring: { interval: e.interval, intervalCount: Number(e.intervalCount ?? 1) } };
+  if (!isBlank(e.trialDays) && Number(e.trialDays) > 0) out.trialPeriod = Number(e.trialDays);
+  if (!isBlank(e.setupFee)) out.setupFee = Number(e.setupFee);
+  return out;
+}
+
+function entryLabel(e) {
+  if (e.name) return e.name;
+  if (e.type !== "recurring") return e.currency;
+  const count = Number(e.intervalCount ?? 1);
+  return `${e.currency} / ${count > 1 ? `${count} ${e.interval}s` : e.interval}`;
+}
+
+// Returns { payload } or { status: 400, body } when the entry is invalid.
+export function buildPricePayload(input, entry, productId, locationId) {
+  const error = validatePriceEntry(entry);
+  if (error) return { status: 400, body: { ok: false, build: BUILD_MARKER, error } };
+
+  const { rawName, description } = input;
+  const single = input.prices.length === 1 && !entry.name;
+
+  const pricePayload = {
+    product: String(productId),
+    locationId,
+    name: single ? `${rawName} - Price` : `${rawName} - ${entryLabel(entry)}`,
+    type: entry.type,
+    currency: entry.currency,
+    amount: Number(entry.amount),
+    description: description || undefined,
+    ...recurringPayload(entry),
+  };
+  if (entry.sku) pricePayload.sku = entry.sku;
+  if (!isBlank(entry.compareAt)) pricePayload.compareAt = Number(entry.compareAt);
+
+  return { payload: pricePayload };
+}
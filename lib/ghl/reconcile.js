@@ -0,0 +1,313 @@
+// File: /lib/ghl/reconcile.js
+// Mapping reconciliation for one location: compares the mapping store (dbe:map:<loc>:*) with
+// what actually exists in GHL, reports drift and optionally repairs it.
+//
+// Issues:
+// - missing_product        mapping -> product GHL no longer has           repair: drop_stale_mappings
+// - missing_price          mapping.priceId not among the product's prices  repair: fix_price_ids
+// - missing_variant_price  mapping.prices[sku] not among the prices        repair: fix_price_ids
+// - unmapped_tagged        "[DBE:<key>]" product with no mapping           repair: adopt_tagged
+// - orphaned               "[DBE:<key>]" product while <key> maps elsewhere repair: delete_orphans
+// - duplicate_price        several prices of one product with the same     repair: dedupe_prices
+//                          sku + currency + type
+// - duplicate_sku          one sku + currency + type on several products   report only
+//
+// repair: true runs every repair except delete_orphans (which deletes products); pass an array
+// of repair names to choose. Mapping writes take the upsert lock (see /lib/ghl/lock.js) and are
+// skipped when an upsert for that key is in flight.
+
+import { extractPricesArray, normalizePriceId, normalizeProductId } from "./client.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { acquireLock, lockKey } from "./lock.js";
+import { deleteMapping, writeMapping } from "./mapping.js";
+import { mappingForProduct } from "./migrate.js";
+import { existingPriceIdentity } from "./prices.js";
+import { parseTaggedName } from "./tags.js";
+
+export const SAFE_REPAIRS = ["drop_stale_mappings", "fix_price_ids", "adopt_tagged", "dedupe_prices"];
+export const ALL_REPAIRS = [...SAFE_REPAIRS, "delete_orphans"];
+
+const skuOf = (p) => String(p?.sku || "").trim().toLowerCase();
+
+// Returns an error message, or null when `repair` is valid.
+export function validateRepairOption(repair) {
+  if (repair === undefined || repair === null || typeof repair === "boolean") return null;
+  if (!Array.isArray(repair)) return "repair must be true/false or an array of repair names.";
+  const unknown = repair.filter((r) => !ALL_REPAIRS.includes(r));
+  return unknown.length ? `Unknown repair(s): ${unknown.join(", ")}. Use: ${ALL_REPAIRS.join(", ")}.` : null;
+}
+
+function enabledRepairs(repair) {
+  if (repair === true) return new Set(SAFE_REPAIRS);
+  if (Array.isArray(repair)) return new Set(repair);
+  return new Set();
+}
+
+// ctx: { client, store }; opts: { repair?, concurrency? }.
+// Returns { scanned, summary, issues } — every issue carries `repair: { action, ok, error? }`
+// when a repair was attempted.
+export async function reconcileLocation(ctx, opts = {}) {
+  const { client, store } = ctx;
+  const { locationId } = client;
+  const repairs = enabledRepairs(opts.repair);
+  const concurrency = Math.min(Math.max(Number(opts.concurrency) || 4, 1), 10);
+  const issues = [];
+
+  // 1) GHL side: every product + its prices
+  const products = await client.listAllProducts();
+  const productsById = new Map();
+  for (const p of products) {
+    const id = normalizeProductId(p);
+    if (id) productsById.set(String(id), p);
+  }
+
+  const pricesByProduct = new Map();
+  const priceErrors = [];
+  await mapWithConcurrency([...productsById.keys()], concurrency, async (productId) => {
+    try {
+      pricesByProduct.set(productId, extractPricesArray(await client.listPrices(productId)));
+    } catch (e) {
+      priceErrors.push({ productId, status: e?.status || 500, details: e?.data || null });
+    }
+  });
+
+  // 2) Store side: every mapping for the location
+  const prefix = `dbe:map:${locationId}:`;
+  const mappings = new Map();
+  if (store) {
+    const keys = await store.keys(prefix);
+    await mapWithConcurrency(keys, concurrency, async (key) => {
+      const value = await store.get(key).catch(() => null);
+      if (value && typeof value === "object") mappings.set(key.slice(prefix.length), value);
+    });
+  }
+
+  // Mapping writes hold the same lock an upsert for that key would.
+  async function withKeyLock(dedupeKey, fn) {
+    const lock = await acquireLock(store, lockKey(locationId, dedupeKey), { waitMs: 0 });
+    if (!lock.acquired) return { ok: false, error: "An upsert for this key is in progress." };
+    try {
+      await fn();
+      return { ok: true };
+    } catch (e) {
+      return { ok: false, error: e?.message || "unknown error", status: e?.status || null };
+    } finally {
+      await lock.release();
+    }
+  }
+
+  async function productExists(productId) {
+    if (productsById.has(productId)) return true;
+    // The product list may be truncated; confirm before calling it missing.
+    try {
+      await client.getProduct(productId);
+      return true;
+    } catch (e) {
+      if (e?.status === 404) return false;
+      throw e;
+    }
+  }
+
+  // 3) Mappings -> products/prices
+  for (const [dedupeKey, mapping] of mappings) {
+    const productId = String(mapping.productId || "");
+    let exists;
+    try {
+      exists = productId ? await productExists(productId) : false;
+    } catch (e) {
+      issues.push({ type: "check_failed", dedupeKey, productId, status: e?.status || 500, details: e?.data || null });
+      continue;
+    }
+
+    if (!exists) {
+      const issue = { type: "missing_product", dedupeKey, productId: productId || null };
+      if (repairs.has("drop_stale_mappings")) {
+        issue.repair = {
+          action: "drop_stale_mappings",
+          ...(await withKeyLock(dedupeKey, () => deleteMapping(store, locationId, dedupeKey))),
+        };
+      }
+      issues.push(issue);
+      continue;
+    }
+
+    if (!pricesByProduct.has(productId)) {
+      try {
+        pricesByProduct.set(productId, extractPricesArray(await client.listPrices(productId)));
+      } catch (e) {
+        priceErrors.push({ productId, status: e?.status || 500, details: e?.data || null });
+        continue;
+      }
+    }
+    const prices = pricesByProduct.get(productId);
+    const priceIds = new Set(prices.map((p) => String(normalizePriceId(p))));
+
+    const next = { ...mapping };
+    let changed = false;
+
+    if (mapping.priceId && !priceIds.has(String(mapping.priceId))) {
+      const replacement =
+        prices.find((p) => skuOf(p) === dedupeKey) || (prices.length === 1 ? prices[0] : null);
+      const newId = replacement ? String(normalizePriceId(replacement)) : null;
+      issues.push({ type: "missing_price", dedupeKey, productId, priceId: String(mapping.priceId), replacement: newId });
+      next.priceId = newId;
+      changed = true;
+    }
+
+    if (mapping.prices && typeof mapping.prices === "object") {
+      next.prices = { ...mapping.prices };
+      for (const [sku, priceId] of Object.entries(mapping.prices)) {
+        if (priceId && priceIds.has(String(priceId))) continue;
+        const replacement = prices.find((p) => skuOf(p) === sku);
+        const newId = replacement ? String(normalizePriceId(replacement)) : null;
+        issues.push({ type: "missing_variant_price", dedupeKey, productId, sku, priceId: priceId || null, replacement: newId });
+        if (newId) next.prices[sku] = newId;
+        else delete next.prices[sku];
+        changed = true;
+      }
+    }
+
+    if (changed && repairs.has("fix_price_ids")) {
+      const result = await withKeyLock(dedupeKey, () => writeMapping(store, locationId, dedupeKey, next));
+      for (const issue of issues) {
+        if (issue.dedupeKey === dedupeKey && !issue.repair && issue.type.startsWith("missing_")) {
+          issue.repair = { action: "fix_price_ids", ...result };
+        }
+      }
+    }
+  }
+
+  // 4) Tagged products vs mappings
+  const mappedProductIds = new Set([...mappings.values()].map((m) => String(m.productId || "")));
+  const taggedByKey = new Map();
+  for (const [productId, p] of productsById) {
+    const key = parseTaggedName(p?.name)?.key;
+    if (!key) continue;
+    if (!taggedByKey.has(key)) taggedByKey.set(key, []);
+    taggedByKey.get(key).push(productId);
+  }
+
+  for (const [dedupeKey, productIds] of taggedByKey) {
+    const mapping = mappings.get(dedupeKey);
+
+    if (mapping) {
+      for (const productId of productIds) {
+        if (productId === String(mapping.productId)) continue;
+        const issue = { type: "orphaned", dedupeKey, productId, mappedProductId: String(mapping.productId) };
+        if (repairs.has("delete_orphans")) {
+          try {
+            await client.deleteProduct(productId);
+            issue.repair = { action: "delete_orphans", ok: true };
+          } catch (e) {
+            issue.repair = { action: "delete_orphans", ok: false, status: e?.status || 500, error: e?.message || "delete failed" };
+          }
+        }
+        issues.push(issue);
+      }
+      continue;
+    }
+
+    // No mapping. Without a store the tag *is* the mapping; only duplicates matter then.
+    const unmapped = productIds.filter((id) => !mappedProductIds.has(id));
+    if (!store) {
+      if (unmapped.length > 1) {
+        issues.push({ type: "orphaned", dedupeKey, productIds: unmapped, detail: "Several products carry the same tag." });
+      }
+      continue;
+    }
+
+    for (const productId of unmapped) {
+      const issue = { type: "unmapped_tagged", dedupeKey, productId, candidates: unmapped.length };
+      if (repairs.has("adopt_tagged")) {
+        if (unmapped.length !== 1) {
+          issue.repair = { action: "adopt_tagged", ok: false, error: "Several products carry this tag; adopt one manually." };
+        } else {
+          const mappingValue = mappingForProduct(productId, pricesByProduct.get(productId) || [], dedupeKey);
+          issue.repair = {
+            action: "adopt_tagged",
+            ...(await withKeyLock(dedupeKey, () => writeMapping(store, locationId, dedupeKey, mappingValue))),
+          };
+        }
+      }
+      issues.push(issue);
+    }
+  }
+
+  // 5) SKU duplicates, per price identity (sku, currency, type — see /lib/ghl/prices.js): a USD and
+  // a EUR price, or a one-time and a recurring price, legitimately share a SKU.
+  const productsByIdentity = new Map();
+  for (const [productId, prices] of pricesByProduct) {
+    const seen = new Map();
+    for (const p of prices) {
+      const priceId = normalizePriceId(p);
+      if (!skuOf(p) || !priceId) continue;
+      const identity = existingPriceIdentity(p);
+      if (!seen.has(identity)) seen.set(identity, { sku: skuOf(p), currency: p.currency || null, type: p.type || "one_time", ids: [] });
+      seen.get(identity).ids.push(String(priceId));
+    }
+
+    for (const [identity, { sku, currency, type, ids }] of seen) {
+      if (!productsByIdentity.has(identity)) productsByIdentity.set(identity, { sku, currency, type, productIds: [] });
+      productsByIdentity.get(identity).productIds.push(productId);
+      if (ids.length < 2) continue;
+
+      // Keep the price a mapping points at, else the first one listed.
+      const [mappedKey, mapped] = [...mappings.entries()].find(([, m]) => String(m.productId) === productId) || [];
+      const referenced = new Set(
+        [mapped?.priceId, ...Object.values(mapped?.prices || {}), ...Object.values(mapped?.priceIds || {})]
+          .filter(Boolean)
+          .map(String)
+      );
+      const keep = ids.find((id) => referenced.has(id)) || ids[0];
+      const extra = ids.filter((id) => id !== keep);
+
+      const issue = { type: "duplicate_price", productId, sku, currency, priceType: type, priceIds: ids, keep };
+      if (repairs.has("dedupe_prices")) {
+        // Same lock an upsert of the product holds while it rewrites prices.
+        const dedupeKey = mappedKey || parseTaggedName(productsById.get(productId)?.name)?.key || sku;
+        const lock = await acquireLock(store, lockKey(locationId, dedupeKey), { waitMs: 0 });
+        if (!lock.acquired) {
+          issue.repair = { action: "dedupe_prices", ok: false, error: "An upsert for this product is in progress." };
+        } else {
+          const deleted = [];
+          const errors = [];
+          try {
+            for (const priceId of extra) {
+              try {
+                await client.deletePrice(productId, priceId);
+                deleted.push(priceId);
+              } catch (e) {
+                errors.push({ priceId, status: e?.status || 500, details: e?.data || null });
+              }
+            }
+          } finally {
+            await lock.release();
+          }
+          issue.repair = { action: "dedupe_prices", ok: errors.length === 0, deleted, errors };
+        }
+      }
+      issues.push(issue);
+    }
+  }
+
+  for (const { sku, currency, type, productIds } of productsByIdentity.values()) {
+    if (productIds.length > 1) issues.push({ type: "duplicate_sku", sku, currency, priceType: type, productIds });
+  }
+
+  const summary = {};
+  for (const issue of issues) summary[issue.type] = (summary[issue.type] || 0) + 1;
+
+  return {
+    scanned: {
+      products: productsById.size,
+      mappings: mappings.size,
+      tagged: [...taggedByKey.values()].reduce((n, ids) => n + ids.length, 0),
+      mappedProducts: mappedProductIds.size,
+    },
+    summary,
+    repairs: [...repairs],
+    repaired: issues.filter((i) => i.repair?.ok).length,
+    issues,
+    priceErrors,
+  };
+}
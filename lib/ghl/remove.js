@@ -0,0 +1,167 @@
+// File: /lib/ghl/remove.js
+// Archive / delete a product by SKU or externalId.
+//
+// - Resolves the product like upsert does: mapping store first, "[DBE:<key>]" tag search without one.
+// - archive: PUT the product back with availableInStore: false. The mapping is kept, so a later
+//   upsert of the same SKU re-lists the same product instead of creating a new one.
+// - delete: delete every price, then the product, then the dbe:map entry. A product GHL no longer
+//   has (404) only clears the mapping.
+// Runs under the upsert lock for the dedupe key (see /lib/ghl/lock.js).
+
+import { BUILD_MARKER } from "./config.js";
+import { extractPricesArray, normalizePriceId } from "./client.js";
+import { readAuditSnapshot } from "./audit.js";
+import { acquireLock, lockKey } from "./lock.js";
+import { editableProduct } from "./migrate.js";
+import { deleteMapping, resolveProductByKey } from "./mapping.js";
+
+export const REMOVE_ACTIONS = ["archive", "delete"];
+
+// ctx: { client, store, audit? }; input: readSyncInput() output (only sku/externalId/dedupeKey
+// are used). Returns { status, body, audit? }; throws GHL errors like syncProduct().
+export async function removeProduct(ctx, input, action) {
+  const { client, store } = ctx;
+  const { locationId } = client;
+  const { dedupeKey } = input;
+
+  if (!dedupeKey) {
+    return {
+      status: 400,
+      body: { ok: false, build: BUILD_MARKER, error: `${action} requires sku or externalId.` },
+    };
+  }
+
+  const lock = await acquireLock(store, lockKey(locationId, dedupeKey));
+  if (!lock.acquired) {
+    return {
+      status: 409,
+      body: {
+        ok: false,
+        build: BUILD_MARKER,
+        error: `Another sync for "${dedupeKey}" is in progress. Retry shortly.`,
+        retryable: true,
+        lock: { key: lock.key, waitedMs: lock.waitedMs },
+      },
+    };
+  }
+
+  try {
+    return await runRemove(client, store, dedupeKey, action, Boolean(ctx.audit));
+  } finally {
+    await lock.release();
+  }
+}
+
+async function runRemove(client, store, dedupeKey, action, audit) {
+  const { locationId, tokenPrefix } = client;
+  const { productId, mapping: map } = await resolveProductByKey({ client, store }, dedupeKey);
+
+  const debug = { tokenPrefix, locationId, http: client.httpStats };
+
+  if (!productId) {
+    return {
+      status: 404,
+      body: {
+        ok: false,
+        build: BUILD_MARKER,
+        error: `No product found for "${dedupeKey}".`,
+        dedupeKey,
+        debug,
+      },
+    };
+  }
+
+  let product = null;
+  try {
+    const resp = await client.getProduct(productId);
+    product = resp?.product || resp || null;
+  } catch (e) {
+    if (e?.status !== 404) throw e;
+  }
+
+  const auditBefore = audit && product ? await readAuditSnapshot(client, productId, product) : null;
+
+  async function clearMapping() {
+    if (!store || !map) return false;
+    await deleteMapping(store, locationId, dedupeKey);
+    return true;
+  }
+
+  if (!product) {
+    const mappingCleared = await clearMapping();
+    return {
+      status: 200,
+      body: {
+        ok: true,
+        build: BUILD_MARKER,
+        action,
+        dedupeKey,
+        productId,
+        alreadyDeleted: true,
+        mappingCleared,
+        debug,
+      },
+    };
+  }
+
+  if (action === "archive") {
+    const archived = await client.putProduct(productId, {
+      ...editableProduct(product),
+      locationId,
+      availableInStore: false,
+    });
+    return {
+      status: 200,
+      body: {
+        ok: true,
+        build: BUILD_MARKER,
+        action,
+        dedupeKey,
+        productId,
+        availableInStore: archived?.availableInStore ?? archived?.product?.availableInStore ?? false,
+        mappingCleared: false,
+        debug,
+      },
+      audit: audit ? { before: auditBefore, after: auditBefore && { ...auditBefore, availableInStore: false } } : undefined,
+    };
+  }
+
+  // delete: prices first; a product delete does not cascade to its prices on every tenant.
+  const pricesDeleted = [];
+  const priceErrors = [];
+  let prices = [];
+  try {
+    prices = extractPricesArray(await client.listPrices(productId));
+  } catch (e) {
+    priceErrors.push({ stage: "listPrices", status: e?.status || 500, details: e?.data || null });
+  }
+  for (const p of prices) {
+    const priceId = normalizePriceId(p);
+    if (!priceId) continue;
+    try {
+      await client.deletePrice(productId, String(priceId));
+      pricesDeleted.push(String(priceId));
+    } catch (e) {
+      priceErrors.push({ stage: "deletePrice", priceId: String(priceId), status: e?.status || 500, details: e?.data || null });
+    }
+  }
+
+  await client.deleteProduct(productId);
+  const mappingCleared = await clearMapping();
+
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      build: BUILD_MARKER,
+      action,
+      dedupeKey,
+      productId,
+      pricesDeleted,
+      priceErrors,
+      mappingCleared,
+      debug,
+    },
+    audit: audit ? { before: auditBefore, after: null } : undefined,
+  };
+}
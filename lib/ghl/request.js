@@ -0,0 +1,162 @@
+// File: /lib/ghl/request.js
+// Route plumbing shared by the /api/ghl/* handlers: CORS, body parsing, tenant resolution.
+
+import { BUILD_MARKER } from "./config.js";
+import { createGhlClient } from "./client.js";
+import { createTokenProvider } from "./credentials.js";
+import { getMappingStore } from "./store.js";
+import { getAuditSink } from "./audit.js";
+
+// CORS origins come from DBE_CORS_ORIGINS (comma-separated; "*" allows any origin).
+// Unset -> no Access-Control-Allow-Origin header, i.e. server-to-server callers only.
+export function applyCors(req, res, methods = "GET,POST,OPTIONS") {
+  const allowed = String(process.env.DBE_CORS_ORIGINS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const origin = String(req.headers?.origin || "").trim();
+
+  if (allowed.includes("*")) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+  } else if (origin && allowed.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Expose-Headers", "Idempotent-Replayed");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, Idempotency-Key, X-DBE-Client-Id, X-DBE-Timestamp, X-DBE-Signature"
+  );
+}
+
+// --- Safe body parsing ---
+// Both parsers read req.rawBody (see loadRawBody()) when the route turned body parsing off.
+export function parseJsonBody(req) {
+  let raw = req.rawBody ?? req.body;
+  if (Buffer.isBuffer(raw)) raw = raw.toString("utf8");
+  let body = {};
+  try {
+    body =
+      typeof raw === "string" ? JSON.parse(raw) : raw || {};
+  } catch {
+    body = {};
+  }
+  return body;
+}
+
+// Strict variant for routes that validate their input: { body } or { status: 400, error } when
+// the body is not valid JSON (instead of silently treating it as {}).
+export function readJsonBody(req) {
+  let raw = req.rawBody ?? req.body;
+  if (Buffer.isBuffer(raw)) raw = raw.toString("utf8");
+  if (typeof raw !== "string") return { body: raw ?? {} };
+  if (!raw.trim()) return { body: {} };
+  try {
+    return { body: JSON.parse(raw) };
+  } catch (e) {
+    return { status: 400, error: `Invalid JSON body: ${e?.message || "parse error"}` };
+  }
+}
+
+const MAX_RAW_BODY_BYTES = 1024 * 1024;
+
+// Request bytes exactly as sent, for routes that turn body parsing off
+// (export const config = { api: { bodyParser: false } }) to verify a signature over them.
+// { raw: Buffer } or { status, error }; a body the platform already parsed into an object cannot
+// be verified and is refused.
+export async function readRawBody(req, { maxBytes = MAX_RAW_BODY_BYTES } = {}) {
+  if (typeof req.on === "function" && req.readable && !req.readableEnded) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > maxBytes) return { status: 413, error: `Request body over ${maxBytes} bytes.` };
+      chunks.push(Buffer.from(chunk));
+    }
+    return { raw: Buffer.concat(chunks) };
+  }
+  if (Buffer.isBuffer(req.body)) return { raw: req.body };
+  if (typeof req.body === "string") return { raw: Buffer.from(req.body, "utf8") };
+  if (req.body === undefined || req.body === null) return { raw: Buffer.alloc(0) };
+  return { status: 500, error: "Request body was parsed before it could be verified; body parsing must be off for this route." };
+}
+
+// readRawBody() for the routes that authenticate callers (all with bodyParser: false): keeps the
+// bytes on req.rawBody, which the HMAC check (see /lib/ghl/auth.js), the Idempotency-Key
+// fingerprint and the body parsers below read. { raw } or { status, error }.
+export async function loadRawBody(req, opts) {
+  if (Buffer.isBuffer(req.rawBody)) return { raw: req.rawBody };
+  const body = await readRawBody(req, opts);
+  if (!body.error) req.rawBody = body.raw;
+  return body;
+}
+
+// Raw text body (CSV uploads). Vercel hands non-JSON bodies over as a string or Buffer.
+export function readTextBody(req) {
+  const raw = req.rawBody ?? req.body;
+  if (typeof raw === "string") return raw;
+  if (Buffer.isBuffer(raw)) return raw.toString("utf8");
+  return "";
+}
+
+export function isCsvRequest(req) {
+  const type = String(req.headers?.["content-type"] || "").toLowerCase();
+  return type.includes("text/csv") || type.includes("application/csv");
+}
+
+// Resolves locationId (body overrides env) and its credentials (see /lib/ghl/credentials.js),
+// and returns a bound GHL client. On failure returns { status, error } so the route can respond with it.
+export async function resolveTenant(body) {
+  const envLocationId = process.env.GHL_LOCATION_ID;
+
+  const locationId = String(body?.locationId || envLocationId || "").trim();
+
+  if (!locationId) {
+    return {
+      status: 400,
+      error:
+        "Missing locationId. Provide locationId in JSON body or set env var GHL_LOCATION_ID.",
+    };
+  }
+
+  const tokens = createTokenProvider(locationId);
+  let found = false;
+  try {
+    found = await tokens.init();
+  } catch (e) {
+    return { status: e?.status || 500, error: `Could not load credentials for location "${locationId}": ${e?.message || "unknown error"}` };
+  }
+  if (!found) {
+    return {
+      status: 500,
+      error: `No GHL credentials for location "${locationId}". Store OAuth/location credentials or set env var GHL_TOKEN.`,
+    };
+  }
+
+  return { locationId, client: createGhlClient({ tokens, locationId }) };
+}
+
+// Loads the configured mapping store (see /lib/ghl/store.js). { store } (null when none is
+// configured) or { status, error } when the configured backend is unavailable.
+export async function resolveStore() {
+  try {
+    return { store: await getMappingStore() };
+  } catch (e) {
+    return { status: e?.status || 500, error: e?.message || "Mapping store unavailable" };
+  }
+}
+
+// Loads the configured audit sink (see /lib/ghl/audit.js). { sink } (null for "none") or
+// { status, error } when the configured sink is unknown or unavailable.
+export async function resolveAuditSink() {
+  try {
+    return { sink: await getAuditSink() };
+  } catch (e) {
+    return { status: e?.status || 500, error: e?.message || "Audit sink unavailable" };
+  }
+}
+
+export function sendError(res, status, error, extra = {}) {
+  return res.status(status).json({ ok: false, build: BUILD_MARKER, error, ...extra });
+}
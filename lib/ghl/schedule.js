@@ -0,0 +1,210 @@
+// File: /lib/ghl/schedule.js
+// Scheduled sale windows: schedule: { startAt, endAt, price, compareAt? } on an upsert sync.
+//
+// - The window is stored as dbe:schedule:<locationId>:<dedupeKey> together with the synced input
+//   (the regular product / price). One window per SKU; a new schedule replaces it,
+//   schedule: { cancel: true } removes it, archive / delete (and a GHL ProductDelete webhook)
+//   drop it too.
+// - Every upsert of a SKU with a window syncs the sale price while the window is open
+//   (compareAt defaults to the regular amount) and the regular price otherwise, so a regular
+//   sync during the sale keeps the sale and becomes the price restored when it ends.
+// - /api/ghl/schedules/worker (Vercel Cron) re-syncs every SKU whose window opened or closed
+//   since its last sync (see /lib/ghl/scheduler.js) — the same upsert / price dedupe path.
+// - One product-level price only (price or a single prices[] entry, no variants[]); needs a
+//   state store. Ended windows are kept DBE_SCHEDULE_TTL_SEC (default 7 days) for reference.
+//
+// Window statuses: scheduled -> active -> ended; "failed" when the worker gave up on a
+// transition (see /lib/ghl/scheduler.js) — the next upsert of the SKU syncs it again.
+
+import { BUILD_MARKER } from "./config.js";
+import { checkAmount } from "./prices.js";
+import { isBlank } from "./variants.js";
+
+const RECORD_VERSION = 1;
+
+export function scheduleKey(locationId, dedupeKey) {
+  return `dbe:schedule:${locationId}:${dedupeKey}`;
+}
+
+function ttlSec() {
+  const n = Number(process.env.DBE_SCHEDULE_TTL_SEC);
+  return Number.isFinite(n) && n > 0 ? n : 7 * 24 * 60 * 60;
+}
+
+// ISO date or epoch ms -> ms; null when absent, NaN when invalid.
+function readTime(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  return /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+}
+
+// body.schedule -> { startAt, endAt (ms), price, compareAt, cancel }, or null when absent.
+export function readScheduleInput(body) {
+  const s = body?.schedule;
+  if (!s || typeof s !== "object" || Array.isArray(s)) return null;
+  return {
+    startAt: readTime(s.startAt),
+    endAt: readTime(s.endAt),
+    price: s.price ?? null,
+    compareAt: s.compareAt ?? null,
+    cancel: s.cancel === true,
+  };
+}
+
+// Returns an error message for an invalid schedule block, or null.
+export function validateScheduleInput(input, now = Date.now()) {
+  const s = input.schedule;
+  if (!s) return null;
+  if (!input.upsert || !input.dedupeKey) return "schedule requires upsert: true with sku or externalId.";
+  if (s.cancel) return null;
+
+  if (input.variants.length) return "schedule applies to the product price; it cannot be combined with variants[].";
+  if (input.prices.length !== 1) return "schedule needs exactly one product price (price or a single prices[] entry).";
+
+  if (s.startAt === null || s.endAt === null || Number.isNaN(s.startAt) || Number.isNaN(s.endAt)) {
+    return "schedule.startAt and schedule.endAt must be ISO dates or epoch milliseconds.";
+  }
+  if (s.endAt <= s.startAt) return "schedule.endAt must be after schedule.startAt.";
+  if (s.endAt <= now) return "schedule.endAt is in the past.";
+
+  const { currency } = input.prices[0];
+  const priceError = checkAmount(s.price, currency, "schedule.price");
+  if (priceError) return priceError;
+  if (!isBlank(s.compareAt)) return checkAmount(s.compareAt, currency, "schedule.compareAt");
+  return null;
+}
+
+// "scheduled" before the window, "active" inside it, "ended" after it.
+export function windowState(record, now = Date.now()) {
+  if (now < Date.parse(record.startAt)) return "scheduled";
+  if (now < Date.parse(record.endAt)) return "active";
+  return "ended";
+}
+
+export async function getSchedule(store, locationId, dedupeKey) {
+  if (!store || !dedupeKey) return null;
+  try {
+    const record = await store.get(scheduleKey(locationId, dedupeKey));
+    return record?.version === RECORD_VERSION ? record : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function saveSchedule(store, record) {
+  const next = { ...record, updatedAt: new Date().toISOString() };
+  const key = scheduleKey(record.locationId, record.dedupeKey);
+  const expires = next.status === "ended" || next.status === "failed";
+  await store.set(key, next, expires ? { ex: ttlSec() } : undefined);
+  return next;
+}
+
+// Best-effort: a stale window only re-syncs the regular price once more.
+export async function clearSchedule(store, locationId, dedupeKey) {
+  if (!store || !dedupeKey) return false;
+  try {
+    await store.del(scheduleKey(locationId, dedupeKey));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The input with the sale price (and compareAt, default: the regular amount) in place.
+function saleInput(input, record) {
+  const [entry] = input.prices;
+  if (!entry) return input;
+  const price = record.sale.price;
+  const compareAt = isBlank(record.sale.compareAt) ? entry.amount : record.sale.compareAt;
+  return { ...input, priceAmount: price, compareAt, prices: [{ ...entry, amount: price, compareAt }] };
+}
+
+// Public view of a window (sync responses, the worker).
+export function describeSchedule(record) {
+  const [regular] = record.input?.prices || [];
+  return {
+    status: record.status,
+    startAt: record.startAt,
+    endAt: record.endAt,
+    sale: record.sale,
+    regular: regular ? { price: regular.amount, compareAt: regular.compareAt ?? null, currency: regular.currency } : null,
+    appliedAt: record.appliedAt || null,
+    revertedAt: record.revertedAt || null,
+    lastRun: record.lastRun || null,
+    failures: record.failures || 0,
+    retryAt: record.retryAt || null,
+  };
+}
+
+// Before a sync: resolves the window for input.dedupeKey (the one in the body, else the stored
+// one) and the input to sync. Returns { input, record, state, cancel } or { error: { status, body } }.
+export async function prepareSchedule({ client, store }, input, now = Date.now()) {
+  const s = input.schedule;
+  if (!input.upsert || !input.dedupeKey) return { input, record: null };
+  if (!store) {
+    if (!s) return { input, record: null };
+    return {
+      error: {
+        status: 400,
+        body: { ok: false, build: BUILD_MARKER, error: "schedule needs a state store (DBE_MAPPING_STORE)." },
+      },
+    };
+  }
+  if (s?.cancel) return { input, record: null, cancel: true };
+
+  const { locationId } = client;
+  let record = s
+    ? {
+        version: RECORD_VERSION,
+        locationId,
+        dedupeKey: input.dedupeKey,
+        startAt: new Date(s.startAt).toISOString(),
+        endAt: new Date(s.endAt).toISOString(),
+        sale: { price: Number(s.price), compareAt: isBlank(s.compareAt) ? null : Number(s.compareAt) },
+        status: "scheduled",
+        createdAt: new Date(now).toISOString(),
+      }
+    : await getSchedule(store, locationId, input.dedupeKey);
+  if (!record || (!s && record.status === "ended")) return { input, record: null };
+
+  // A stored window only applies to a body it can price (one product-level price).
+  if (!s && (input.variants.length || input.prices.length !== 1)) return { input, record: null };
+
+  // The regular input is what the window reverts to.
+  record = { ...record, input: { ...input, schedule: null } };
+  const state = windowState(record, now);
+  return { input: state === "active" ? saleInput(input, record) : input, record, state };
+}
+
+// After the sync: stores the window (successful, non-dry-run syncs only) and adds
+// body.schedule. Returns the result.
+export async function finishSchedule({ client, store }, prepared, result) {
+  const { record, state } = prepared;
+  if (!result.body?.ok || (!record && !prepared.cancel)) return result;
+  const { dryRun, dedupeKey } = prepared.input;
+
+  if (prepared.cancel) {
+    if (!dryRun) await clearSchedule(store, client.locationId, dedupeKey);
+    return { ...result, body: { ...result.body, schedule: { status: "cancelled" } } };
+  }
+
+  if (dryRun) {
+    return { ...result, body: { ...result.body, schedule: describeSchedule({ ...record, status: state }) } };
+  }
+
+  const at = new Date().toISOString();
+  const { failures, retryAt, failedTransition, ...rest } = record;
+  const next = { ...rest, status: state, lastRun: { at, status: result.status, error: null } };
+  if (state === "active" && record.status !== "active") next.appliedAt = at;
+  if (state === "ended" && (record.status === "active" || failedTransition === "ended")) next.revertedAt = at;
+
+  try {
+    const saved = await saveSchedule(store, next);
+    return { ...result, body: { ...result.body, schedule: describeSchedule(saved) } };
+  } catch (e) {
+    return {
+      ...result,
+      body: { ...result.body, schedule: { ...describeSchedule(next), saved: false, error: e?.message || String(e) } },
+    };
+  }
+}
@@ -0,0 +1,90 @@
+// File: /lib/ghl/scheduler.js
+// Applies sale windows (see /lib/ghl/schedule.js) when they open and close.
+//
+// - processDueSchedules() scans dbe:schedule:* for windows whose state changed since their last
+//   sync (scheduled -> active, active -> ended) and re-runs the stored upsert through
+//   /lib/ghl/execute.js, which swaps the sale price in or out. Audit events use route "schedule".
+// - A window that opened and closed between two runs is marked ended without a sync (the regular
+//   price never changed).
+// - Failed runs (409 lock busy, GHL errors) leave the window due and are retried with backoff
+//   (5 / 10 / 20 ... minutes) up to DBE_SCHEDULE_MAX_ATTEMPTS (default 5) times; then the window
+//   is marked "failed" and skipped until an upsert of the SKU syncs it again.
+// Called by /api/ghl/schedules/worker (Vercel Cron, see /vercel.json).
+
+import { BUILD_MARKER } from "./config.js";
+import { executeSync } from "./execute.js";
+import { resolveAuditSink, resolveTenant } from "./request.js";
+import { saveSchedule, windowState } from "./schedule.js";
+
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+function maxAttempts() {
+  const n = Math.floor(Number(process.env.DBE_SCHEDULE_MAX_ATTEMPTS));
+  return Number.isFinite(n) && n > 0 ? n : 5;
+}
+
+async function runSchedule(store, record) {
+  const tenant = await resolveTenant({ locationId: record.locationId });
+  if (tenant.error) return { status: tenant.status, body: { ok: false, build: BUILD_MARKER, error: tenant.error } };
+
+  const audit = await resolveAuditSink();
+  if (audit.error) return { status: audit.status, body: { ok: false, build: BUILD_MARKER, error: audit.error } };
+
+  const ctx = { client: tenant.client, store, audit: audit.sink };
+  // Stock moves on through /api/ghl/inventory and orders: never resend the quantity of the stored body.
+  const input = { ...record.input, availableQty: null };
+  return await executeSync(ctx, { action: "sync", input }, { route: "schedule", principal: null });
+}
+
+// Processes due windows, earliest transition first, until `limit` ran or `budgetMs` elapsed.
+// Returns [{ locationId, dedupeKey, from, to, status, ok, error?, gaveUp? }].
+export async function processDueSchedules(store, { limit = 10, budgetMs = 50000, now = Date.now() } = {}) {
+  const started = Date.now();
+  const due = [];
+  for (const key of await store.keys("dbe:schedule:")) {
+    const record = await store.get(key).catch(() => null);
+    if (!record?.input || record.status === "ended" || record.status === "failed") continue;
+    if (record.retryAt && Date.parse(record.retryAt) > now) continue;
+    const state = windowState(record, now);
+    if (state !== record.status) {
+      due.push({ record, state, at: record.status === "scheduled" ? record.startAt : record.endAt });
+    }
+  }
+  due.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+  const ran = [];
+  for (const { record, state } of due) {
+    if (ran.length >= limit || Date.now() - started > budgetMs) break;
+    const base = { locationId: record.locationId, dedupeKey: record.dedupeKey, from: record.status, to: state };
+
+    if (record.status === "scheduled" && state === "ended") {
+      await saveSchedule(store, { ...record, status: "ended", missed: true });
+      ran.push({ ...base, status: null, ok: true, missed: true });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await runSchedule(store, record);
+    } catch (err) {
+      result = { status: err?.status || 500, body: { ok: false, build: BUILD_MARKER, error: err?.message || "Schedule run failed" } };
+    }
+
+    const ok = result.body?.ok === true;
+    let gaveUp = false;
+    if (!ok) {
+      // The successful path saved the record already (see finishSchedule()).
+      const failures = (record.failures || 0) + 1;
+      gaveUp = failures >= maxAttempts();
+      await saveSchedule(store, {
+        ...record,
+        ...(gaveUp ? { status: "failed", failedTransition: state } : {}),
+        failures,
+        retryAt: gaveUp ? null : new Date(Date.now() + RETRY_BASE_MS * 2 ** (failures - 1)).toISOString(),
+        lastRun: { at: new Date().toISOString(), status: result.status, error: result.body?.error || null },
+      });
+    }
+    ran.push({ ...base, status: result.status, ok, ...(ok ? {} : { error: result.body?.error || null, gaveUp }) });
+  }
+  return ran;
+}
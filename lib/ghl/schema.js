@@ -0,0 +1,423 @@
+// File: /lib/ghl/schema.js
+// Request schema for /api/ghl/sync-product (and every item of /api/ghl/sync-products).
+//
+// One declarative description drives both:
+// - validateSyncBody(): runtime check -> every invalid / unknown field (with "did you mean"),
+//   plus conflicting aliases (e.g. qty: 5 and stock: 7).
+// - syncBodyJsonSchema(): the same rules as JSON Schema (draft 2020-12), served from GET.
+// aliasSources() reports which alias supplied each value (readSyncInput() precedence).
+//
+// Numbers accept numeric strings (CSV rows arrive as text); identifiers accept numbers.
+// null is accepted for every field and means "not provided" (the JSON Schema says so too).
+
+// ---------- Descriptors ----------
+const str = (extra = {}) => ({ type: "string", ...extra });
+const id = (extra = {}) => ({ type: "string", allowNumber: true, ...extra });
+const bool = (extra = {}) => ({ type: "boolean", ...extra });
+const num = (extra = {}) => ({ type: "number", ...extra });
+const arr = (items, extra = {}) => ({ type: "array", items, ...extra });
+const obj = (properties, extra = {}) => ({ type: "object", properties, ...extra });
+const anyOf = (options, extra = {}) => ({ anyOf: options, ...extra });
+const alias = (of, desc) => ({ ...desc, aliasOf: of });
+
+const amount = (extra = {}) => num({ minimum: 0, ...extra });
+const currency = () => str({ pattern: "^[A-Za-z]{3}$", description: "ISO 4217 code; amounts must fit its minor units." });
+const priceType = () => str({ enum: ["one_time", "recurring"] });
+
+// Recurring terms (type: "recurring" only), see /lib/ghl/prices.js.
+const RECURRING_FIELDS = {
+  interval: str({ enum: ["day", "week", "month", "year"] }),
+  intervalCount: num({ minimum: 1, description: "Billing every N intervals. Default 1." }),
+  trialDays: num({ minimum: 0 }),
+  setupFee: amount(),
+};
+
+const PRICE_OBJECT = obj({
+  amount: amount(),
+  compareAt: amount(),
+  currency: currency(),
+  type: priceType(),
+  sku: id(),
+  ...RECURRING_FIELDS,
+});
+
+// prices[] entry: one price per (sku, currency, type).
+const PRICE_ENTRY = obj({
+  amount: amount(),
+  price: alias("amount", amount()),
+  compareAt: amount(),
+  compareAtPrice: alias("compareAt", amount()),
+  currency: currency(),
+  type: priceType(),
+  sku: id({ description: "Defaults to the product sku." }),
+  name: str(),
+  ...RECURRING_FIELDS,
+});
+
+const VARIANT_PRICE_OBJECT = obj({
+  amount: amount(),
+  compareAt: amount(),
+  sku: id(),
+});
+
+// Sale window, see /lib/ghl/schedule.js.
+const SCHEDULE = obj({
+  startAt: anyOf([str(), num()], { description: "ISO date or epoch milliseconds." }),
+  endAt: anyOf([str(), num()], { description: "ISO date or epoch milliseconds; after startAt." }),
+  price: amount({ description: "Sale price while the window is open." }),
+  compareAt: amount({ description: "Shown while on sale. Defaults to the regular price." }),
+  cancel: bool({ description: "Remove the SKU's window (the regular price is synced)." }),
+});
+
+const OPTION = obj({
+  name: str(),
+  values: arr(anyOf([str(), num()])),
+});
+
+const VARIANT = obj({
+  sku: id({ description: "Required. Price SKU of this variant." }),
+  name: str(),
+  price: anyOf([amount(), VARIANT_PRICE_OBJECT]),
+  amount: alias("price", amount()),
+  compareAt: amount(),
+  compareAtPrice: alias("compareAt", amount()),
+  availableQty: amount(),
+  qty: alias("availableQty", amount()),
+  inventory: alias("availableQty", amount()),
+  stock: alias("availableQty", amount()),
+  options: anyOf([arr(anyOf([str(), num()])), obj({}, { additionalProperties: anyOf([str(), num()]) })], {
+    description: '{ "<option name>": "<value>" } or values in the order of options[].',
+  }),
+});
+
+const MEDIA = obj({
+  id: str(),
+  title: str(),
+  url: str({ format: "uri", description: "http(s) URL or base64 data: URL." }),
+  base64: str({ description: "Image bytes to upload to the media library (needs contentType)." }),
+  contentType: str(),
+  fileName: str(),
+  type: str(),
+  isFeatured: bool(),
+});
+
+export const SYNC_BODY_FIELDS = {
+  locationId: str({ description: "Defaults to env GHL_LOCATION_ID." }),
+  action: str({ enum: ["sync", "archive", "delete"] }),
+
+  name: str({ description: "Required for sync." }),
+  description: str(),
+  collectionName: str({ description: "Primary collection. Required for sync unless collectionNames[] is given." }),
+  collection: alias("collectionName", str()),
+  collectionNames: arr(str()),
+  strictCollectionMatch: bool(),
+  createMissingCollections: bool(),
+
+  image: str(),
+  imageUrl: alias("image", str()),
+  images: arr(str()),
+  medias: arr(MEDIA),
+  checkMedia: bool({ description: "HEAD-check remote media URLs. Defaults to env DBE_MEDIA_CHECK (off)." }),
+  rehostMedia: bool({ description: "Upload remote media to the GHL media library. Defaults to env DBE_MEDIA_REHOST." }),
+
+  availableInStore: bool(),
+  productType: str(),
+
+  seoTitle: str(),
+  seoDescription: str(),
+  seoSlug: str(),
+  slug: alias("seoSlug", str()),
+
+  trackInventory: bool(),
+  inventoryTracking: alias("trackInventory", bool()),
+  availableQty: amount(),
+  qty: alias("availableQty", amount()),
+  inventory: alias("availableQty", amount()),
+  stock: alias("availableQty", amount()),
+
+  price: anyOf([amount(), PRICE_OBJECT]),
+  amount: alias("price", amount()),
+  compareAt: amount(),
+  compareAtPrice: alias("compareAt", amount()),
+  currency: currency(),
+  priceType: priceType(),
+  ...RECURRING_FIELDS,
+  prices: arr(PRICE_ENTRY, { description: "Several prices (currencies / one-time + recurring) instead of price." }),
+  schedule: SCHEDULE,
+
+  upsert: bool(),
+  dryRun: bool(),
+  transactional: bool(),
+  async: bool({ description: "Enqueue the sync and answer 202 { jobId } (see /api/ghl/jobs)." }),
+  callbackUrl: str({ format: "uri", description: "https URL POSTed the signed job status once an async job is final (needs DBE_JOB_CALLBACK_SECRET)." }),
+  sku: id(),
+  externalId: id(),
+  upc: alias("externalId", id()),
+  upsertKey: alias("externalId", id()),
+
+  options: arr(OPTION),
+  variants: arr(VARIANT),
+};
+
+const SYNC_BODY = obj(SYNC_BODY_FIELDS);
+
+// ---------- Runtime validation ----------
+function isNumeric(v) {
+  if (typeof v === "number") return Number.isFinite(v);
+  return typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v));
+}
+
+function typeLabel(desc) {
+  if (desc.anyOf) return desc.anyOf.map(typeLabel).join(" or ");
+  if (desc.type === "number") return desc.minimum !== undefined ? `a number >= ${desc.minimum}` : "a number";
+  if (desc.type === "array") return "an array";
+  if (desc.type === "object") return "an object";
+  return `a ${desc.type}`;
+}
+
+function distance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+function suggest(key, known) {
+  let best = null;
+  for (const k of known) {
+    const d = distance(key, k);
+    if (d <= 2 && (!best || d < best.d)) best = { k, d };
+  }
+  return best?.k || null;
+}
+
+// Returns true when `value` is valid; pushes { field, message } for every problem into `errors`.
+function check(desc, value, path, errors) {
+  if (value === null || value === undefined) return true;
+
+  if (desc.anyOf) {
+    for (const option of desc.anyOf) {
+      const nested = [];
+      check(option, value, path, nested);
+      if (!nested.length) return true;
+      // An object option that matched the shape reports its own field errors.
+      if (option.type === "object" && value && typeof value === "object" && !Array.isArray(value)) {
+        errors.push(...nested);
+        return false;
+      }
+    }
+    errors.push({ field: path, message: `must be ${typeLabel(desc)}` });
+    return false;
+  }
+
+  switch (desc.type) {
+    case "string":
+      if (typeof value === "string" || (desc.allowNumber && typeof value === "number")) {
+        if (desc.enum && !desc.enum.includes(value)) {
+          errors.push({ field: path, message: `must be one of ${desc.enum.map((v) => `"${v}"`).join(", ")}` });
+          return false;
+        }
+        if (desc.pattern && !new RegExp(desc.pattern).test(String(value))) {
+          errors.push({ field: path, message: `does not match ${desc.pattern}` });
+          return false;
+        }
+        return true;
+      }
+      errors.push({ field: path, message: desc.allowNumber ? "must be a string or number" : "must be a string" });
+      return false;
+
+    case "boolean":
+      if (typeof value === "boolean") return true;
+      errors.push({ field: path, message: "must be true or false" });
+      return false;
+
+    case "number":
+      if (!isNumeric(value) || (desc.minimum !== undefined && Number(value) < desc.minimum)) {
+        errors.push({ field: path, message: `must be ${typeLabel(desc)}` });
+        return false;
+      }
+      return true;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: "must be an array" });
+        return false;
+      }
+      value.forEach((item, idx) => check(desc.items, item, `${path}[${idx}]`, errors));
+      return true;
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push({ field: path, message: "must be an object" });
+        return false;
+      }
+      const known = Object.keys(desc.properties);
+      for (const [key, v] of Object.entries(value)) {
+        const field = path ? `${path}.${key}` : key;
+        if (desc.properties[key]) {
+          check(desc.properties[key], v, field, errors);
+        } else if (desc.additionalProperties) {
+          check(desc.additionalProperties, v, field, errors);
+        } else {
+          const hint = suggest(key, known);
+          errors.push({ field, message: hint ? `Unknown field. Did you mean "${hint}"?` : "Unknown field" });
+        }
+      }
+      return true;
+    }
+
+    default:
+      return true;
+  }
+}
+
+// ---------- Aliases ----------
+// canonical -> source paths in readSyncInput() precedence order.
+const TOP_LEVEL_SOURCES = {
+  collectionName: ["collectionName", "collection"],
+  image: ["image", "imageUrl"],
+  seoSlug: ["seoSlug", "slug"],
+  trackInventory: ["trackInventory", "inventoryTracking"],
+  availableQty: ["availableQty", "qty", "inventory", "stock"],
+  price: ["price.amount", "price", "amount"],
+  compareAt: ["price.compareAt", "compareAt", "compareAtPrice"],
+  currency: ["price.currency", "currency"],
+  priceType: ["price.type", "priceType"],
+  interval: ["price.interval", "interval"],
+  intervalCount: ["price.intervalCount", "intervalCount"],
+  trialDays: ["price.trialDays", "trialDays"],
+  setupFee: ["price.setupFee", "setupFee"],
+  sku: ["sku", "price.sku"],
+  externalId: ["externalId", "upc", "upsertKey"],
+};
+
+const VARIANT_SOURCES = {
+  sku: ["sku", "price.sku"],
+  price: ["price.amount", "price", "amount"],
+  compareAt: ["price.compareAt", "compareAt", "compareAtPrice"],
+  availableQty: ["availableQty", "qty", "inventory", "stock"],
+};
+
+function readPath(body, path) {
+  const [head, tail] = path.split(".");
+  const v = body?.[head];
+  if (!tail) return v !== null && typeof v === "object" ? undefined : v;
+  return v !== null && typeof v === "object" && !Array.isArray(v) ? v[tail] : undefined;
+}
+
+const present = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+
+function collectSources(body, table, prefix, out, conflicts) {
+  for (const [canonical, paths] of Object.entries(table)) {
+    const supplied = paths.filter((p) => present(readPath(body, p)));
+    if (!supplied.length) continue;
+    out[`${prefix}${canonical}`] = `${prefix}${supplied[0]}`;
+
+    const values = new Set(supplied.map((p) => String(readPath(body, p)).trim()));
+    if (values.size > 1) {
+      conflicts.push({
+        field: `${prefix}${canonical}`,
+        message: `Conflicting values from ${supplied.map((p) => `"${prefix}${p}"`).join(", ")}; "${prefix}${supplied[0]}" wins.`,
+      });
+    }
+  }
+}
+
+// { <canonical field>: <key that supplied it> } for every provided value, e.g.
+// { availableQty: "stock", "variants[0].price": "variants[0].amount" }.
+export function aliasSources(body) {
+  const out = {};
+  collectSources(body, TOP_LEVEL_SOURCES, "", out, []);
+  if (Array.isArray(body?.variants)) {
+    body.variants.forEach((v, idx) => collectSources(v, VARIANT_SOURCES, `variants[${idx}].`, out, []));
+  }
+  return out;
+}
+
+// Returns { errors: [{ field, message }], aliases } — errors empty when the body is valid.
+export function validateSyncBody(body) {
+  const errors = [];
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: [{ field: "", message: "Request body must be a JSON object" }], aliases: {} };
+  }
+
+  check(SYNC_BODY, body, "", errors);
+
+  const aliases = {};
+  collectSources(body, TOP_LEVEL_SOURCES, "", aliases, errors);
+  if (Array.isArray(body.variants)) {
+    body.variants.forEach((v, idx) => {
+      if (v && typeof v === "object") collectSources(v, VARIANT_SOURCES, `variants[${idx}].`, aliases, errors);
+    });
+  }
+
+  return { errors, aliases };
+}
+
+// ---------- JSON Schema ----------
+// Strings isNumeric() accepts: what Number() parses, e.g. " 12 ", "-1.5", ".5", "5.", "1e3",
+// "0x1F". (Number() also overflows "1e999" to Infinity, which the validator rejects.)
+const NUMERIC_STRING_PATTERN =
+  "^\\s*(?:[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?|0[xX][0-9a-fA-F]+|0[bB][01]+|0[oO][0-7]+)\\s*$";
+
+// nullable: a field or array item, where null means "not provided" (check() skips it).
+function toJsonSchema(desc, nullable = false) {
+  let out;
+  if (desc.anyOf) {
+    out = { anyOf: desc.anyOf.map((option) => toJsonSchema(option)) };
+  } else if (desc.type === "number") {
+    const n = { type: "number" };
+    if (desc.minimum !== undefined) n.minimum = desc.minimum;
+    out = { anyOf: [n, { type: "string", pattern: NUMERIC_STRING_PATTERN }] };
+  } else if (desc.type === "string") {
+    out = { type: desc.allowNumber ? ["string", "number"] : "string" };
+    if (desc.enum) out.enum = desc.enum;
+    if (desc.pattern) out.pattern = desc.pattern;
+    if (desc.format) out.format = desc.format;
+  } else if (desc.type === "array") {
+    out = { type: "array", items: toJsonSchema(desc.items, true) };
+  } else if (desc.type === "object") {
+    out = {
+      type: "object",
+      properties: Object.fromEntries(Object.entries(desc.properties).map(([k, v]) => [k, toJsonSchema(v, true)])),
+      additionalProperties: desc.additionalProperties ? toJsonSchema(desc.additionalProperties, true) : false,
+    };
+  } else {
+    out = { type: desc.type };
+  }
+  if (nullable) out = { anyOf: [...(out.anyOf || [out]), { type: "null" }] };
+
+  if (desc.aliasOf) {
+    out.description = `Alias of "${desc.aliasOf}".`;
+    out["x-aliasOf"] = desc.aliasOf;
+  } else if (desc.description) {
+    out.description = desc.description;
+  }
+  return out;
+}
+
+export function syncBodyJsonSchema() {
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "DB Engine sync-product request",
+    description: "Every field also accepts null, which means the field was not provided.",
+    ...toJsonSchema(SYNC_BODY),
+    allOf: [
+      {
+        if: { properties: { action: { const: "sync" } } },
+        then: {
+          required: ["name"],
+          anyOf: [{ required: ["collectionName"] }, { required: ["collection"] }, { required: ["collectionNames"] }],
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,223 @@
+// File: /lib/ghl/store.js
+// State store for dedupe mappings (dbe:map:*, indexed by product in dbe:mapidx:*), upsert locks
+// and idempotency records.
+//
+// DBE_MAPPING_STORE selects the backend:
+// - "kv"      @vercel/kv (KV_REST_API_URL / KV_REST_API_TOKEN). Default when @vercel/kv loads.
+// - "redis"   ioredis (an optionalDependency in package.json) against REDIS_URL.
+// - "sqlite"  node:sqlite file at DBE_MAPPING_FILE (default ./.data/dbe-mappings.sqlite).
+// - "file"    one JSON file at DBE_MAPPING_FILE (default ./.data/dbe-mappings.json); single process only.
+// - "memory"  per instance, lost on cold start (local tests).
+// - "none"    no store: upsert falls back to "[DBE:<key>] <name>" tagged product names.
+//             Default when no backend is configured.
+//
+// Every backend exposes the @vercel/kv subset the sync code uses:
+//   get(key) -> value | null, set(key, value, { nx?, ex?, px? }) -> "OK" | null, del(key),
+//   keys(prefix) -> [key, ...]
+// plus `backend` (its name). Values are JSON-serializable.
+
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { getKV } from "./kv.js";
+
+const BACKENDS = ["kv", "redis", "sqlite", "file", "memory", "none"];
+
+function ttlMs(opts) {
+  if (opts?.px) return Number(opts.px);
+  if (opts?.ex) return Number(opts.ex) * 1000;
+  return null;
+}
+
+// ---------- @vercel/kv ----------
+function kvStore(kvClient) {
+  return {
+    backend: "kv",
+    get: (key) => kvClient.get(key),
+    set: (key, value, opts) => (opts ? kvClient.set(key, value, opts) : kvClient.set(key, value)),
+    del: (key) => kvClient.del(key),
+    async keys(prefix) {
+      const out = [];
+      let cursor = 0;
+      do {
+        const [next, batch] = await kvClient.scan(cursor, { match: `${prefix}*`, count: 500 });
+        out.push(...batch);
+        cursor = Number(next);
+      } while (cursor !== 0);
+      return out;
+    },
+  };
+}
+
+// ---------- Redis ----------
+async function redisStore() {
+  const url = process.env.REDIS_URL;
+  if (!url) throw new Error("REDIS_URL is not set");
+  const { default: Redis } = await import("ioredis");
+  const redis = new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 2 });
+
+  return {
+    backend: "redis",
+    async get(key) {
+      const raw = await redis.get(key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(key, value, opts) {
+      const args = [key, JSON.stringify(value)];
+      const ms = ttlMs(opts);
+      if (ms) args.push("PX", ms);
+      if (opts?.nx) args.push("NX");
+      return await redis.set(...args);
+    },
+    del: (key) => redis.del(key),
+    async keys(prefix) {
+      const out = [];
+      let cursor = "0";
+      do {
+        const [next, batch] = await redis.scan(cursor, "MATCH", `${prefix}*`, "COUNT", 500);
+        out.push(...batch);
+        cursor = next;
+      } while (cursor !== "0");
+      return out;
+    },
+  };
+}
+
+// ---------- SQLite ----------
+async function sqliteStore() {
+  const file = process.env.DBE_MAPPING_FILE || "./.data/dbe-mappings.sqlite";
+  mkdirSync(dirname(file), { recursive: true });
+  const { DatabaseSync } = await import("node:sqlite");
+  const db = new DatabaseSync(file);
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS dbe_kv (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER)"
+  );
+
+  const purge = db.prepare("DELETE FROM dbe_kv WHERE key = ? AND expires_at IS NOT NULL AND expires_at <= ?");
+  const select = db.prepare("SELECT value FROM dbe_kv WHERE key = ?");
+  const upsert = db.prepare(
+    "INSERT INTO dbe_kv (key, value, expires_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at"
+  );
+  const insertNew = db.prepare("INSERT OR IGNORE INTO dbe_kv (key, value, expires_at) VALUES (?, ?, ?)");
+  const remove = db.prepare("DELETE FROM dbe_kv WHERE key = ?");
+  const list = db.prepare(
+    "SELECT key FROM dbe_kv WHERE substr(key, 1, ?) = ? AND (expires_at IS NULL OR expires_at > ?)"
+  );
+
+  return {
+    backend: "sqlite",
+    async get(key) {
+      purge.run(key, Date.now());
+      const row = select.get(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    async set(key, value, opts) {
+      const ms = ttlMs(opts);
+      const expiresAt = ms ? Date.now() + ms : null;
+      purge.run(key, Date.now());
+      const stmt = opts?.nx ? insertNew : upsert;
+      const { changes } = stmt.run(key, JSON.stringify(value), expiresAt);
+      return changes > 0 ? "OK" : null;
+    },
+    async del(key) {
+      remove.run(key);
+    },
+    async keys(prefix) {
+      return list.all(prefix.length, prefix, Date.now()).map((r) => r.key);
+    },
+  };
+}
+
+// ---------- Memory / JSON file ----------
+// entries: key -> { value, expiresAt }; `persist` is called after every write.
+function localStore(backend, entries, persist = () => {}) {
+  function live(key) {
+    const e = entries.get(key);
+    if (e && e.expiresAt && e.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return e || null;
+  }
+
+  return {
+    backend,
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, opts) {
+      if (opts?.nx && live(key)) return null;
+      const ms = ttlMs(opts);
+      entries.set(key, { value: structuredClone(value), expiresAt: ms ? Date.now() + ms : null });
+      persist();
+      return "OK";
+    },
+    async del(key) {
+      entries.delete(key);
+      persist();
+    },
+    async keys(prefix) {
+      return [...entries.keys()].filter((k) => k.startsWith(prefix) && live(k));
+    },
+  };
+}
+
+function fileStore() {
+  const file = process.env.DBE_MAPPING_FILE || "./.data/dbe-mappings.json";
+  let entries = new Map();
+  try {
+    entries = new Map(Object.entries(JSON.parse(readFileSync(file, "utf8"))));
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+  }
+
+  return localStore("file", entries, () => {
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(Object.fromEntries(entries)));
+    renameSync(tmp, file);
+  });
+}
+
+// ---------- Selection ----------
+let cached = undefined;
+
+// Resolves the configured store once per instance. Returns null for "none".
+// Throws (err.status 500) when the configured backend cannot be loaded, rather than silently
+// falling back to tagged names.
+export async function getMappingStore() {
+  if (cached !== undefined) return cached;
+
+  const configured = String(process.env.DBE_MAPPING_STORE || "").trim().toLowerCase();
+  if (configured && !BACKENDS.includes(configured)) {
+    const err = new Error(`Unknown DBE_MAPPING_STORE "${configured}". Use one of: ${BACKENDS.join(", ")}.`);
+    err.status = 500;
+    throw err;
+  }
+
+  try {
+    if (!configured) {
+      const kvClient = await getKV();
+      cached = kvClient ? kvStore(kvClient) : null;
+    } else if (configured === "kv") {
+      const kvClient = await getKV();
+      if (!kvClient) throw new Error("@vercel/kv is not available");
+      cached = kvStore(kvClient);
+    } else if (configured === "redis") {
+      cached = await redisStore();
+    } else if (configured === "sqlite") {
+      cached = await sqliteStore();
+    } else if (configured === "file") {
+      cached = fileStore();
+    } else if (configured === "memory") {
+      cached = localStore("memory", new Map());
+    } else {
+      cached = null;
+    }
+  } catch (e) {
+    const err = new Error(`Mapping store "${configured || "kv"}" unavailable: ${e?.message || "unknown error"}`);
+    err.status = 500;
+    throw err;
+  }
+
+  return cached;
+}
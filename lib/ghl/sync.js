@@ -0,0 +1,895 @@
+// File: /lib/ghl/sync.js
+// DB ENGINE CANONICAL v10 + UPSERT + MULTI-IMAGE + COMPARE-AT + INVENTORY + SEO + PRICE DEDUPE
+//
+// Baseline preserved:
+// - If upsert !== true -> behaves like v10 (always creates new product, creates new price if provided)
+// - If upsert === true -> dedupe product by SKU/externalId and enforce single active price per SKU
+//
+// Mapping store (recommended):
+// - If a mapping store is configured (see /lib/ghl/store.js: Vercel KV, Redis, SQLite, JSON file,
+//   memory), store mapping: dedupeKey -> { productId, priceId }
+// - If not, fallback to tagged product name strategy: "[DBE:<key>] <name>" so it can be found again.
+//
+// Tenant variability:
+// - Price PUT may not be supported. In that case, we dedupe by deleting old price (if delete supported) then create.
+// - Inventory fields may not be supported; we attempt best-effort fields and ignore if rejected.
+// - SEO fields tenant-dependent; best-effort.
+// - With a state store, the per-location capability profile (see /lib/ghl/capabilities.js) decides
+//   instead: the price strategy (put / delete_then_create / create_only) and whether SEO and
+//   inventory fields are sent at all. No profile -> the best-effort behaviour above ("legacy").
+//
+// Variants:
+// - options + variants[] -> one price per variant, diffed by SKU on update (see /lib/ghl/variants.js).
+//
+// Collections:
+// - collectionName and/or collectionNames[] -> collectionIds (first = primary). Loose name matching
+//   unless strictCollectionMatch (or DBE_STRICT_COLLECTION_MATCH=true); createMissingCollections
+//   creates the ones that do not exist (see /lib/ghl/collections.js).
+//
+// Media:
+// - medias[] / images[] / image are deduped, given ids hashed from their URL and HEAD-checked
+//   with checkMedia; data: URLs are uploaded, remote ones too with rehostMedia (see
+//   /lib/ghl/media.js).
+//
+// Dry run:
+// - dryRun === true resolves collection, mapping and existing prices, then returns a plan
+//   (see /lib/ghl/plan.js) instead of issuing any POST/PUT/DELETE.
+//
+// Transactions (transactional !== false):
+// - Each write is journaled (see /lib/ghl/journal.js). If a price cannot be created, the completed
+//   steps are undone — a freshly created product is deleted, deleted prices are recreated from the
+//   listPrices snapshot — and the response is ok: false with a `rollback` report.
+// - transactional: false keeps the v10 behaviour (ok: true, priceAction: "failed").
+//
+// Sale windows:
+// - schedule: { startAt, endAt, price, compareAt? } swaps the sale price in for the window; the
+//   cron worker applies and reverts it (see /lib/ghl/schedule.js, /api/ghl/schedules/worker).
+//
+// Stale mappings:
+// - A mapped product that GHL answers 404 for is recreated and the mapping replaced
+//   (upsert.recreatedFrom). /api/ghl/reconcile finds and repairs stale mappings in bulk.
+//
+// Concurrency:
+// - Upserts hold a per-(location, dedupeKey) lease lock from mapping lookup to mapping save.
+//
+// Shared by /api/ghl/sync-product (one body) and /api/ghl/sync-products (batch).
+// syncProduct() never touches `res`: it returns { status, body } and throws GHL errors
+// (err.status / err.data / err.url) for the caller to format with syncErrorBody().
+
+import { API_BASE, BUILD_MARKER, TAG_PREFIX, VERSION } from "./config.js";
+import {
+  extractPricesArray,
+  normalizeCollectionId,
+  normalizePriceId,
+  priceIdFromResponse,
+} from "./client.js";
+import {
+  buildVariantsPayload,
+  readVariantInputs,
+  syncVariantPrices,
+  validateVariants,
+} from "./variants.js";
+import {
+  buildPricePayload,
+  existingPriceIdentity,
+  hasPrices,
+  priceIdentity,
+  readPriceInputs,
+  readRecurringInput,
+  recurringPayload,
+  validatePriceEntry,
+  validatePriceInput,
+} from "./prices.js";
+import { createJournal, restorablePrice } from "./journal.js";
+import { planSync } from "./plan.js";
+import { resolveCollections } from "./collections.js";
+import { prepareMedias } from "./media.js";
+import { aliasSources } from "./schema.js";
+import { acquireLock, lockKey } from "./lock.js";
+import { writeMapping } from "./mapping.js";
+import { readAuditSnapshot } from "./audit.js";
+import { readScheduleInput, validateScheduleInput } from "./schedule.js";
+import { findTaggedProductId } from "./tags.js";
+import {
+  isUnsupportedStatus,
+  loadCapabilityProfile,
+  noteCapability,
+  priceStrategyFor,
+} from "./capabilities.js";
+
+// ---------- Inputs ----------
+export function readSyncInput(body) {
+  const rawName = String(body.name || "").trim();
+  const description = String(body.description || "").trim();
+  const collectionName = String(body.collectionName || body.collection || "").trim();
+
+  // Collections: collectionName + collectionNames[] (first one is the primary collection)
+  const collectionNames = [];
+  for (const n of [collectionName, ...(Array.isArray(body.collectionNames) ? body.collectionNames : [])]) {
+    const name = String(n || "").trim();
+    if (name && !collectionNames.some((x) => x.toLowerCase() === name.toLowerCase())) collectionNames.push(name);
+  }
+  const strictCollectionMatch =
+    body.strictCollectionMatch === true ||
+    (body.strictCollectionMatch !== false &&
+      String(process.env.DBE_STRICT_COLLECTION_MATCH || "").toLowerCase() === "true");
+  const createMissingCollections = body.createMissingCollections === true;
+
+  // media inputs
+  const image = String(body.image || body.imageUrl || "").trim();
+  const imagesArr = Array.isArray(body.images)
+    ? body.images.map((u) => String(u || "").trim()).filter(Boolean)
+    : [];
+  const providedMedias = Array.isArray(body.medias) ? body.medias : null;
+  const checkMedia =
+    body.checkMedia === true ||
+    (body.checkMedia !== false && String(process.env.DBE_MEDIA_CHECK || "").toLowerCase() === "true");
+  const rehostMedia =
+    body.rehostMedia === true ||
+    (body.rehostMedia !== false && String(process.env.DBE_MEDIA_REHOST || "").toLowerCase() === "true");
+
+  const availableInStore = body.availableInStore === false ? false : true;
+  const productType = String(body.productType || "PHYSICAL").trim().toUpperCase();
+
+  // SEO best-effort
+  const seoTitle = String(body.seoTitle || "").trim();
+  const seoDescription = String(body.seoDescription || "").trim();
+  const seoSlug = String(body.seoSlug || body.slug || "").trim();
+
+  // Inventory best-effort
+  // (Different tenants use different fields; we try a safe set and ignore if rejected)
+  const trackInventory =
+    body.trackInventory === true || body.inventoryTracking === true;
+  const availableQty =
+    body.availableQty ?? body.qty ?? body.inventory ?? body.stock ?? null;
+
+  // Pricing
+  const priceObj =
+    body && typeof body.price === "object" && body.price !== null ? body.price : null;
+
+  const priceAmount =
+    priceObj?.amount ?? body.price ?? body.amount ?? null;
+  const compareAt =
+    priceObj?.compareAt ?? body.compareAt ?? body.compareAtPrice ?? null;
+  const currency = String(priceObj?.currency || body.currency || "USD").trim().toUpperCase();
+  const priceType = String(priceObj?.type || body.priceType || "one_time").trim();
+  const recurring = readRecurringInput(body);
+
+  // Upsert controls
+  const upsert = body.upsert === true;
+  const dryRun = body.dryRun === true;
+  const transactional = body.transactional !== false;
+  const sku = String(body.sku || priceObj?.sku || "").trim();
+  const externalId = String(body.externalId || body.upc || body.upsertKey || "").trim();
+
+  const dedupeKeyRaw = sku || externalId;
+  const dedupeKey = dedupeKeyRaw ? dedupeKeyRaw.toLowerCase() : "";
+
+  const taggedName = dedupeKey ? `[${TAG_PREFIX}:${dedupeKey}] ${rawName}` : rawName;
+
+  // Product-level prices: the single price above or prices[] (see /lib/ghl/prices.js)
+  const prices = readPriceInputs(body, { priceAmount, compareAt, currency, priceType, sku, recurring });
+  const pricesGiven = Array.isArray(body.prices);
+  // Recurring terms of variant prices (they share the top-level priceType)
+  const recurringFields = recurringPayload({ type: priceType, ...recurring });
+
+  // Variants (optional)
+  const { options, variants } = readVariantInputs(body);
+
+  // Sale window (see /lib/ghl/schedule.js)
+  const schedule = readScheduleInput(body);
+
+  // Which alias supplied each value (see /lib/ghl/schema.js)
+  const aliases = aliasSources(body);
+
+  return {
+    rawName,
+    description,
+    collectionName,
+    collectionNames,
+    strictCollectionMatch,
+    createMissingCollections,
+    image,
+    imagesArr,
+    providedMedias,
+    checkMedia,
+    rehostMedia,
+    availableInStore,
+    productType,
+    seoTitle,
+    seoDescription,
+    seoSlug,
+    trackInventory,
+    availableQty,
+    priceAmount,
+    compareAt,
+    currency,
+    priceType,
+    recurring,
+    recurringFields,
+    prices,
+    pricesGiven,
+    upsert,
+    dryRun,
+    transactional,
+    sku,
+    externalId,
+    dedupeKey,
+    taggedName,
+    options,
+    variants,
+    schedule,
+    aliases,
+  };
+}
+
+// Returns an error message, or null when the input can be synced.
+export function validateSyncInput(input) {
+  if (!input.rawName) return "Missing required field: name";
+  if (!input.collectionNames.length) return "Missing required field: collectionName (or collectionNames[])";
+  if (input.upsert && !input.dedupeKey) {
+    return "Upsert requested but no dedupe key provided. Include sku or externalId (or upc/upsertKey).";
+  }
+  const scheduleError = validateScheduleInput(input);
+  if (scheduleError) return scheduleError;
+
+  if (input.variants.length) {
+    const variantsError = validateVariants(input.variants);
+    if (variantsError) return variantsError;
+    if (input.pricesGiven) return "prices[] cannot be combined with variants[]; set each variant's price.";
+    for (const v of input.variants) {
+      const error = validatePriceEntry(
+        { amount: v.priceAmount, compareAt: v.compareAt, currency: input.currency, type: input.priceType, ...input.recurring },
+        `variants "${v.sku}": `
+      );
+      if (error) return error;
+    }
+    return null;
+  }
+  return validatePriceInput(input);
+}
+
+// ctx: { client, store, audit? } — `store` is the mapping store (null -> tagged names); with an
+// audit sink the result also carries audit: { before, after } snapshots (see /lib/ghl/audit.js).
+// Upserts run under the (locationId, dedupeKey) lock (see /lib/ghl/lock.js) so concurrent
+// requests for one SKU cannot both create a product or both recreate its price; 409 when the
+// lock stays taken.
+export async function syncProduct(ctx, input) {
+  if (!input.upsert || !input.dedupeKey || input.dryRun) return await runSync(ctx, input);
+
+  const { client, store } = ctx;
+  const lock = await acquireLock(store, lockKey(client.locationId, input.dedupeKey));
+  if (!lock.acquired) {
+    return {
+      status: 409,
+      body: {
+        ok: false,
+        build: BUILD_MARKER,
+        error: lock.error
+          ? `Could not acquire the upsert lock for "${input.dedupeKey}": ${lock.error}`
+          : `Another sync for "${input.dedupeKey}" is in progress. Retry shortly.`,
+        retryable: true,
+        lock: { key: lock.key, waitedMs: lock.waitedMs },
+      },
+    };
+  }
+
+  try {
+    return await runSync(ctx, input);
+  } finally {
+    await lock.release();
+  }
+}
+
+async function runSync(ctx, input) {
+  const { client, store } = ctx;
+  const { locationId, altType, tokenPrefix, withTenantParams } = client;
+  const {
+    rawName,
+    description,
+    collectionName,
+    collectionNames,
+    availableInStore,
+    productType,
+    seoTitle,
+    seoDescription,
+    seoSlug,
+    trackInventory,
+    availableQty,
+    upsert,
+    transactional,
+    sku,
+    dedupeKey,
+    taggedName,
+    options,
+    variants,
+  } = input;
+
+  // 1) Resolve collection ids (cached per location, see /lib/ghl/collections.js)
+  const { resolved: resolvedCollections, missing: missingCollections, collections } =
+    await resolveCollections(client, collectionNames, {
+      strict: input.strictCollectionMatch,
+      createMissing: input.createMissingCollections,
+      dryRun: input.dryRun,
+    });
+
+  if (missingCollections.length) {
+    return {
+      status: 404,
+      body: {
+        ok: false,
+        build: BUILD_MARKER,
+        error: `Collection not found (or missing id) for name: ${missingCollections.map((n) => `"${n}"`).join(", ")}`,
+        missingCollections,
+        hint: input.createMissingCollections ? undefined : "Send createMissingCollections: true to create them.",
+        debug: {
+          tokenPrefix,
+          locationId,
+          altType,
+          collectionsSeen: collections.slice(0, 25).map((c) => ({ name: c?.name, id: normalizeCollectionId(c) })),
+        },
+      },
+    };
+  }
+
+  const matched = resolvedCollections[0];
+  const resolvedCollectionId = matched.id;
+  const collectionsBody = resolvedCollections.map(({ name, id, created, wouldCreate }) =>
+    wouldCreate ? { name, id, wouldCreate } : { name, id, created }
+  );
+
+  // 2) Media + featured image (checked, deduped, optionally rehosted; see /lib/ghl/media.js)
+  const { medias: mediasPayload, report: mediaReport } = await prepareMedias({ client, store }, input);
+  const featuredImageUrl = mediasPayload?.find((m) => m?.isFeatured)?.url || mediasPayload?.[0]?.url || "";
+
+  // Capability profile: probed once per location with DBE_CAPABILITY_PROBE=auto, never during a
+  // dry run (it writes).
+  const profile = await loadCapabilityProfile(ctx, { probe: !input.dryRun });
+  const priceStrategy = priceStrategyFor(profile);
+  const seoSupported = profile?.fields?.seo ?? null;
+  const inventorySupported = profile?.fields?.inventory ?? null;
+  const noteUnsupported = (operation, e) => {
+    if (store && isUnsupportedStatus(e?.status)) return noteCapability(store, locationId, operation, false);
+  };
+
+  // 3) Build product payload (FULL payload for PUT)
+  const baseProductPayload = {
+    name: rawName,
+    description: description || undefined,
+    locationId,
+    productType,
+    availableInStore,
+    collectionIds: resolvedCollections.map((c) => c.id || `<new:${c.name}>`),
+    image: featuredImageUrl || undefined,
+    medias: mediasPayload,
+  };
+
+  if (variants.length && options.length) {
+    baseProductPayload.variants = buildVariantsPayload(options);
+  }
+
+  // SEO best-effort fields (skipped when the profile says the tenant drops them)
+  if (seoSupported !== false) {
+    if (seoTitle) baseProductPayload.seoTitle = seoTitle;
+    if (seoDescription) baseProductPayload.seoDescription = seoDescription;
+    if (seoSlug) baseProductPayload.seoSlug = seoSlug;
+  }
+
+  // Inventory best-effort fields on product (tenant dependent)
+  // We do NOT hard-fail if tenant rejects these; they simply won't apply.
+  if (inventorySupported !== false && trackInventory === true) baseProductPayload.trackInventory = true;
+  if (
+    inventorySupported !== false &&
+    availableQty !== null &&
+    availableQty !== undefined &&
+    String(availableQty).trim() !== ""
+  ) {
+    const q = Number(availableQty);
+    if (Number.isFinite(q) && q >= 0) {
+      baseProductPayload.availableQuantity = q;
+      baseProductPayload.quantity = q; // some tenants use "quantity"
+    }
+  }
+
+  // 4) UPSERT RESOLUTION
+  const kvKey = dedupeKey ? `dbe:map:${locationId}:${dedupeKey}` : null;
+
+  async function loadMapping() {
+    if (!store || !kvKey) return null;
+    try {
+      const val = await store.get(kvKey);
+      if (val && typeof val === "object") return val;
+      return null;
+    } catch {
+      return null;
+    }
+  }
+  async function saveMapping(obj) {
+    if (!store || !kvKey) return false;
+    try {
+      await writeMapping(store, locationId, dedupeKey, obj);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  let mode = "create";
+  let map = null;
+  let productId = null;
+  let existingPriceId = null;
+
+  if (upsert) {
+    map = await loadMapping();
+    if (map?.productId) {
+      productId = String(map.productId);
+      existingPriceId = map?.priceId ? String(map.priceId) : null;
+      mode = "update";
+    } else if (!store) {
+      // fallback search by tagged name
+      const pid = await findTaggedProductId(client, dedupeKey, taggedName);
+      if (pid) {
+        productId = pid;
+        mode = "update";
+      }
+    }
+  }
+
+  // Dry run: steps 1-4 only read. Plan the writes and stop.
+  if (input.dryRun) {
+    const productPayload =
+      upsert && !store ? { ...baseProductPayload, name: taggedName } : baseProductPayload;
+    const plan = await planSync(client, input, {
+      mode,
+      productId,
+      existingPriceId,
+      mappedPriceIds: map?.priceIds || null,
+      productPayload,
+      priceStrategy,
+    });
+    if (plan.invalid) return plan.invalid;
+
+    return {
+      status: 200,
+      body: {
+        ok: true,
+        build: BUILD_MARKER,
+        dryRun: true,
+        mode,
+        productId: productId ? String(productId) : null,
+        collection: { name: matched?.name || collectionName, id: resolvedCollectionId },
+        collections: collectionsBody,
+        aliases: input.aliases,
+        upsert: {
+          enabled: upsert,
+          dedupeKey: dedupeKey || null,
+          usedKV: Boolean(store),
+          mappingStore: store?.backend || null,
+          mappingKey: kvKey || null,
+          mappingFound: map,
+          mappingWouldSave: Boolean(upsert && dedupeKey && store),
+        },
+        plan,
+        capabilities: { priceStrategy, probedAt: profile?.probedAt || null },
+        media: mediaReport,
+        debug: {
+          tokenPrefix,
+          locationId,
+          productType,
+          http: client.httpStats,
+        },
+      },
+    };
+  }
+
+  // Product as it is before any write, for the audit event (see /lib/ghl/audit.js).
+  const auditBefore = ctx.audit && mode === "update" ? await readAuditSnapshot(client, productId) : null;
+
+  // 5) Create/Update product
+  let created = null;
+  let enforced = null;
+
+  const journal = createJournal();
+
+  // Undo the journaled steps and report the failure (transactional mode).
+  async function abort(stage, failure) {
+    const rollback = await journal.rollback();
+    return {
+      status: failure?.status && failure.status >= 400 ? failure.status : 502,
+      body: {
+        ok: false,
+        build: BUILD_MARKER,
+        error: `Sync failed at ${stage}; ${
+          rollback.complete
+            ? "changes rolled back"
+            : rollback.ok
+              ? "some changes could not be undone (see rollback.steps)"
+              : "rollback incomplete"
+        }.`,
+        failedStage: stage,
+        mode,
+        productId: productId ? String(productId) : null,
+        details: failure?.details || null,
+        rollback,
+        debug: {
+          tokenPrefix,
+          locationId,
+          http: client.httpStats,
+        },
+      },
+    };
+  }
+
+  function journalPriceCreate(resp) {
+    const newId = priceIdFromResponse(resp);
+    journal.record(
+      "createPrice",
+      { priceId: newId ? String(newId) : null },
+      newId ? () => client.deletePrice(String(productId), String(newId)) : null
+    );
+  }
+
+  // Mapped product deleted in GHL (404 on PUT): drop the stale mapping and create a new product.
+  let recreatedFrom = null;
+
+  if (mode === "update") {
+    const putPayload = !store ? { ...baseProductPayload, name: taggedName } : baseProductPayload;
+    try {
+      enforced = await client.putProduct(String(productId), putPayload);
+      journal.record("putProduct", { productId: String(productId) });
+    } catch (e) {
+      enforced = { __error: true, status: e?.status || 500, details: e?.data || null };
+      if (e?.status === 404 && map?.productId) {
+        recreatedFrom = String(productId);
+        mode = "create";
+        productId = null;
+        existingPriceId = null;
+        enforced = null;
+      }
+    }
+  }
+
+  if (mode === "create") {
+    const createPayload =
+      upsert && !store ? { ...baseProductPayload, name: taggedName } : baseProductPayload;
+
+    created = await client.createProduct(createPayload);
+
+    productId =
+      created?.product?._id ||
+      created?.product?.id ||
+      created?._id ||
+      created?.id;
+
+    if (!productId) {
+      return {
+        status: 500,
+        body: {
+          ok: false,
+          build: BUILD_MARKER,
+          error: "Created product but could not find productId in response",
+          created,
+        },
+      };
+    }
+
+    const createdId = String(productId);
+    journal.record("createProduct", { productId: createdId }, () => client.deleteProduct(createdId));
+
+    // enforce with PUT (full payload)
+    try {
+      enforced = await client.putProduct(String(productId), createPayload);
+    } catch (e) {
+      enforced = { __error: true, status: e?.status || 500, details: e?.data || null };
+    }
+  }
+
+  // 6) Price logic + de-dupe
+  let priceResp = null;
+  let priceAction = "none";
+  let priceDedupe = { attempted: false, deleted: [], errors: [] };
+  let variantsResult = null;
+  let priceIdsBySku = null;
+  // One entry per product-level price: { identity, sku, currency, type, action, priceId, resp }
+  const priceResults = [];
+
+  const hasPrice = hasPrices(input);
+
+  if (variants.length) {
+    // One price per variant; top-level price/compareAt are ignored.
+    ({ priceAction, priceResp, variantsResult, priceIdsBySku } = await syncVariantPrices(
+      client,
+      input,
+      productId,
+      mode,
+      journal,
+      { priceStrategy, onUnsupported: noteUnsupported }
+    ));
+    priceDedupe = {
+      attempted: mode === "update",
+      deleted: variantsResult.deleted.map((d) => d.priceId),
+      errors: variantsResult.errors,
+    };
+
+    const createError = variantsResult.errors.find((e) => e.stage === "createPrice");
+    if (createError && transactional) return await abort("createPrice", createError);
+  } else if (hasPrice) {
+    // Every payload is built (and validated) before the first price write.
+    const entries = [];
+    for (const entry of input.prices) {
+      const built = buildPricePayload(input, entry, productId, locationId);
+      if (!built.payload) return built;
+      entries.push({ entry, payload: built.payload, identity: priceIdentity(entry.sku, entry.currency, entry.type) });
+    }
+
+    // One entry's outcome: { action, priceId, resp }.
+    async function createFreshPrice(payload, action) {
+      try {
+        const resp = await client.createPrice(String(productId), payload);
+        journalPriceCreate(resp);
+        const pid = priceIdFromResponse(resp);
+        return { action, priceId: pid ? String(pid) : null, resp };
+      } catch (e) {
+        return { action: "failed", priceId: null, resp: { __error: true, status: e?.status || 500, details: e?.data || null } };
+      }
+    }
+
+    // A listPrices() entry can be restored; a bare { _id } from the mapping cannot.
+    const hasSnapshot = (p) => p?.amount !== undefined;
+
+    // Deletes one existing price (journaled with a restore). Returns true when it is gone.
+    async function removeExistingPrice(p) {
+      const pid = normalizePriceId(p);
+      if (!pid) return false;
+      try {
+        await client.deletePrice(String(productId), String(pid));
+        priceDedupe.deleted.push(String(pid));
+        journal.record(
+          "deletePrice",
+          { priceId: String(pid) },
+          hasSnapshot(p)
+            ? async () => {
+                const restored = await client.createPrice(String(productId), restorablePrice(p, productId));
+                return { report: { restoredPriceId: priceIdFromResponse(restored) } };
+              }
+            : null
+        );
+        return true;
+      } catch (e) {
+        priceDedupe.errors.push({
+          stage: "deletePrice",
+          priceId: String(pid),
+          status: e?.status || 500,
+          details: e?.data || null,
+        });
+        await noteUnsupported("deletePrice", e);
+        return false;
+      }
+    }
+
+    // PUTs the price in place (journaled with a restore). Returns the outcome, or null on failure.
+    async function putExistingPrice(p, payload, action) {
+      const pid = String(normalizePriceId(p));
+      try {
+        const resp = await client.putPrice(String(productId), pid, payload);
+        journal.record(
+          "putPrice",
+          { priceId: pid },
+          hasSnapshot(p) ? () => client.putPrice(String(productId), pid, restorablePrice(p, productId)) : null
+        );
+        return { action, priceId: pid, resp };
+      } catch (e) {
+        priceDedupe.errors.push({ stage: "putPrice", priceId: pid, status: e?.status || 500, details: e?.data || null });
+        await noteUnsupported("putPrice", e);
+        return null;
+      }
+    }
+
+    // Existing prices, listed once for every entry that dedupes by sku.
+    let existingPrices = null;
+    async function listExistingPrices() {
+      if (existingPrices) return existingPrices;
+      existingPrices = [];
+      try {
+        const pricesResp = await client.listPrices(String(productId));
+        existingPrices = extractPricesArray(pricesResp);
+      } catch (e) {
+        priceDedupe.errors.push({
+          stage: "listPrices",
+          status: e?.status || 500,
+          details: e?.data || null,
+        });
+      }
+      return existingPrices;
+    }
+
+    // Price ids saved for prices[] entries without a sku, by identity (see mapping.priceIds).
+    const mappedPriceIds = recreatedFrom ? {} : map?.priceIds || {};
+
+    async function syncEntry({ entry, payload, identity }, idx) {
+      if (upsert && entry.sku) {
+        // Always enforce single active price per (sku, currency, type) in upsert mode
+        priceDedupe.attempted = true;
+
+        const matches = (await listExistingPrices()).filter(
+          (p) => existingPriceIdentity(p) === identity && normalizePriceId(p)
+        );
+
+        // "put": update the mapped (else first) matching price in place, delete the other duplicates.
+        const keep =
+          priceStrategy === "put" && matches.length
+            ? matches.find((p) => String(normalizePriceId(p)) === (mappedPriceIds[identity] || existingPriceId)) ||
+              matches[0]
+            : null;
+        const put = keep ? await putExistingPrice(keep, payload, "dedupe_put") : null;
+        if (put) {
+          for (const p of matches) if (p !== keep) await removeExistingPrice(p);
+          return put;
+        }
+        if (priceStrategy === "create_only") {
+          // Tenant cannot update or delete prices: add the new one, old ones stay.
+          priceDedupe.skipped = [...(priceDedupe.skipped || []), ...matches.map((p) => String(normalizePriceId(p)))];
+          return await createFreshPrice(payload, "create_only");
+        }
+        // Delete every matching price (we will recreate the latest one).
+        // This avoids needing PUT support for price update on restrictive tenants.
+        for (const p of matches) await removeExistingPrice(p);
+        return await createFreshPrice(payload, "dedupe_delete_then_create");
+      }
+
+      const mappedId = mode === "update" ? mappedPriceIds[identity] || (idx === 0 ? existingPriceId : null) : null;
+      if (mappedId) {
+        // The listed price can be restored on rollback; a bare { _id } cannot.
+        const existing =
+          (await listExistingPrices()).find((p) => String(normalizePriceId(p)) === String(mappedId)) ||
+          { _id: mappedId };
+        if (priceStrategy === "delete_then_create") {
+          await removeExistingPrice(existing);
+          return await createFreshPrice(payload, "replace");
+        }
+        if (priceStrategy === "create_only") return await createFreshPrice(payload, "create_only");
+        // Try to update mapped priceId (if tenant supports PUT), else create a new one
+        return (
+          (await putExistingPrice(existing, payload, "update")) ||
+          (await createFreshPrice(payload, "create_fallback_after_failed_update"))
+        );
+      }
+
+      // Baseline create
+      return await createFreshPrice(payload, "create");
+    }
+
+    for (const [idx, e] of entries.entries()) {
+      const result = await syncEntry(e, idx);
+      priceResults.push({
+        identity: e.identity,
+        sku: e.entry.sku || null,
+        currency: e.entry.currency,
+        type: e.entry.type,
+        action: result.action,
+        priceId: result.priceId,
+        resp: result.resp,
+      });
+      // Transactional: stop at the first failed price, the journal undoes the rest.
+      if (result.action === "failed" && transactional) break;
+    }
+
+    const failed = priceResults.find((r) => r.action === "failed");
+    const actions = new Set(priceResults.map((r) => r.action));
+    priceResp = failed ? failed.resp : priceResults[0].resp;
+    priceAction = failed ? "failed" : actions.size === 1 ? priceResults[0].action : "mixed";
+  }
+
+  if (priceAction === "failed" && transactional) return await abort("createPrice", priceResp);
+
+  // 7) Persist mapping (store) if upsert and key present
+  let mapping = null;
+  let mappingSaved = false;
+
+  if (upsert && dedupeKey) {
+    const priceId =
+      priceResults[0]?.priceId ||
+      priceIdFromResponse(priceResp) ||
+      (priceIdsBySku ? Object.values(priceIdsBySku).find(Boolean) : null) ||
+      existingPriceId ||
+      null;
+
+    mapping = { productId: String(productId), priceId: priceId ? String(priceId) : null };
+    if (priceIdsBySku) mapping.prices = priceIdsBySku;
+    if (priceResults.length > 1) {
+      mapping.priceIds = Object.fromEntries(priceResults.map((r) => [r.identity, r.priceId]));
+    }
+
+    if (store) {
+      mappingSaved = await saveMapping(mapping);
+    }
+  }
+
+  // 8) Verify
+  const verified = await client.getProduct(String(productId));
+  const productObj = verified?.product || verified || null;
+  const auditAfter = ctx.audit ? await readAuditSnapshot(client, productId, productObj) : null;
+
+  return {
+    status: mode === "update" ? 200 : 201,
+    audit: ctx.audit ? { before: auditBefore, after: auditAfter } : undefined,
+    body: {
+      ok: true,
+      build: BUILD_MARKER,
+      mode,
+      upsert: {
+        enabled: upsert,
+        dedupeKey: dedupeKey || null,
+        usedKV: Boolean(store),
+        mappingStore: store?.backend || null,
+        mappingKey: kvKey || null,
+        mapping,
+        mappingSaved,
+        recreatedFrom,
+        priceAction,
+      },
+      productId: String(productId),
+      collection: { name: matched?.name || collectionName, id: resolvedCollectionId },
+      collections: collectionsBody,
+      aliases: input.aliases,
+      store: {
+        availableInStoreRequested: availableInStore,
+        availableInStoreSeenOnGet: productObj?.availableInStore ?? null,
+      },
+      media: {
+        featured: featuredImageUrl || null,
+        count: Array.isArray(mediasPayload) ? mediasPayload.length : 0,
+        ...mediaReport,
+      },
+      inventory: {
+        trackInventoryRequested: trackInventory === true,
+        qtyRequested: availableQty ?? null,
+        supported: inventorySupported,
+      },
+      seo: {
+        seoTitleRequested: seoTitle || null,
+        seoDescriptionRequested: seoDescription || null,
+        seoSlugRequested: seoSlug || null,
+        supported: seoSupported,
+      },
+      capabilities: { priceStrategy, probedAt: profile?.probedAt || null },
+      priceDedupe,
+      price: priceResp,
+      prices: priceResults.map(({ resp, ...r }) => r),
+      transaction: { enabled: transactional, steps: journal.summary() },
+      variants: variantsResult
+        ? { options: options.map((o) => o.name), count: variants.length, ...variantsResult }
+        : null,
+      verified: productObj,
+      debug: {
+        tokenPrefix,
+        credentialSource: client.credentialSource,
+        locationId,
+        productType,
+        ghlUrlSample: withTenantParams(`${API_BASE}/products/${productId}`),
+        http: client.httpStats,
+      },
+    },
+  };
+}
+
+// Error body for a GHL failure thrown out of syncProduct().
+export function syncErrorBody(err, client) {
+  const status = err?.status || 500;
+  return {
+    ok: false,
+    build: BUILD_MARKER,
+    error: err?.message || "Unknown error",
+    status,
+    details: err?.data || null,
+    debug: {
+      tokenPrefix: client.tokenPrefix,
+      locationId: client.locationId,
+      altType: client.altType,
+      apiBase: API_BASE,
+      version: VERSION,
+      ghlUrl: err?.url || null,
+      http: client.httpStats,
+    },
+  };
+}
@@ -0,0 +1,32 @@
+// File: /lib/ghl/tags.js
+// "[DBE:<dedupeKey>] <name>" product names written by the no-store upsert fallback.
+
+import { TAG_PREFIX } from "./config.js";
+import { normalizeProductId } from "./client.js";
+
+const TAG_RE = new RegExp(`\\[${TAG_PREFIX}:([^\\]]+)\\]\\s*`);
+
+// -> { key, name } (key lowercased, name with the tag removed), or null for untagged names.
+export function parseTaggedName(name) {
+  const s = String(name || "");
+  const m = s.match(TAG_RE);
+  if (!m) return null;
+  return { key: m[1].trim().toLowerCase(), name: s.replace(TAG_RE, "").trim() };
+}
+
+// Product id carrying the "[DBE:<dedupeKey>]" tag (or exactly `taggedName`), or null.
+// Search failures count as "not found", like the rest of the tag fallback.
+export async function findTaggedProductId(client, dedupeKey, taggedName = null) {
+  const tag = `[${TAG_PREFIX}:${dedupeKey}]`;
+  try {
+    const products = await client.listProductsByNameSearch(tag);
+    const hit =
+      products.find((p) => String(p?.name || "").includes(tag)) ||
+      (taggedName ? products.find((p) => String(p?.name || "").trim() === taggedName) : null) ||
+      null;
+    const pid = hit ? normalizeProductId(hit) : null;
+    return pid ? String(pid) : null;
+  } catch {
+    return null;
+  }
+}
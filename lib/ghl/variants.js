@@ -0,0 +1,367 @@
+// File: /lib/ghl/variants.js
+// Product options + per-variant prices.
+//
+// - options [{ name, values }] + variants [{ sku, price, compareAt, qty, options }] -> one price per variant.
+// - Option/value ids are derived from their names so re-syncs keep the same variantOptionIds.
+// - planVariantPrices() diffs existing prices against the variants per priceIdentity() (sku,
+//   currency, type — see /lib/ghl/prices.js; no writes), so a variant's EUR price is left alone
+//   by a USD sync. syncVariantPrices() lists, plans and applies: changed -> PUT (delete+create if
+//   PUT is rejected), new -> create, SKUs no longer listed + duplicate identities -> delete,
+//   unchanged -> left alone.
+
+import { extractPricesArray, normalizePriceId, priceIdFromResponse } from "./client.js";
+import { restorablePrice } from "./journal.js";
+import { existingPriceIdentity, priceIdentity } from "./prices.js";
+
+export function isBlank(v) {
+  return v === null || v === undefined || String(v).trim() === "";
+}
+
+// ---------- Inputs ----------
+export function readVariantInputs(body) {
+  const options = (Array.isArray(body.options) ? body.options : [])
+    .map((o) => ({
+      name: String(o?.name || "").trim(),
+      values: Array.isArray(o?.values)
+        ? o.values.map((v) => String(v ?? "").trim()).filter(Boolean)
+        : [],
+    }))
+    .filter((o) => o.name);
+
+  const variants = (Array.isArray(body.variants) ? body.variants : []).map((v) => {
+    const vPriceObj = v && typeof v.price === "object" && v.price !== null ? v.price : null;
+
+    // options: { Size: "M" } or ["M", ...] in the order of body.options
+    const optionValues = {};
+    if (Array.isArray(v?.options)) {
+      options.forEach((o, idx) => {
+        const val = String(v.options[idx] ?? "").trim();
+        if (val) optionValues[o.name] = val;
+      });
+    } else if (v?.options && typeof v.options === "object") {
+      for (const [k, val] of Object.entries(v.options)) {
+        const key = String(k).trim();
+        const value = String(val ?? "").trim();
+        if (key && value) optionValues[key] = value;
+      }
+    }
+
+    return {
+      sku: String(v?.sku || vPriceObj?.sku || "").trim(),
+      name: String(v?.name || "").trim(),
+      priceAmount: vPriceObj?.amount ?? v?.price ?? v?.amount ?? null,
+      compareAt: vPriceObj?.compareAt ?? v?.compareAt ?? v?.compareAtPrice ?? null,
+      availableQty: v?.availableQty ?? v?.qty ?? v?.inventory ?? v?.stock ?? null,
+      optionValues,
+    };
+  });
+
+  // Options not declared up front are inferred from the variants (first-seen order),
+  // and variant keys are folded onto the declared option names.
+  for (const v of variants) {
+    const folded = {};
+    for (const [name, value] of Object.entries(v.optionValues)) {
+      let opt = options.find((o) => o.name.toLowerCase() === name.toLowerCase());
+      if (!opt) {
+        opt = { name, values: [] };
+        options.push(opt);
+      }
+      if (!opt.values.some((x) => x.toLowerCase() === value.toLowerCase())) opt.values.push(value);
+      folded[opt.name] = opt.values.find((x) => x.toLowerCase() === value.toLowerCase());
+    }
+    v.optionValues = folded;
+  }
+
+  return { options, variants };
+}
+
+// Returns an error message, or null when every variant is valid.
+export function validateVariants(variants) {
+  const seen = new Set();
+  for (const [idx, v] of variants.entries()) {
+    if (!v.sku) return `Missing required field: variants[${idx}].sku`;
+    const skuLower = v.sku.toLowerCase();
+    if (seen.has(skuLower)) return `Duplicate variant sku: "${v.sku}"`;
+    seen.add(skuLower);
+
+    const amountNum = Number(v.priceAmount);
+    if (isBlank(v.priceAmount) || !Number.isFinite(amountNum) || amountNum < 0) {
+      return `Invalid price for variant "${v.sku}". Provide a numeric price >= 0.`;
+    }
+    if (!isBlank(v.compareAt)) {
+      const compareAtNum = Number(v.compareAt);
+      if (!Number.isFinite(compareAtNum) || compareAtNum < 0) {
+        return `Invalid compareAt for variant "${v.sku}". Provide a numeric compareAt >= 0.`;
+      }
+    }
+  }
+  return null;
+}
+
+// ---------- Payloads ----------
+function slugId(s) {
+  return String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+function optionId(optionName) {
+  return `opt-${slugId(optionName)}`;
+}
+function optionValueId(optionName, value) {
+  return `opt-${slugId(optionName)}-${slugId(value)}`;
+}
+
+export function buildVariantsPayload(options) {
+  return options.map((o) => ({
+    id: optionId(o.name),
+    name: o.name,
+    options: o.values.map((v) => ({ id: optionValueId(o.name, v), name: v })),
+  }));
+}
+
+export function buildVariantPricePayload(input, productId, locationId, variant) {
+  const { options, rawName, description, priceType, currency, recurringFields, trackInventory } = input;
+
+  const variantOptionIds = options
+    .filter((o) => variant.optionValues[o.name])
+    .map((o) => optionValueId(o.name, variant.optionValues[o.name]));
+  const label =
+    variant.name ||
+    options.map((o) => variant.optionValues[o.name]).filter(Boolean).join(" / ") ||
+    variant.sku;
+
+  const payload = {
+    product: String(productId),
+    locationId,
+    name: `${rawName} - ${label}`,
+    type: priceType,
+    currency,
+    amount: Number(variant.priceAmount),
+    description: description || undefined,
+    sku: variant.sku,
+    variantOptionIds,
+    ...recurringFields,
+  };
+  if (!isBlank(variant.compareAt)) payload.compareAt = Number(variant.compareAt);
+
+  if (!isBlank(variant.availableQty)) {
+    const q = Number(variant.availableQty);
+    if (Number.isFinite(q) && q >= 0) {
+      payload.trackInventory = true;
+      payload.availableQuantity = q;
+    }
+  } else if (trackInventory === true) {
+    payload.trackInventory = true;
+  }
+
+  return payload;
+}
+
+// Fields we own on a variant price; anything else GHL returns is ignored by the diff.
+function variantPriceChanged(existing, payload) {
+  const num = (v) => (isBlank(v) ? null : Number(v));
+  const ids = (arr) => (Array.isArray(arr) ? [...arr].map(String).sort().join(",") : "");
+  // recurringPayload() omits a trial of 0 days.
+  const trial = (v) => (isBlank(v) || Number(v) <= 0 ? null : Number(v));
+
+  if (num(existing?.amount) !== num(payload.amount)) return true;
+  if (num(existing?.compareAt) !== num(payload.compareAt)) return true;
+  if (String(existing?.currency || "") !== String(payload.currency || "")) return true;
+  if (String(existing?.type || "one_time") !== String(payload.type || "one_time")) return true;
+  if (String(existing?.recurring?.interval || "") !== String(payload.recurring?.interval || "")) return true;
+  if (num(existing?.recurring?.intervalCount) !== num(payload.recurring?.intervalCount)) return true;
+  if (trial(existing?.trialPeriod) !== trial(payload.trialPeriod)) return true;
+  if (num(existing?.setupFee) !== num(payload.setupFee)) return true;
+  if (String(existing?.name || "") !== String(payload.name || "")) return true;
+  if (ids(existing?.variantOptionIds) !== ids(payload.variantOptionIds)) return true;
+  if (
+    payload.availableQuantity !== undefined &&
+    num(existing?.availableQuantity) !== num(payload.availableQuantity)
+  ) {
+    return true;
+  }
+  return false;
+}
+
+// ---------- Diff ----------
+// Pure: existing prices + input.variants -> { create, update, unchanged, delete }.
+// create/update entries carry the payload that would be sent.
+export function planVariantPrices(existingPrices, input, productId, locationId) {
+  const plan = { create: [], update: [], unchanged: [], delete: [] };
+
+  const existingByIdentity = new Map();
+  for (const p of existingPrices) {
+    const sku = String(p?.sku || "").trim();
+    const pid = normalizePriceId(p);
+    if (!sku || !pid) continue;
+    const identity = existingPriceIdentity(p);
+    if (existingByIdentity.has(identity)) {
+      plan.delete.push({ sku, priceId: String(pid), reason: "duplicate_price", existing: p });
+    } else {
+      existingByIdentity.set(identity, p);
+    }
+  }
+
+  const wantedSkus = new Set();
+  for (const variant of input.variants) {
+    wantedSkus.add(variant.sku.toLowerCase());
+
+    const payload = buildVariantPricePayload(input, productId, locationId, variant);
+    const existing = existingByIdentity.get(priceIdentity(variant.sku, payload.currency, payload.type));
+
+    if (!existing) {
+      plan.create.push({ sku: variant.sku, payload });
+    } else if (variantPriceChanged(existing, payload)) {
+      plan.update.push({ sku: variant.sku, priceId: String(normalizePriceId(existing)), payload, existing });
+    } else {
+      plan.unchanged.push({ sku: variant.sku, priceId: String(normalizePriceId(existing)) });
+    }
+  }
+
+  // Prices of listed SKUs in another currency / type are not ours to remove.
+  for (const p of existingByIdentity.values()) {
+    const sku = String(p?.sku || "").trim();
+    if (!wantedSkus.has(sku.toLowerCase())) {
+      plan.delete.push({ sku, priceId: String(normalizePriceId(p)), reason: "removed_variant", existing: p });
+    }
+  }
+
+  return plan;
+}
+
+// Lists the product's prices (update mode only), plans and applies the variant diff.
+// Every completed write is recorded on `journal` (see /lib/ghl/journal.js) with its undo.
+// priceStrategy (see /lib/ghl/capabilities.js): "delete_then_create" skips the price PUT,
+// "create_only" skips PUT and DELETE. onUnsupported(operation, err) is told about failed writes.
+// Returns { priceAction, priceResp, variantsResult, priceIdsBySku }.
+export async function syncVariantPrices(client, input, productId, mode, journal, opts = {}) {
+  const { priceStrategy = "legacy", onUnsupported = () => {} } = opts;
+  const { locationId } = client;
+  const variantsResult = {
+    created: [],
+    updated: [],
+    unchanged: [],
+    deleted: [],
+    errors: [],
+  };
+  const priceIdsBySku = {};
+
+  let existingPrices = [];
+  if (mode === "update") {
+    try {
+      const pricesResp = await client.listPrices(String(productId));
+      existingPrices = extractPricesArray(pricesResp);
+    } catch (e) {
+      variantsResult.errors.push({
+        stage: "listPrices",
+        status: e?.status || 500,
+        details: e?.data || null,
+      });
+    }
+  }
+
+  const plan = planVariantPrices(existingPrices, input, productId, locationId);
+
+  async function removePrice(priceId, sku, existing) {
+    if (priceStrategy === "create_only") {
+      variantsResult.errors.push({ stage: "deletePrice", sku, priceId: String(priceId), skipped: "unsupported" });
+      return false;
+    }
+    try {
+      await client.deletePrice(String(productId), String(priceId));
+      variantsResult.deleted.push({ sku, priceId: String(priceId) });
+      journal?.record("deletePrice", { sku, priceId: String(priceId) }, async () => {
+        const restored = await client.createPrice(String(productId), restorablePrice(existing, productId));
+        return { report: { restoredPriceId: priceIdFromResponse(restored) } };
+      });
+      return true;
+    } catch (e) {
+      variantsResult.errors.push({
+        stage: "deletePrice",
+        sku,
+        priceId: String(priceId),
+        status: e?.status || 500,
+        details: e?.data || null,
+      });
+      await onUnsupported("deletePrice", e);
+      return false;
+    }
+  }
+
+  async function addPrice(payload) {
+    try {
+      const resp = await client.createPrice(String(productId), payload);
+      const pid = priceIdFromResponse(resp);
+      priceIdsBySku[payload.sku.toLowerCase()] = pid ? String(pid) : null;
+      variantsResult.created.push({ sku: payload.sku, priceId: pid ? String(pid) : null });
+      journal?.record(
+        "createPrice",
+        { sku: payload.sku, priceId: pid ? String(pid) : null },
+        pid ? () => client.deletePrice(String(productId), String(pid)) : null
+      );
+      return resp;
+    } catch (e) {
+      variantsResult.errors.push({
+        stage: "createPrice",
+        sku: payload.sku,
+        status: e?.status || 500,
+        details: e?.data || null,
+      });
+      return null;
+    }
+  }
+
+  for (const { sku, priceId } of plan.unchanged) {
+    priceIdsBySku[sku.toLowerCase()] = priceId;
+    variantsResult.unchanged.push({ sku, priceId });
+  }
+
+  for (const { payload } of plan.create) {
+    await addPrice(payload);
+  }
+
+  for (const { sku, priceId, payload, existing } of plan.update) {
+    if (priceStrategy === "create_only") {
+      await addPrice(payload);
+      continue;
+    }
+    if (priceStrategy === "delete_then_create") {
+      if (await removePrice(priceId, sku, existing)) await addPrice(payload);
+      continue;
+    }
+    try {
+      await client.putPrice(String(productId), priceId, payload);
+      priceIdsBySku[sku.toLowerCase()] = priceId;
+      variantsResult.updated.push({ sku, priceId });
+      journal?.record("putPrice", { sku, priceId }, () =>
+        client.putPrice(String(productId), priceId, restorablePrice(existing, productId))
+      );
+    } catch (e) {
+      // Tenant may not support price PUT: replace the price instead.
+      variantsResult.errors.push({
+        stage: "putPrice",
+        sku,
+        priceId,
+        status: e?.status || 500,
+        details: e?.data || null,
+      });
+      await onUnsupported("putPrice", e);
+      if (await removePrice(priceId, sku, existing)) await addPrice(payload);
+    }
+  }
+
+  // Keep a single active price per identity, and drop SKUs no longer in variants[].
+  for (const { sku, priceId, existing } of plan.delete) {
+    await removePrice(priceId, sku, existing);
+  }
+
+  const failedCreates = variantsResult.errors.filter((e) => e.stage === "createPrice").length;
+  return {
+    priceAction: failedCreates ? "variants_partial" : "variants_diff",
+    priceResp: null,
+    variantsResult,
+    priceIdsBySku,
+  };
+}
@@ -0,0 +1,281 @@
+// File: /lib/ghl/webhooks.js
+// Inbound GHL webhooks (product / price / order events) -> mapping store updates.
+//
+// Signature: GHL signs the raw body with its private key. GHL_WEBHOOK_PUBLIC_KEY (PEM) verifies
+// X-GHL-Signature (Ed25519 key) or X-WH-Signature (RSA key, SHA-256), both base64.
+// DBE_WEBHOOK_ALLOW_UNSIGNED=true accepts unsigned events (local development only).
+// Deliveries are deduped by webhookId for 24h (dbe:webhook:<locationId>:<webhookId>).
+//
+// Effects (mapping writes take the upsert lock; while a sync holds it the event is answered 503 so
+// GHL redelivers it, except ProductCreate/Update adoption, which the sync in flight makes moot):
+// - ProductDelete             -> every dbe:map entry pointing at the product is deleted, with
+//                                its sale window (see /lib/ghl/schedule.js).
+// - ProductCreate/Update      -> a "[DBE:<key>]" product without a mapping is adopted.
+// - PriceCreate/Update        -> mapping.priceId / mapping.prices[sku] follow the price id.
+// - PriceDelete               -> the price id is dropped from the mapping (priceId, prices,
+//                                priceIds).
+// - OrderCreate               -> each line item is recorded as an inventory decrement in
+//                                dbe:inventory:<locationId>:<dedupeKey> (last 50 kept; the
+//                                record also carries `stock` from /api/ghl/inventory).
+// Products are matched to mappings by productId (the dbe:mapidx index, see /lib/ghl/mapping.js).
+//
+// DBE_WEBHOOK_FORWARD_URL: every normalized event is POSTed there, signed like inbound calls
+// (X-DBE-Timestamp + X-DBE-Signature: sha256=HMAC(DBE_WEBHOOK_FORWARD_SECRET, "<ts>.<body>")).
+
+import { createHash, createPublicKey, verify } from "node:crypto";
+import { deleteMapping, findMappingsByProductId, mappingKey, writeMapping } from "./mapping.js";
+import { acquireLock, lockKey } from "./lock.js";
+import { postSignedJson } from "./outbound.js";
+import { clearSchedule } from "./schedule.js";
+import { parseTaggedName } from "./tags.js";
+
+const DEDUPE_TTL_SEC = 24 * 60 * 60;
+const MAX_LEDGER_ENTRIES = 50;
+const LOCK_WAIT_MS = 1000;
+
+const EVENT_TYPES = {
+  ProductCreate: "product.created",
+  ProductUpdate: "product.updated",
+  ProductDelete: "product.deleted",
+  PriceCreate: "price.created",
+  PriceUpdate: "price.updated",
+  PriceDelete: "price.deleted",
+  OrderCreate: "order.created",
+  OrderStatusUpdate: "order.status_updated",
+};
+
+export const SUPPORTED_WEBHOOK_TYPES = Object.keys(EVENT_TYPES);
+
+export function inventoryKey(locationId, dedupeKey) {
+  return `dbe:inventory:${locationId}:${dedupeKey}`;
+}
+
+function header(req, name) {
+  const v = req.headers?.[name];
+  return Array.isArray(v) ? String(v[0] || "") : String(v || "");
+}
+
+// Returns null when the signature is valid (or unsigned events are allowed), else an error message.
+export function verifyWebhookSignature(req, rawBody) {
+  const ed25519Sig = header(req, "x-ghl-signature").trim();
+  const rsaSig = header(req, "x-wh-signature").trim();
+  const pem = String(process.env.GHL_WEBHOOK_PUBLIC_KEY || "").replace(/\\n/g, "\n").trim();
+
+  if (!ed25519Sig && !rsaSig) {
+    return String(process.env.DBE_WEBHOOK_ALLOW_UNSIGNED || "").toLowerCase() === "true"
+      ? null
+      : "Missing X-GHL-Signature / X-WH-Signature header.";
+  }
+  if (!pem) return "GHL_WEBHOOK_PUBLIC_KEY is not configured.";
+
+  let key;
+  try {
+    key = createPublicKey(pem);
+  } catch (e) {
+    return `GHL_WEBHOOK_PUBLIC_KEY is not a valid public key: ${e?.message || "parse error"}`;
+  }
+
+  const data = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody), "utf8");
+  try {
+    const ok =
+      key.asymmetricKeyType === "ed25519"
+        ? Boolean(ed25519Sig) && verify(null, data, key, Buffer.from(ed25519Sig, "base64"))
+        : Boolean(rsaSig) && verify("sha256", data, key, Buffer.from(rsaSig, "base64"));
+    return ok ? null : "Invalid webhook signature.";
+  } catch {
+    return "Invalid webhook signature.";
+  }
+}
+
+const idOf = (v) => (v && typeof v === "object" ? v._id || v.id : v) || null;
+const skuOf = (v) => String(v?.sku || "").trim().toLowerCase() || null;
+
+// Raw GHL payload -> { id, type, ghlType, locationId, at, productId, priceId, sku, name, orderId,
+// status, items: [{ productId, priceId, sku, qty }] }
+export function normalizeWebhookEvent(payload) {
+  const ghlType = String(payload?.type || "");
+  const items = Array.isArray(payload?.items) ? payload.items : [];
+  const isPrice = ghlType.startsWith("Price");
+  const isProduct = ghlType.startsWith("Product");
+
+  return {
+    id: String(payload?.webhookId || createHash("sha256").update(JSON.stringify(payload || {})).digest("hex").slice(0, 32)),
+    type: EVENT_TYPES[ghlType] || null,
+    ghlType,
+    locationId: String(payload?.locationId || "").trim() || null,
+    at: payload?.timestamp || payload?.dateAdded || new Date().toISOString(),
+    productId: isProduct ? idOf(payload) : isPrice ? idOf(payload?.product) : null,
+    priceId: isPrice ? idOf(payload) : null,
+    sku: isPrice ? skuOf(payload) : null,
+    name: isProduct ? payload?.name || null : null,
+    orderId: ghlType.startsWith("Order") ? idOf(payload) : null,
+    status: payload?.status || null,
+    items: items.map((it) => ({
+      productId: idOf(it?.product) || it?.productId || null,
+      priceId: idOf(it?.price) || it?.priceId || null,
+      sku: skuOf(it?.price) || skuOf(it),
+      qty: Number(it?.qty ?? it?.quantity ?? 1) || 0,
+    })),
+  };
+}
+
+// Runs fn() under the upsert lock for dedupeKey. When a sync holds it: { skipped: "locked" } with
+// skipWhenLocked, else throws err.status 503 (the delivery should be retried).
+async function withKeyLock(store, locationId, dedupeKey, fn, { skipWhenLocked = false } = {}) {
+  const lock = await acquireLock(store, lockKey(locationId, dedupeKey), { waitMs: LOCK_WAIT_MS });
+  if (!lock.acquired) {
+    if (skipWhenLocked) return { dedupeKey, skipped: "locked" };
+    const err = new Error(`Mapping "${dedupeKey}" is locked by a sync in flight.`);
+    err.status = 503;
+    throw err;
+  }
+  try {
+    return await fn();
+  } finally {
+    await lock.release();
+  }
+}
+
+async function applyProductEvent(store, event, payload) {
+  const { locationId, productId } = event;
+  if (!productId) return [];
+
+  if (event.ghlType === "ProductDelete") {
+    const mapped = await findMappingsByProductId(store, locationId, productId);
+    return await Promise.all(
+      mapped.map(({ key, dedupeKey }) =>
+        withKeyLock(store, locationId, dedupeKey, async () => {
+          // A sync may have re-pointed the key while we waited for the lock.
+          const current = await store.get(key);
+          if (String(current?.productId) !== String(productId)) return { dedupeKey, action: "none", productId };
+          await deleteMapping(store, locationId, dedupeKey);
+          await clearSchedule(store, locationId, dedupeKey);
+          return { dedupeKey, action: "mapping_deleted", productId };
+        })
+      )
+    );
+  }
+
+  const tagged = parseTaggedName(payload?.name);
+  if (!tagged) return [];
+  return [
+    await withKeyLock(store, locationId, tagged.key, async () => {
+      const key = mappingKey(locationId, tagged.key);
+      const existing = await store.get(key);
+      if (existing?.productId) {
+        return { dedupeKey: tagged.key, action: "none", productId: String(existing.productId) };
+      }
+      await writeMapping(store, locationId, tagged.key, { productId: String(productId), priceId: null });
+      return { dedupeKey: tagged.key, action: "mapping_adopted", productId: String(productId) };
+    }, { skipWhenLocked: true }),
+  ];
+}
+
+async function applyPriceEvent(store, event) {
+  const { locationId, productId, priceId, sku } = event;
+  if (!productId || !priceId) return [];
+  const deleted = event.ghlType === "PriceDelete";
+
+  const mapped = await findMappingsByProductId(store, locationId, productId);
+  return await Promise.all(
+    mapped.map(({ key, dedupeKey }) =>
+      withKeyLock(store, locationId, dedupeKey, async () => {
+        const mapping = (await store.get(key)) || {};
+        const next = { ...mapping, prices: mapping.prices ? { ...mapping.prices } : undefined };
+        let changed = false;
+
+        // prices[] ids by (sku, currency, type) (see /lib/ghl/prices.js): a deleted one is cleared.
+        if (deleted && next.priceIds && Object.values(next.priceIds).includes(priceId)) {
+          next.priceIds = Object.fromEntries(
+            Object.entries(next.priceIds).map(([k, v]) => [k, v === priceId ? null : v])
+          );
+          changed = true;
+        }
+
+        if (next.prices && sku && sku in next.prices) {
+          const target = deleted ? (next.prices[sku] === priceId ? null : next.prices[sku]) : priceId;
+          if (next.prices[sku] !== target) {
+            next.prices[sku] = target;
+            changed = true;
+          }
+        }
+        if (deleted && next.priceId === priceId) {
+          next.priceId = null;
+          changed = true;
+        } else if (!deleted && !next.prices && (sku === dedupeKey || !sku) && next.priceId !== priceId) {
+          next.priceId = priceId;
+          changed = true;
+        }
+
+        if (!next.prices) delete next.prices;
+        if (changed) await writeMapping(store, locationId, dedupeKey, next);
+        return { dedupeKey, action: changed ? (deleted ? "price_cleared" : "price_updated") : "none", priceId };
+      })
+    )
+  );
+}
+
+async function applyOrderEvent(store, event) {
+  const { locationId } = event;
+  const out = [];
+  for (const item of event.items) {
+    if (!item.productId || !item.qty) continue;
+    const mapped = await findMappingsByProductId(store, locationId, item.productId);
+    for (const { dedupeKey } of mapped) {
+      // Ledger writes are read-modify-write: serialize them, and let GHL redeliver when busy.
+      const lock = await acquireLock(store, lockKey(locationId, `inventory:${dedupeKey}`));
+      if (!lock.acquired) {
+        const err = new Error(`Inventory ledger for "${dedupeKey}" is busy.`);
+        err.status = 503;
+        throw err;
+      }
+      try {
+        const key = inventoryKey(locationId, dedupeKey);
+        const ledger = (await store.get(key)) || { decremented: 0, entries: [] };
+        if (ledger.entries.some((e) => e.orderId === event.orderId && e.priceId === item.priceId)) continue;
+
+        const entry = { orderId: event.orderId, priceId: item.priceId, sku: item.sku, qty: item.qty, at: event.at };
+        await store.set(key, {
+          decremented: Number(ledger.decremented || 0) + item.qty,
+          updatedAt: new Date().toISOString(),
+          entries: [entry, ...ledger.entries].slice(0, MAX_LEDGER_ENTRIES),
+        });
+        out.push({ dedupeKey, action: "inventory_decremented", ...entry });
+      } finally {
+        await lock.release();
+      }
+    }
+  }
+  return out;
+}
+
+// Releases a claimed delivery so a redelivery is processed again (after a retryable failure).
+export async function releaseWebhookDelivery(store, event) {
+  if (store) await store.del(`dbe:webhook:${event.locationId}:${event.id}`);
+}
+
+// Claims the delivery id; false when it was already processed.
+export async function claimWebhookDelivery(store, event) {
+  if (!store) return true;
+  const key = `dbe:webhook:${event.locationId}:${event.id}`;
+  return (await store.set(key, { at: new Date().toISOString() }, { nx: true, ex: DEDUPE_TTL_SEC })) === "OK";
+}
+
+// ctx: { store } (null -> nothing to update). Returns [{ dedupeKey, action, ... }].
+// Throws err.status 503 when a mapping or inventory ledger stays locked (the delivery should be
+// retried).
+export async function applyWebhookEvent({ store }, event, payload) {
+  if (!store || !event.type) return [];
+  if (event.ghlType.startsWith("Product")) return await applyProductEvent(store, event, payload);
+  if (event.ghlType.startsWith("Price")) return await applyPriceEvent(store, event);
+  if (event.ghlType === "OrderCreate") return await applyOrderEvent(store, event);
+  return [];
+}
+
+// POSTs the normalized event to DBE_WEBHOOK_FORWARD_URL (see /lib/ghl/outbound.js).
+// Returns null when forwarding is off, else { ok, status, error? }.
+export async function forwardWebhookEvent(event, changes) {
+  const url = String(process.env.DBE_WEBHOOK_FORWARD_URL || "").trim();
+  if (!url) return null;
+  return await postSignedJson(url, { ...event, changes }, { secret: process.env.DBE_WEBHOOK_FORWARD_SECRET });
+}
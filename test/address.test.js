@@ -0,0 +1,27 @@
+// File: /test/address.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkPublicUrl, isPrivateAddress } from "../lib/ghl/address.js";
+
+test("isPrivateAddress blocks loopback, private, link-local and mapped addresses", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:7f00:1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "1.1.1.1", "2606:4700::1111"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+  assert.equal(isPrivateAddress("not-an-ip"), true);
+});
+
+test("checkPublicUrl refuses private IP literals in any notation", async () => {
+  for (const url of ["http://127.0.0.1/", "http://2130706433/", "http://0x7f.1/", "https://[::ffff:127.0.0.1]/", "https://[fe80::1]/"]) {
+    assert.match(await checkPublicUrl(url), /private, loopback or link-local/, url);
+  }
+  assert.equal(await checkPublicUrl("https://8.8.8.8/a.png"), null);
+});
+
+test("checkPublicUrl checks the scheme", async () => {
+  assert.match(await checkPublicUrl("ftp://8.8.8.8/"), /http\(s\)/);
+  assert.match(await checkPublicUrl("http://8.8.8.8/", { label: "callbackUrl", requireHttps: true }), /^callbackUrl must be an https URL/);
+  assert.match(await checkPublicUrl("nope"), /absolute URL/);
+});
@@ -0,0 +1,77 @@
+// File: /test/auth.test.js
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { before, test } from "node:test";
+import {
+  authenticateRequest,
+  canAccessLocation,
+  isCronRequest,
+  signaturePayload,
+} from "../lib/ghl/auth.js";
+import { loadRawBody, readJsonBody } from "../lib/ghl/request.js";
+
+before(() => {
+  delete process.env.DBE_AUTH_DISABLED;
+  process.env.DBE_API_KEYS = JSON.stringify({ "key-loc1": ["loc1"], "key-all": ["*"] });
+  process.env.CRON_SECRET = "cron-secret";
+});
+
+const bearer = (key) => ({ method: "POST", url: "/", headers: { authorization: `Bearer ${key}` } });
+
+test("a Bearer key from DBE_API_KEYS authenticates with its locations", async () => {
+  const result = await authenticateRequest(bearer("key-loc1"));
+  assert.equal(result.ok, true);
+  assert.equal(result.principal.scheme, "bearer");
+  assert.deepEqual(result.principal.locationIds, ["loc1"]);
+});
+
+test("unknown keys and missing credentials are rejected with 401", async () => {
+  const unknown = await authenticateRequest(bearer("nope"));
+  assert.equal(unknown.ok, false);
+  assert.equal(unknown.status, 401);
+  const missing = await authenticateRequest({ method: "POST", url: "/", headers: {} });
+  assert.equal(missing.status, 401);
+  assert.match(missing.error, /Missing credentials/);
+});
+
+test("HMAC requests outside the timestamp window are rejected before any lookup", async () => {
+  const stale = String(Math.floor(Date.now() / 1000) - 3600);
+  const result = await authenticateRequest({
+    method: "POST",
+    url: "/api/ghl/sync-product",
+    headers: { "x-dbe-client-id": "c1", "x-dbe-timestamp": stale, "x-dbe-signature": "sha256=00" },
+    body: "{}",
+  });
+  assert.equal(result.status, 401);
+  assert.match(result.error, /timestamp/);
+});
+
+test("signaturePayload covers the timestamp, method, request target and raw body", () => {
+  const req = { method: "post", url: "/api/ghl/sync-product?sku=A1", body: '{"a":1}' };
+  assert.equal(signaturePayload(req, "1700000000"), '1700000000.POST./api/ghl/sync-product?sku=A1.{"a":1}');
+  assert.equal(signaturePayload({ method: "GET" }, "1"), "1.GET./.");
+});
+
+test("signatures cover the bytes as sent, never a re-serialized parsed body", async () => {
+  assert.equal(signaturePayload({ method: "POST", url: "/", body: { a: 1 } }, "1"), null);
+
+  const sent = '{ "b": 2,\n  "a": 1 }';
+  const req = Object.assign(Readable.from([Buffer.from(sent)]), { method: "POST", url: "/", headers: {} });
+  const raw = await loadRawBody(req);
+  assert.equal(raw.raw.toString("utf8"), sent);
+  assert.equal(signaturePayload(req, "1"), `1.POST./.${sent}`);
+  assert.deepEqual(readJsonBody(req).body, { b: 2, a: 1 });
+});
+
+test("canAccessLocation honours the principal's locations and the * wildcard", () => {
+  assert.equal(canAccessLocation({ locationIds: ["loc1"] }, "loc1"), true);
+  assert.equal(canAccessLocation({ locationIds: ["loc1"] }, "loc2"), false);
+  assert.equal(canAccessLocation({ locationIds: ["*"] }, "loc2"), true);
+  assert.equal(canAccessLocation(null, "loc1"), false);
+});
+
+test("isCronRequest matches Authorization: Bearer $CRON_SECRET only", () => {
+  assert.equal(isCronRequest({ headers: { authorization: "Bearer cron-secret" } }), true);
+  assert.equal(isCronRequest({ headers: { authorization: "Bearer other" } }), false);
+  assert.equal(isCronRequest({ headers: {} }), false);
+});
@@ -0,0 +1,27 @@
+// File: /test/capabilities.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { isUnsupportedStatus, priceStrategyFor } from "../lib/ghl/capabilities.js";
+
+const profile = (operations) => ({ operations });
+
+test("priceStrategyFor picks put, delete_then_create or create_only from the probed operations", () => {
+  assert.equal(priceStrategyFor(profile({ putPrice: true, deletePrice: true })), "put");
+  assert.equal(priceStrategyFor(profile({ putPrice: true, deletePrice: false })), "put");
+  assert.equal(priceStrategyFor(profile({ putPrice: false, deletePrice: true })), "delete_then_create");
+  assert.equal(priceStrategyFor(profile({ putPrice: null, deletePrice: true })), "delete_then_create");
+  assert.equal(priceStrategyFor(profile({ putPrice: false, deletePrice: false })), "create_only");
+});
+
+test("priceStrategyFor falls back to legacy without a profile or with unknown operations", () => {
+  assert.equal(priceStrategyFor(null), "legacy");
+  assert.equal(priceStrategyFor({}), "legacy");
+  assert.equal(priceStrategyFor(profile({ putPrice: null, deletePrice: null })), "legacy");
+  assert.equal(priceStrategyFor(profile({ putPrice: false, deletePrice: null })), "legacy");
+});
+
+test("isUnsupportedStatus only accepts 405 and 501", () => {
+  assert.equal(isUnsupportedStatus(405), true);
+  assert.equal(isUnsupportedStatus(501), true);
+  for (const status of [400, 401, 404, 429, 500, 502]) assert.equal(isUnsupportedStatus(status), false);
+});
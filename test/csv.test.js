@@ -0,0 +1,113 @@
+// File: /test/csv.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { csvToSyncBodies, looksLikeShopifyExport, parseCsv } from "../lib/ghl/csv.js";
+
+test("parseCsv splits rows and fields", () => {
+  assert.deepEqual(parseCsv("name,sku\nMug,A1\nCup,B2\n"), [
+    ["name", "sku"],
+    ["Mug", "A1"],
+    ["Cup", "B2"],
+  ]);
+});
+
+test("parseCsv handles quotes, escaped quotes, commas and newlines inside fields", () => {
+  assert.deepEqual(parseCsv('name,desc\n"Mug, blue","Say ""hi""\nline 2"\n'), [
+    ["name", "desc"],
+    ["Mug, blue", 'Say "hi"\nline 2'],
+  ]);
+});
+
+test("parseCsv accepts CRLF, a BOM, a missing final newline and drops blank lines", () => {
+  assert.deepEqual(parseCsv("\uFEFFa,b\r\n\r\n1,2\r\n ,\r\n3,"), [
+    ["a", "b"],
+    ["1", "2"],
+    ["3", ""],
+  ]);
+});
+
+test("parseCsv returns no rows for empty input", () => {
+  assert.deepEqual(parseCsv(""), []);
+  assert.deepEqual(parseCsv(null), []);
+});
+
+const SHOPIFY_HEADER =
+  "Handle,Title,Body (HTML),Type,Option1 Name,Option1 Value,Variant SKU,Variant Price,Variant Compare At Price,Variant Inventory Qty,Image Src,Image Position,Status";
+
+test("Shopify rows sharing a Handle collapse into one product with variants", () => {
+  const csv = [
+    SHOPIFY_HEADER,
+    "mug,Mug,<p>Nice</p>,Kitchen,Size,Small,MUG-S,10.00,12.00,5,https://cdn.test/b.jpg,2,active",
+    "mug,,,,,Large,MUG-L,14.00,,3,https://cdn.test/a.jpg,1,",
+  ].join("\n");
+  assert.deepEqual(csvToSyncBodies(csv, { format: "shopify" }), [
+    {
+      name: "Mug",
+      seoSlug: "mug",
+      description: "<p>Nice</p>",
+      externalId: "mug",
+      options: [{ name: "Size", values: [] }],
+      variants: [
+        { sku: "MUG-S", price: "10.00", options: { Size: "Small" }, compareAt: "12.00", qty: "5" },
+        { sku: "MUG-L", price: "14.00", options: { Size: "Large" }, qty: "3" },
+      ],
+      images: ["https://cdn.test/a.jpg", "https://cdn.test/b.jpg"],
+      availableInStore: true,
+    },
+  ]);
+});
+
+test("Shopify products without real options sync as a single price; images keep their position order", () => {
+  const csv = [
+    SHOPIFY_HEADER,
+    "cap,Cap,,Hats,Title,Default Title,CAP-1,20.00,,,https://cdn.test/3.jpg,3,draft",
+    "cap,,,,,,,,,,https://cdn.test/1.jpg,1,",
+    "cap,,,,,,,,,,https://cdn.test/x.jpg,,",
+    "cap,,,,,,,,,,https://cdn.test/2.jpg,2,",
+  ].join("\n");
+  const [body] = csvToSyncBodies(csv, { format: "shopify" });
+  assert.equal(body.sku, "CAP-1");
+  assert.equal(body.price, "20.00");
+  assert.equal(body.variants, undefined);
+  assert.equal(body.collectionName, undefined);
+  assert.equal(body.availableInStore, false);
+  assert.deepEqual(body.images, [
+    "https://cdn.test/1.jpg",
+    "https://cdn.test/2.jpg",
+    "https://cdn.test/3.jpg",
+    "https://cdn.test/x.jpg",
+  ]);
+});
+
+test("looksLikeShopifyExport checks the header row for Handle and Variant SKU", () => {
+  assert.equal(looksLikeShopifyExport(`\uFEFF${SHOPIFY_HEADER}\r\nmug,Mug`), true);
+  assert.equal(looksLikeShopifyExport("Handle,Title\nmug,Mug"), false);
+  assert.equal(looksLikeShopifyExport("name,sku,Variant SKU\nMug,A1,A1"), false);
+  assert.equal(looksLikeShopifyExport(""), false);
+});
+
+test("generic rows map known headers, columnMap overrides them and defaults fill the gaps", () => {
+  const csv = [
+    "Title,SKU,Retail,Images,Available In Store,Notes,Collection",
+    "Mug,MUG-1,9.5,https://cdn.test/1.jpg|https://cdn.test/2.jpg,yes,fragile,",
+    ",,,,,,",
+    "Cup,CUP-1,4,,no,,Cups",
+  ].join("\n");
+  const bodies = csvToSyncBodies(csv, {
+    columnMap: { Retail: "price", Notes: "description" },
+    defaults: { collectionName: "Kitchen", upsert: true },
+  });
+  assert.deepEqual(bodies, [
+    {
+      collectionName: "Kitchen",
+      upsert: true,
+      name: "Mug",
+      sku: "MUG-1",
+      price: "9.5",
+      images: ["https://cdn.test/1.jpg", "https://cdn.test/2.jpg"],
+      availableInStore: true,
+      description: "fragile",
+    },
+    { collectionName: "Cups", upsert: true, name: "Cup", sku: "CUP-1", price: "4", availableInStore: false },
+  ]);
+});
@@ -0,0 +1,98 @@
+// File: /test/idempotency.test.js
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { beginIdempotentRequest, requestFingerprint } from "../lib/ghl/idempotency.js";
+import { getMappingStore } from "../lib/ghl/store.js";
+
+let store;
+before(async () => {
+  process.env.DBE_MAPPING_STORE = "memory";
+  store = await getMappingStore();
+});
+
+const principal = { clientId: "c1" };
+const opts = { store: null, locationId: "loc1", principal, route: "sync-product" };
+
+const req = (key, extra = {}) => ({
+  method: "POST",
+  url: "/api/ghl/sync-product",
+  headers: { "idempotency-key": key },
+  body: { sku: "A1", price: 10 },
+  ...extra,
+});
+
+test("requestFingerprint ignores query order and method case", () => {
+  const a = requestFingerprint({ method: "POST", url: "/api/x?b=2&a=1", body: "{}" });
+  assert.equal(a, requestFingerprint({ method: "post", url: "/api/x?a=1&b=2", body: "{}" }));
+  assert.equal(
+    requestFingerprint({ method: "POST", url: "/api/x", query: { b: "2", a: "1" }, body: "{}" }),
+    requestFingerprint({ method: "POST", url: "/api/x?a=1&b=2", body: "{}" })
+  );
+});
+
+test("requestFingerprint changes with the method, path, query or body", () => {
+  const base = { method: "POST", url: "/api/x?a=1", body: "{}" };
+  const fp = requestFingerprint(base);
+  assert.notEqual(fp, requestFingerprint({ ...base, method: "PUT" }));
+  assert.notEqual(fp, requestFingerprint({ ...base, url: "/api/y?a=1" }));
+  assert.notEqual(fp, requestFingerprint({ ...base, url: "/api/x?a=2" }));
+  assert.notEqual(fp, requestFingerprint({ ...base, body: '{"a":1}' }));
+});
+
+test("a completed request is replayed for the same key", async () => {
+  const first = await beginIdempotentRequest(req("k-replay"), { ...opts, store });
+  assert.equal(first.response, null);
+  await first.complete(201, { ok: true, productId: "p1" });
+
+  const again = await beginIdempotentRequest(req("k-replay"), { ...opts, store });
+  assert.deepEqual(again.response, { status: 201, body: { ok: true, productId: "p1" }, replayed: true });
+});
+
+test("a duplicate in flight gets 409 and another request under the same key gets 422", async () => {
+  const first = await beginIdempotentRequest(req("k-busy"), { ...opts, store });
+  assert.equal(first.response, null);
+
+  const dup = await beginIdempotentRequest(req("k-busy"), { ...opts, store });
+  assert.equal(dup.response.status, 409);
+
+  const other = await beginIdempotentRequest(req("k-busy", { url: "/api/ghl/sync-product?dryRun=true" }), { ...opts, store });
+  assert.equal(other.response.status, 422);
+});
+
+test("a 5xx result releases the key when nothing was written or the writes were rolled back", async () => {
+  const unwritten = await beginIdempotentRequest(req("k-5xx"), { ...opts, store });
+  await unwritten.complete(502, { ok: false }, { wrote: false });
+  const retry = await beginIdempotentRequest(req("k-5xx"), { ...opts, store });
+  assert.equal(retry.response, null);
+
+  await retry.complete(502, { ok: false, rollback: { complete: true } }, { wrote: true });
+  const again = await beginIdempotentRequest(req("k-5xx"), { ...opts, store });
+  assert.equal(again.response, null);
+});
+
+test("a 5xx result after writes that were not undone is stored and replayed", async () => {
+  const partial = await beginIdempotentRequest(req("k-partial"), { ...opts, store });
+  await partial.complete(502, { ok: false, rollback: { complete: false } }, { wrote: true });
+  const retry = await beginIdempotentRequest(req("k-partial"), { ...opts, store });
+  assert.equal(retry.response.status, 502);
+  assert.equal(retry.response.replayed, true);
+
+  const verifyFailed = await beginIdempotentRequest(req("k-verify"), { ...opts, store });
+  await verifyFailed.complete(500, { ok: false, error: "Not found" });
+  assert.equal((await beginIdempotentRequest(req("k-verify"), { ...opts, store })).response.status, 500);
+});
+
+test("keys are scoped per caller", async () => {
+  const mine = await beginIdempotentRequest(req("k-shared"), { ...opts, store });
+  await mine.complete(201, { ok: true, productId: "p1" });
+  const theirs = await beginIdempotentRequest(req("k-shared"), { ...opts, store, principal: { clientId: "c2" } });
+  assert.equal(theirs.response, null);
+});
+
+test("requests without a key or without a store run normally", async () => {
+  const noKey = await beginIdempotentRequest(req(""), { ...opts, store });
+  assert.equal(noKey.key, null);
+  assert.equal(noKey.response, null);
+  const noStore = await beginIdempotentRequest(req("k-none"), opts);
+  assert.equal(noStore.response, null);
+});
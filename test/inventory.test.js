@@ -0,0 +1,39 @@
+// File: /test/inventory.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { readInventoryItem, validateInventoryDefaults } from "../lib/ghl/inventory.js";
+
+test("readInventoryItem reads absolute quantities", () => {
+  const item = readInventoryItem({ sku: " A1 ", qty: 12 });
+  assert.equal(item.error, undefined);
+  assert.equal(item.dedupeKey, "a1");
+  assert.deepEqual(item.change, { mode: "set", value: 12 });
+  assert.deepEqual(readInventoryItem({ sku: "A1", qty: "7" }).change, { mode: "set", value: 7 });
+});
+
+test("readInventoryItem reads signed strings and adjust as relative changes", () => {
+  assert.deepEqual(readInventoryItem({ sku: "A1", qty: "+5" }).change, { mode: "adjust", value: 5 });
+  assert.deepEqual(readInventoryItem({ sku: "A1", qty: " -2" }).change, { mode: "adjust", value: -2 });
+  assert.deepEqual(readInventoryItem({ externalId: "X9", adjust: -3 }).change, { mode: "adjust", value: -3 });
+});
+
+test("readInventoryItem rejects missing keys, conflicting and invalid quantities", () => {
+  assert.match(readInventoryItem({ qty: 1 }).error, /Missing sku/);
+  assert.match(readInventoryItem({ sku: "A1" }).error, /Missing qty/);
+  assert.match(readInventoryItem({ sku: "A1", qty: 1, adjust: 1 }).error, /either qty or adjust/);
+  assert.match(readInventoryItem({ sku: "A1", qty: 1.5 }).error, /whole number/);
+  assert.match(readInventoryItem({ sku: "A1", qty: -1 }).error, /must be >= 0/);
+  assert.match(readInventoryItem({ sku: "A1", qty: 1, lowStockThreshold: "x" }).error, /lowStockThreshold/);
+});
+
+test("readInventoryItem takes the threshold from the item, then the request defaults", () => {
+  assert.equal(readInventoryItem({ sku: "A1", qty: 1, lowStockThreshold: 3 }, { lowStockThreshold: 5 }).lowStockThreshold, 3);
+  assert.equal(readInventoryItem({ sku: "A1", qty: 1 }, { lowStockThreshold: "5" }).lowStockThreshold, 5);
+  assert.equal(readInventoryItem({ sku: "A1", qty: 1 }).lowStockThreshold, 0);
+});
+
+test("validateInventoryDefaults rejects an invalid request-level threshold", () => {
+  assert.equal(validateInventoryDefaults({}), null);
+  assert.equal(validateInventoryDefaults({ lowStockThreshold: 2 }), null);
+  assert.match(validateInventoryDefaults({ lowStockThreshold: -1 }), /lowStockThreshold/);
+});
@@ -0,0 +1,44 @@
+// File: /test/jobs.test.js
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { enqueueJob, getJob, jobKey, processJob } from "../lib/ghl/jobs.js";
+import { getMappingStore } from "../lib/ghl/store.js";
+
+let store;
+before(async () => {
+  process.env.DBE_MAPPING_STORE = "memory";
+  store = await getMappingStore();
+});
+
+const batch = (items) => ({ route: "sync-products", items, csv: false, concurrency: 1 });
+
+test("upsert jobs are retried, non-upsert single syncs and batches get one attempt", async () => {
+  const upserts = await enqueueJob(store, {
+    locationId: "loc1",
+    request: batch([{ sku: "A1", upsert: true }, { sku: "B1", dryRun: true }]),
+  });
+  assert.equal(upserts.maxAttempts, 3);
+
+  const mixed = await enqueueJob(store, {
+    locationId: "loc1",
+    request: batch([{ sku: "A1", upsert: true }, { sku: "B1" }]),
+  });
+  assert.equal(mixed.maxAttempts, 1);
+
+  const single = await enqueueJob(store, {
+    locationId: "loc1",
+    request: { route: "sync-product", action: "sync", body: { sku: "C1" } },
+  });
+  assert.equal(single.maxAttempts, 1);
+});
+
+test("a non-upsert batch whose worker died is failed, not run again", async () => {
+  const job = await enqueueJob(store, { locationId: "loc1", request: batch([{ sku: "B1" }]) });
+  await store.set(jobKey(job.id), { ...job, status: "running", attempts: 1 });
+
+  const after = await processJob(store, job.id);
+  assert.equal(after.status, "failed");
+  assert.equal(after.attempts, 1);
+  assert.match(after.result.body.error, /stopped during the last attempt/);
+  assert.equal((await getJob(store, job.id)).status, "failed");
+});
@@ -0,0 +1,60 @@
+// File: /test/journal.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createJournal, restorablePrice } from "../lib/ghl/journal.js";
+
+test("rollback runs undo actions newest-first and reports a complete rollback", async () => {
+  const journal = createJournal();
+  const order = [];
+  journal.record("createProduct", { productId: "p1" }, async () => order.push("createProduct"));
+  journal.record("createPrice", { priceId: "pr1" }, async () => {
+    order.push("createPrice");
+    return { report: { restoredPriceId: "pr2" } };
+  });
+
+  const result = await journal.rollback();
+  assert.deepEqual(order, ["createPrice", "createProduct"]);
+  assert.equal(result.attempted, true);
+  assert.equal(result.ok, true);
+  assert.equal(result.complete, true);
+  assert.deepEqual(result.steps[0], { step: "createPrice", priceId: "pr1", undo: "ok", restoredPriceId: "pr2" });
+});
+
+test("a step without an undo action leaves the rollback ok but incomplete", async () => {
+  const journal = createJournal();
+  journal.record("putProduct", { productId: "p1" });
+  journal.record("deletePrice", { priceId: "pr1" }, async () => {});
+  const result = await journal.rollback();
+  assert.equal(result.ok, true);
+  assert.equal(result.complete, false);
+  assert.equal(result.steps[1].undo, "not_supported");
+});
+
+test("a failing undo is reported, never thrown, and the remaining steps still run", async () => {
+  const journal = createJournal();
+  let first = false;
+  journal.record("createProduct", {}, async () => {
+    first = true;
+  });
+  journal.record("createPrice", {}, async () => {
+    const err = new Error("gone");
+    err.status = 404;
+    throw err;
+  });
+  const result = await journal.rollback();
+  assert.equal(first, true);
+  assert.equal(result.ok, false);
+  assert.equal(result.complete, false);
+  assert.equal(result.steps[0].undo, "failed");
+  assert.equal(result.steps[0].status, 404);
+});
+
+test("an empty journal has nothing to roll back", async () => {
+  const result = await createJournal().rollback();
+  assert.deepEqual(result, { attempted: false, ok: true, complete: true, steps: [] });
+});
+
+test("restorablePrice keeps the fields a price can be recreated from", () => {
+  const out = restorablePrice({ _id: "pr1", name: "Mug", amount: 10, currency: "USD", sku: null, createdAt: "x" }, "p9");
+  assert.deepEqual(out, { product: "p9", name: "Mug", amount: 10, currency: "USD" });
+});
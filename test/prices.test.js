@@ -0,0 +1,65 @@
+// File: /test/prices.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkAmount, existingPriceIdentity, priceIdentity } from "../lib/ghl/prices.js";
+import { planVariantPrices } from "../lib/ghl/variants.js";
+
+test("existingPriceIdentity keys a GHL price by sku, currency and type", () => {
+  assert.equal(existingPriceIdentity({ sku: " A1 ", currency: "usd", type: "one_time" }), "a1|USD|one_time");
+  assert.equal(existingPriceIdentity({ sku: "A1", currency: "EUR", type: "recurring" }), "a1|EUR|recurring");
+  assert.equal(existingPriceIdentity({ currency: "USD" }), "|USD|one_time");
+});
+
+test("prices that differ only in currency or type have different identities", () => {
+  const usd = existingPriceIdentity({ sku: "A1", currency: "USD", type: "one_time" });
+  assert.notEqual(usd, existingPriceIdentity({ sku: "A1", currency: "EUR", type: "one_time" }));
+  assert.notEqual(usd, existingPriceIdentity({ sku: "A1", currency: "USD", type: "recurring" }));
+  assert.equal(usd, priceIdentity("a1", "USD", undefined));
+});
+
+test("checkAmount enforces the currency's minor units", () => {
+  assert.equal(checkAmount(10.5, "USD", "price"), null);
+  assert.ok(checkAmount(10.555, "USD", "price"));
+  assert.equal(checkAmount(500, "JPY", "price"), null);
+  assert.ok(checkAmount(500.5, "JPY", "price"));
+  assert.ok(checkAmount(-1, "USD", "price"));
+});
+
+const monthly = { recurring: { interval: "month", intervalCount: 1 } };
+const variantInput = (recurringFields) => ({
+  options: [],
+  variants: [{ sku: "A1", priceAmount: 10, optionValues: {} }],
+  rawName: "Mug",
+  priceType: "recurring",
+  currency: "USD",
+  recurringFields,
+});
+const listed = (fields) => ({
+  _id: "pr1",
+  sku: "A1",
+  currency: "USD",
+  type: "recurring",
+  amount: 10,
+  name: "Mug - A1",
+  variantOptionIds: [],
+  ...monthly,
+  ...fields,
+});
+
+test("variant prices are matched per identity: another currency of the SKU is left alone", () => {
+  const eur = { _id: "pr2", sku: "A1", currency: "EUR", type: "recurring", amount: 9 };
+  const dup = { ...listed(), _id: "pr3" };
+  const plan = planVariantPrices([listed(), eur, dup], variantInput(monthly), "p1", "loc1");
+  assert.deepEqual(plan.unchanged.map((u) => u.priceId), ["pr1"]);
+  assert.deepEqual(plan.delete.map((d) => [d.priceId, d.reason]), [["pr3", "duplicate_price"]]);
+  assert.equal(plan.create.length, 0);
+});
+
+test("a changed trial period or setup fee updates the variant price", () => {
+  const updates = (existing, terms) => planVariantPrices([existing], variantInput(terms), "p1", "loc1").update.length;
+  const withTerms = { ...monthly, trialPeriod: 7, setupFee: 5 };
+  assert.equal(updates(listed({ trialPeriod: 7, setupFee: 5 }), withTerms), 0);
+  assert.equal(updates(listed({ setupFee: 5 }), withTerms), 1);
+  assert.equal(updates(listed({ trialPeriod: 7 }), withTerms), 1);
+  assert.equal(updates(listed({ trialPeriod: 0 }), monthly), 0);
+});
@@ -0,0 +1,45 @@
+// File: /test/schedule.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { readScheduleInput, validateScheduleInput, windowState } from "../lib/ghl/schedule.js";
+
+const record = { startAt: "2026-01-01T00:00:00.000Z", endAt: "2026-01-02T00:00:00.000Z" };
+const at = (iso) => Date.parse(iso);
+
+test("windowState is scheduled before, active inside and ended after the window", () => {
+  assert.equal(windowState(record, at("2025-12-31T23:59:59.999Z")), "scheduled");
+  assert.equal(windowState(record, at("2026-01-01T00:00:00.000Z")), "active");
+  assert.equal(windowState(record, at("2026-01-01T23:59:59.999Z")), "active");
+  assert.equal(windowState(record, at("2026-01-02T00:00:00.000Z")), "ended");
+});
+
+test("readScheduleInput reads ISO dates and epoch milliseconds", () => {
+  const s = readScheduleInput({ schedule: { startAt: "2026-01-01T00:00:00Z", endAt: "1767312000000", price: 5 } });
+  assert.equal(s.startAt, at("2026-01-01T00:00:00Z"));
+  assert.equal(s.endAt, 1767312000000);
+  assert.equal(s.price, 5);
+  assert.equal(s.cancel, false);
+  assert.equal(readScheduleInput({}), null);
+  assert.ok(Number.isNaN(readScheduleInput({ schedule: { startAt: "soon" } }).startAt));
+});
+
+test("validateScheduleInput needs an upsert with one product price and a future window", () => {
+  const now = at("2026-01-01T00:00:00Z");
+  const input = (schedule, extra = {}) => ({
+    upsert: true,
+    dedupeKey: "a1",
+    variants: [],
+    prices: [{ amount: 10, currency: "USD" }],
+    schedule,
+    ...extra,
+  });
+  const window = { startAt: now + 1000, endAt: now + 2000, price: 5, compareAt: null, cancel: false };
+
+  assert.equal(validateScheduleInput(input(window), now), null);
+  assert.match(validateScheduleInput(input(window, { upsert: false }), now), /requires upsert/);
+  assert.match(validateScheduleInput(input(window, { prices: [] }), now), /exactly one product price/);
+  assert.match(validateScheduleInput(input({ ...window, endAt: window.startAt }), now), /after schedule.startAt/);
+  assert.match(validateScheduleInput(input({ ...window, startAt: now - 2000, endAt: now - 1000 }), now), /in the past/);
+  assert.ok(validateScheduleInput(input({ ...window, price: -1 }), now));
+  assert.equal(validateScheduleInput(input({ cancel: true }), now), null);
+});
@@ -0,0 +1,37 @@
+// File: /test/schema.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { syncBodyJsonSchema, validateSyncBody } from "../lib/ghl/schema.js";
+
+const schema = syncBodyJsonSchema();
+const numericPattern = new RegExp(schema.properties.availableQty.anyOf[1].pattern);
+
+test("validateSyncBody accepts numeric strings and null for optional fields", () => {
+  const { errors } = validateSyncBody({ name: "Mug", collectionName: "Mugs", price: "1e3", availableQty: " .5 ", image: null });
+  assert.deepEqual(errors, []);
+});
+
+test("validateSyncBody reports unknown fields with a suggestion and alias conflicts", () => {
+  const { errors } = validateSyncBody({ name: "Mug", pirce: 10, qty: 5, stock: 7 });
+  assert.ok(errors.some((e) => e.field === "pirce" && /Did you mean "price"/.test(e.message)));
+  assert.ok(errors.some((e) => e.field === "availableQty" && /Conflicting values/.test(e.message)));
+});
+
+test("the JSON Schema numeric-string pattern matches what the validator accepts", () => {
+  for (const value of ["12", " 12 ", "-1.5", "+2", ".5", "5.", "1e3", "1E-3", "0x1F"]) {
+    assert.equal(numericPattern.test(value), true, value);
+    if (Number(value) >= 0) assert.deepEqual(validateSyncBody({ availableQty: value }).errors, [], value);
+  }
+  for (const value of ["", "abc", "1e", "1.2.3", "1_000", "Infinity"]) {
+    assert.equal(numericPattern.test(value), false, value);
+  }
+});
+
+test("the JSON Schema allows null on every field", () => {
+  for (const [field, prop] of Object.entries(schema.properties)) {
+    assert.ok(prop.anyOf?.some((option) => option.type === "null"), field);
+  }
+  const item = schema.properties.prices.anyOf[0].items;
+  assert.ok(item.anyOf.some((option) => option.type === "null"));
+  assert.ok(item.anyOf[0].properties.amount.anyOf.some((option) => option.type === "null"));
+});